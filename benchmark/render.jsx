@@ -0,0 +1,123 @@
+import _ from 'lodash';
+import React from 'react';
+import TestRenderer from 'react-test-renderer';
+import { Table, Column, Group } from '../src/table.jsx';
+
+
+const ROWS = 10000;
+
+const data = _.times(ROWS, (id) => ({
+    id,
+    name: `Row ${id}`,
+    score: (id * 7919) % 1000,
+    price: (id * 104729) % 10000 / 100
+}));
+
+
+// Number of data rows rendered since the last reset
+var renderedRows = 0;
+
+
+/**
+ * Render a table the way a parent component with inline JSX would.
+ *
+ * @param {object} props - extra table props
+ * @param {function} sortMethod - sort method of the score column
+ * @returns {Element} - <Table> element with new children and function props
+ */
+function table(props = {}, sortMethod = undefined) {
+    return <Table data={data} rowKey="id" sort="score" selectable="multi"
+        dataTrProps={() => {
+            renderedRows++;
+            return {};
+        }} {...props}>
+        <Column id="name" header="Name" value={(row) => row.name}
+            sortId="name" />
+        <Group id="values" header="Values">
+            <Column id="score" header="Score" value={(row) => row.score}
+                sortId="score" sortMethod={sortMethod &&
+                    ((args) => sortMethod(args))} />
+            <Column id="price" header="Price" value={(row) => row.price}
+                render={({value}) => value.toFixed(2)} />
+        </Group>
+    </Table>;
+}
+
+
+/**
+ * Count the data rows rendered by the initial render and re-renders of a
+ * table.
+ *
+ * @param {boolean} pureRows - pureRows prop of the table
+ * @returns {object} - {rows, output}, where rows are the numbers of rendered
+ *                     data rows by scenario, and output is the serialized
+ *                     tree after the last scenario
+ */
+function measure(pureRows) {
+    var renderer;
+    const rows = {};
+    const scenario = (name, fn) => {
+        renderedRows = 0;
+        fn();
+        rows[name] = renderedRows;
+    };
+    scenario('mount', () => {
+        renderer = TestRenderer.create(table({pureRows}));
+    });
+    scenario('parentRender', () => {
+        renderer.update(table({pureRows}));
+    });
+    const instance = renderer.root.findByType(Table).instance;
+    scenario('selectRow', () => {
+        instance.toggleRowSelection(0);
+    });
+    scenario('sort', () => {
+        instance.sortBy('name');
+    });
+    // Serialized without the generated header ids, as comparing the large
+    // trees with jest matchers is slow
+    const output = JSON.stringify(renderer.toJSON())
+        .replace(/table-header-\d+/g, '');
+    renderer.unmount();
+    return {rows, output};
+}
+
+
+test(`render ${ROWS} rows`, () => {
+    const impure = measure(false);
+    const pure = measure(true);
+    expect(pure.output === impure.output).toBe(true);
+    expect(impure.rows).toEqual({
+        mount: ROWS, parentRender: ROWS, selectRow: ROWS, sort: ROWS
+    });
+    // Pure rows skip rows whose props are unchanged; sorting gives nearly
+    // every row a new display position, so those rows are rendered again
+    const byScore = _.sortBy(_.range(ROWS), (i) => data[i].score);
+    const byName = _.sortBy(_.range(ROWS), (i) => data[i].name);
+    const moved = _.size(_.filter(byName, (i, position) =>
+        byScore[position] !== i));
+    expect(pure.rows).toEqual({
+        mount: ROWS, parentRender: 0, selectRow: 1, sort: moved
+    });
+});
+
+
+test(`sort ${ROWS} rows`, () => {
+    var comparisons = 0;
+    const sortMethod = ({a, b}) => {
+        comparisons++;
+        return a.score - b.score;
+    };
+    const renderer = TestRenderer.create(table({}, sortMethod));
+    const instance = renderer.root.findByType(Table).instance;
+    const indexes = instance.sortedDataIndexes();
+    const scores = _.map(indexes, (i) => data[i].score);
+    expect(indexes).toHaveLength(ROWS);
+    expect(scores).toEqual(_.sortBy(scores));
+    // Parent renders with new inline columns reuse the sorted indexes
+    comparisons = 0;
+    renderer.update(table({}, sortMethod));
+    expect(instance.sortedDataIndexes()).toBe(indexes);
+    expect(comparisons).toBe(0);
+    renderer.unmount();
+});
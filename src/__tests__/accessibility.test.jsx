@@ -0,0 +1,144 @@
+import React from 'react';
+import _ from 'lodash';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+const data = [
+    {name: 'b', n: 1, m: 3},
+    {name: 'a', n: 2, m: 4}
+];
+
+const table = (props = {}, options) => mount(
+    <Table data={data} {...props}>
+        <Column id="name" header="Name" sortId="name"
+            value={(row) => row.name} />
+        <Group id="g" header="G">
+            <Column id="n" header="N" sortId="n" value={(row) => row.n} />
+            <Column id="m" header="M" value={(row) => row.m} />
+        </Group>
+    </Table>,
+    options
+);
+
+const liveRegion = (wrapper) => wrapper.find('div[aria-live="polite"]');
+
+
+describe('accessible headers', () => {
+
+    test('expose the primary sort order through aria-sort', () => {
+        const wrapper = table({sort: [
+            {sort: 'n', descending: true}, {sort: 'name'}
+        ]});
+        const ids = wrapper.find('thead th').map((th) => th.prop('id'));
+        expect(_.uniq(_.compact(ids))).toHaveLength(4);
+        expect(wrapper.find('thead th').map((th) => th.prop('aria-sort')))
+            .toEqual(['none', undefined, 'descending', undefined]);
+        expect(wrapper.find('thead th').map((th) => th.prop('scope')))
+            .toEqual(['col', 'colgroup', 'col', 'col']);
+    });
+
+    test('sort with Enter and Space', () => {
+        const wrapper = table();
+        const name = wrapper.find('thead th').at(0);
+        expect(name.prop('tabIndex')).toBe(0);
+        name.simulate('keyDown', {key: 'Enter'});
+        expect(columnTexts(wrapper)).toEqual(['a', 'b']);
+        wrapper.find('thead th').at(0).simulate('keyDown', {key: ' '});
+        expect(columnTexts(wrapper)).toEqual(['b', 'a']);
+        wrapper.find('thead th').at(2).simulate('keyDown', {key: 'x'});
+        expect(wrapper.state('sort')).toEqual(
+            [{sort: 'name', descending: true}]);
+    });
+
+    test('add to the sort stack with Shift', () => {
+        const wrapper = table({sort: 'name'});
+        wrapper.find('thead th').at(2)
+            .simulate('keyDown', {key: 'Enter', shiftKey: true});
+        expect(wrapper.state('sort')).toEqual([
+            {sort: 'name', descending: false},
+            {sort: 'n', descending: false}
+        ]);
+    });
+
+});
+
+
+describe('sort announcements', () => {
+
+    test('are disabled by default', () => {
+        const wrapper = table();
+        expect(liveRegion(wrapper)).toHaveLength(0);
+        expect(wrapper.children().first().type()).toBe('table');
+    });
+
+    test('announce the sort order in a live region', () => {
+        const wrapper = table({announceSort: true});
+        expect(liveRegion(wrapper).text()).toBe('Not sorted');
+        wrapper.instance().sortBy([
+            {sort: 'n', descending: true}, {sort: 'name'}
+        ]);
+        wrapper.update();
+        expect(liveRegion(wrapper).text())
+            .toBe('Sorted by N descending, then by Name ascending');
+    });
+
+    test('use a custom renderer', () => {
+        const wrapper = table({
+            announceSort: true, sort: 'name',
+            renderSortAnnouncement: ({sort}) => `${sort.length} orders`
+        });
+        expect(liveRegion(wrapper).text()).toBe('1 orders');
+    });
+
+});
+
+
+describe('grid navigation', () => {
+
+    const gridTable = () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        return table({grid: true}, {attachTo: container});
+    };
+
+    const focused = () => document.activeElement.textContent;
+
+    test('uses a roving tabindex', () => {
+        const wrapper = gridTable();
+        expect(wrapper.find('table').prop('role')).toBe('grid');
+        const cells = wrapper.getDOMNode().querySelectorAll('th, td');
+        expect([...cells].map((cell) => cell.tabIndex))
+            .toEqual([0, -1, -1, -1, -1, -1, -1, -1, -1, -1]);
+        wrapper.detach();
+    });
+
+    test('moves focus with arrow keys', () => {
+        const wrapper = gridTable();
+        const press = (key, options = {}) => wrapper.find('table')
+            .simulate('keyDown', {key, ...options,
+                target: document.activeElement});
+        wrapper.getDOMNode().querySelector('th').focus();
+        press('ArrowRight');
+        expect(focused()).toBe('G');
+        press('ArrowLeft');
+        expect(focused()).toBe('Name');
+        wrapper.getDOMNode().querySelector('td').focus();
+        press('ArrowRight');
+        expect(focused()).toBe('1');
+        press('ArrowDown');
+        expect(focused()).toBe('2');
+        expect(document.activeElement.tabIndex).toBe(0);
+        press('ArrowUp');
+        expect(focused()).toBe('1');
+        press('Home');
+        expect(focused()).toBe('b');
+        press('End', {ctrlKey: true});
+        expect(focused()).toBe('4');
+        press('Home', {ctrlKey: true});
+        expect(focused()).toBe('Name');
+        wrapper.detach();
+    });
+
+});
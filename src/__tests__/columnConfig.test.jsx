@@ -0,0 +1,137 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import {
+    Table, Column, Group, configToElements, elementsToConfig
+} from '../table.jsx';
+import { cellLayout, cellTexts, columnTexts } from './helpers.jsx';
+
+
+const data = [
+    {name: 'b', stats: {score: 10, rank: 2}},
+    {name: 'a', stats: {score: 9, rank: 1}}
+];
+
+const columns = [
+    {id: 'name', header: 'Name', field: 'name', sortable: true},
+    {id: 'stats', header: 'Stats', children: [
+        {id: 'score', header: 'Score', field: 'stats.score', sortable: true,
+            type: 'number'},
+        {id: 'rank', header: 'Rank', field: ['stats', 'rank']}
+    ]}
+];
+
+
+describe('columns prop', () => {
+
+    test('renders columns and groups from plain objects', () => {
+        const wrapper = mount(<Table data={data} columns={columns} />);
+        expect(cellLayout(wrapper)).toEqual(['Name^2|Stats<2', 'Score|Rank']);
+        expect(cellTexts(wrapper)).toEqual([['b', '10', '2'], ['a', '9', '1']]);
+    });
+
+    test('derives sort ids and sort methods', () => {
+        const wrapper = mount(
+            <Table data={data} columns={columns} sort="score" />);
+        expect(columnTexts(wrapper)).toEqual(['a', 'b']);
+        wrapper.instance().sortBy('name', true);
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['b', 'a']);
+    });
+
+    test('takes precedence over children', () => {
+        const wrapper = mount(
+            <Table data={data} columns={[{id: 'n', field: 'name'}]}>
+                <Column id="x" value={() => 'x'} />
+                <Column id="y" value={() => 'y'} />
+            </Table>
+        );
+        expect(cellTexts(wrapper)).toEqual([['b'], ['a']]);
+    });
+
+});
+
+
+describe('column config validation', () => {
+
+    const render = (config) => () =>
+        mount(<Table data={data} columns={config} />);
+
+    test('rejects columns without a field or value', () => {
+        expect(render([{id: 'name'}])).toThrow(
+            new TypeError('columns[0] needs a field or a value function'));
+    });
+
+    test('rejects unknown options and invalid values', () => {
+        expect(render([{id: 'a', field: 'a', feild: 'b'}])).toThrow(
+            new TypeError('columns[0] has unknown column option "feild"'));
+        expect(render([{id: 'a', value: 'a'}])).toThrow(
+            new TypeError('columns[0].value must be a function'));
+        expect(render([{id: 'a', field: 'a', type: 'money'}])).toThrow(
+            /^columns\[0\]\.type must be one of string, natural, number/);
+    });
+
+    test('names the location of nested definitions', () => {
+        expect(render([{id: 'g', children: [{id: 'a', field: 'a'}, 'b']}]))
+            .toThrow(new TypeError(
+                'columns[0].children[1] must be a plain object, got string'));
+        expect(render([{id: 'g', children: []}])).toThrow(/^columns\[0\]/);
+    });
+
+    test('rejects duplicate ids', () => {
+        expect(render([
+            {id: 'a', field: 'a'}, {id: 'g', children: [{id: 'a', field: 'b'}]}
+        ])).toThrow(new Error(
+            'columns[1].children[0].id "a" is already used by columns[0]'));
+    });
+
+});
+
+
+describe('column elements', () => {
+
+    test('without a field or value fail when defined', () => {
+        expect(() => mount(
+            <Table data={data}>
+                <Column id="name" header="Name" />
+                <Column id="rank" field="stats.rank" />
+            </Table>
+        )).toThrow(new TypeError(
+            '<Column id="name"> needs a field or a value function'));
+        expect(() => new Column({...Column.defaultProps})).toThrow(
+            new TypeError('<Column> needs a field or a value function'));
+    });
+
+});
+
+
+describe('config conversion', () => {
+
+    test('converts config to elements', () => {
+        const elements = configToElements(columns);
+        expect(elements.map((e) => e.type)).toEqual([Column, Group]);
+        expect(elements[1].props.children[0].props)
+            .toMatchObject({id: 'score', field: 'stats.score'});
+    });
+
+    test('converts elements to config', () => {
+        expect(elementsToConfig(configToElements(columns))).toEqual(columns);
+    });
+
+    test('leaves default props out', () => {
+        const render = ({value}) => value;
+        expect(elementsToConfig([
+            <Column id="a" header="A" field="a" render={render} />,
+            <Column id="b" header="B" field="b" hidden={false} />
+        ])).toEqual([
+            {id: 'a', header: 'A', field: 'a', render},
+            {id: 'b', header: 'B', field: 'b'}
+        ]);
+    });
+
+    test('rejects other elements', () => {
+        expect(() => elementsToConfig([<div />])).toThrow(new TypeError(
+            'Only <Column> and <Group> elements can be converted to ' +
+            'column definitions, got <div>'));
+    });
+
+});
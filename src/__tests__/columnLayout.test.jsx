@@ -0,0 +1,144 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { cellLayout, lastCall } from './helpers.jsx';
+
+
+const data = [{a: 1, b: 2, c: 3, d: 4}];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="a" header="A" width={50} minWidth={20} maxWidth={100}
+            value={(row) => row.a} />
+        <Group id="g" header="G">
+            <Column id="b" header="B" value={(row) => row.b} />
+            <Column id="c" header="C" value={(row) => row.c} />
+        </Group>
+        <Column id="d" header="D" value={(row) => row.d} />
+    </Table>
+);
+
+const header = (wrapper, text) =>
+    wrapper.find('thead th').filterWhere((th) => th.text() === text);
+
+const colStyles = (wrapper) =>
+    wrapper.find('colgroup col').map((col) => col.prop('style'));
+
+
+describe('column order', () => {
+
+    test('applies the initial column order', () => {
+        const wrapper = table({columnOrder: ['d', 'g', 'c', 'b', 'a']});
+        expect(cellLayout(wrapper)).toEqual(['D^2|G<2|A^2', 'C|B']);
+    });
+
+    test('moves columns among their siblings', () => {
+        const wrapper = table();
+        wrapper.instance().moveColumn('d', 'a');
+        wrapper.update();
+        expect(cellLayout(wrapper)).toEqual(['D^2|A^2|G<2', 'B|C']);
+        wrapper.instance().moveColumn('c', 'b');
+        wrapper.update();
+        expect(cellLayout(wrapper)).toEqual(['D^2|A^2|G<2', 'C|B']);
+    });
+
+    test('ignores moves out of the parent group', () => {
+        const wrapper = table();
+        wrapper.instance().moveColumn('b', 'a');
+        expect(wrapper.state('columnOrder')).toEqual([]);
+    });
+
+    test('moves columns by dragging their headers', () => {
+        const wrapper = table({reorderable: true});
+        const dataTransfer = {setData: jest.fn()};
+        header(wrapper, 'A').simulate('dragStart', {dataTransfer});
+        expect(dataTransfer.setData).toHaveBeenCalledWith('text/plain', 'a');
+        const preventDefault = jest.fn();
+        header(wrapper, 'B').simulate('dragOver', {preventDefault});
+        expect(preventDefault).not.toHaveBeenCalled();
+        header(wrapper, 'D').simulate('dragOver', {preventDefault});
+        expect(preventDefault).toHaveBeenCalled();
+        header(wrapper, 'D').simulate('drop');
+        expect(cellLayout(wrapper)).toEqual(['G<2|D^2|A^2', 'B|C']);
+    });
+
+    test('reports changes in controlled mode', () => {
+        const onColumnOrderChange = jest.fn();
+        const wrapper = table({columnOrder: [], onColumnOrderChange});
+        wrapper.instance().moveColumn('d', 'a');
+        expect(lastCall(onColumnOrderChange))
+            .toEqual(['d', 'a', 'b', 'c', 'g']);
+        expect(cellLayout(wrapper)[0]).toBe('A^2|G<2|D^2');
+        wrapper.setProps({columnOrder: ['d', 'a', 'b', 'c', 'g']});
+        expect(cellLayout(wrapper)[0]).toBe('D^2|A^2|G<2');
+    });
+
+    test('keeps the columns when the controlled order is equal', () => {
+        const wrapper = table({
+            columnOrder: ['d'], onColumnOrderChange: jest.fn()
+        });
+        const columns = wrapper.state('columns');
+        wrapper.setProps({columnOrder: ['d']});
+        expect(wrapper.state('columns')).toBe(columns);
+    });
+
+});
+
+
+describe('column widths', () => {
+
+    test('renders a colgroup for sized columns', () => {
+        const wrapper = table();
+        expect(colStyles(wrapper)).toEqual([
+            {width: 50, minWidth: 20, maxWidth: 100}, {}, {}, {}
+        ]);
+    });
+
+    test('limits widths by minWidth and maxWidth', () => {
+        const wrapper = table();
+        wrapper.instance().resizeColumn('a', 500);
+        wrapper.update();
+        expect(colStyles(wrapper)[0].width).toBe(100);
+        wrapper.instance().resizeColumn('a', 5);
+        wrapper.update();
+        expect(colStyles(wrapper)[0].width).toBe(20);
+        expect(wrapper.state('columnWidths')).toEqual({a: 20});
+    });
+
+    test('resizes columns by dragging the resize handle', () => {
+        const wrapper = table({resizable: true});
+        const handle = header(wrapper, 'D').find('span');
+        Object.defineProperty(handle.getDOMNode().parentNode, 'offsetWidth',
+            {value: 80});
+        handle.simulate('mouseDown', {clientX: 100});
+        const move = new MouseEvent('mousemove', {clientX: 130});
+        document.dispatchEvent(move);
+        document.dispatchEvent(new MouseEvent('mouseup'));
+        document.dispatchEvent(new MouseEvent('mousemove', {clientX: 200}));
+        wrapper.update();
+        expect(wrapper.state('columnWidths')).toEqual({d: 110});
+        expect(colStyles(wrapper)[3]).toEqual({width: 110});
+    });
+
+    test('reports changes in controlled mode', () => {
+        const onColumnWidthsChange = jest.fn();
+        const wrapper = table({columnWidths: {}, onColumnWidthsChange});
+        wrapper.instance().resizeColumn('d', 70);
+        expect(lastCall(onColumnWidthsChange)).toEqual({d: 70});
+        expect(wrapper.state('columnWidths')).toEqual({});
+        wrapper.setProps({columnWidths: {d: 70}});
+        expect(colStyles(wrapper)[3]).toEqual({width: 70});
+    });
+
+    test('keeps the widths state when the controlled widths are equal', () => {
+        const wrapper = table({onColumnWidthsChange: jest.fn()});
+        const columnWidths = wrapper.state('columnWidths');
+        wrapper.setProps({columnWidths: undefined});
+        expect(wrapper.state('columnWidths')).toBe(columnWidths);
+        wrapper.setProps({columnWidths: {d: 70}});
+        const widths = wrapper.state('columnWidths');
+        wrapper.setProps({columnWidths: {d: 70}});
+        expect(wrapper.state('columnWidths')).toBe(widths);
+    });
+
+});
@@ -0,0 +1,126 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { cellTexts, columnTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {a: 'x', b: 2, c: 1},
+    {a: 'y', b: 1, c: 2}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="a" header="A" value={(row) => row.a} />
+        <Group id="g" header="G">
+            <Column id="b" header="B" sortId="b" value={(row) => row.b} />
+            <Column id="c" header="C" sortId="c" value={(row) => row.c} />
+        </Group>
+        <Column id="secret" header="Secret" hidden value={() => '?'} />
+    </Table>
+);
+
+const chooser = (wrapper) => wrapper.find('ul input[type="checkbox"]');
+
+
+describe('column visibility', () => {
+
+    test('skips statically hidden columns', () => {
+        const wrapper = table();
+        expect(cellTexts(wrapper, 'thead')).toEqual([
+            ['A', 'G'], ['B', 'C']
+        ]);
+        expect(cellTexts(wrapper)[0]).toEqual(['x', '2', '1']);
+    });
+
+    test('hides columns and groups by id', () => {
+        const wrapper = table({hiddenColumns: ['g']});
+        expect(cellTexts(wrapper, 'thead')).toEqual([['A']]);
+        expect(cellTexts(wrapper)).toEqual([['x'], ['y']]);
+    });
+
+    test('toggleColumn hides and shows a column', () => {
+        const wrapper = table();
+        wrapper.instance().toggleColumn('b');
+        wrapper.update();
+        expect(cellTexts(wrapper)[0]).toEqual(['x', '1']);
+        wrapper.instance().toggleColumn('b', false);
+        wrapper.update();
+        expect(cellTexts(wrapper)[0]).toEqual(['x', '2', '1']);
+    });
+
+    test('suspends sorting by hidden columns', () => {
+        const wrapper = table({sort: [
+            {sort: 'b'}, {sort: 'c', descending: true}
+        ]});
+        expect(columnTexts(wrapper)).toEqual(['y', 'x']);
+        wrapper.instance().toggleColumn('b', true);
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['y', 'x']);
+        wrapper.instance().toggleColumn('c', true);
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['x', 'y']);
+    });
+
+});
+
+
+describe('column chooser', () => {
+
+    test('lists columns and groups with an id', () => {
+        const wrapper = table({columnChooser: true, hiddenColumns: ['c']});
+        expect(wrapper.find('ul li').map((li) => li.text()))
+            .toEqual(['A', 'G', 'B', 'C']);
+        expect(chooser(wrapper).map((input) => input.prop('checked')))
+            .toEqual([true, true, true, false]);
+        expect(wrapper.find('ul li').at(2).prop('style'))
+            .toEqual({paddingLeft: '1em'});
+    });
+
+    test('toggles columns', () => {
+        const wrapper = table({columnChooser: true});
+        chooser(wrapper).at(1).simulate('change');
+        expect(wrapper.state('hiddenColumns')).toEqual(['g']);
+        expect(cellTexts(wrapper, 'thead')).toEqual([['A']]);
+    });
+
+});
+
+
+describe('controlled column visibility', () => {
+
+    test('reports changes without hiding', () => {
+        const onHiddenColumnsChange = jest.fn();
+        const wrapper = table({hiddenColumns: [], onHiddenColumnsChange});
+        wrapper.instance().toggleColumn('a');
+        expect(lastCall(onHiddenColumnsChange)).toEqual(['a']);
+        wrapper.update();
+        expect(cellTexts(wrapper)[0]).toEqual(['x', '2', '1']);
+        wrapper.setProps({hiddenColumns: ['a']});
+        expect(cellTexts(wrapper)[0]).toEqual(['2', '1']);
+    });
+
+    test('keeps the hidden columns state when the props are equal', () => {
+        const wrapper = table({
+            hiddenColumns: ['a'], onHiddenColumnsChange: jest.fn()
+        });
+        const hiddenColumns = wrapper.state('hiddenColumns');
+        wrapper.setProps({hiddenColumns: ['a']});
+        expect(wrapper.state('hiddenColumns')).toBe(hiddenColumns);
+        const none = table({onHiddenColumnsChange: jest.fn()});
+        const empty = none.state('hiddenColumns');
+        none.setProps({data: [...data]});
+        expect(none.state('hiddenColumns')).toBe(empty);
+    });
+
+    test('warns when switching modes', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table();
+        wrapper.setProps({onHiddenColumnsChange: jest.fn()});
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from uncontrolled to controlled ' +
+            'column visibility');
+        warn.mockRestore();
+    });
+
+});
@@ -0,0 +1,119 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+const data = [
+    {name: 'b', date: 2},
+    {name: 'c', date: 3},
+    {name: 'a', date: 1}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="name" header="Name" sortId="name"
+            value={(row) => row.name} />
+        <Column id="date" header="Date" sortId="date"
+            value={(row) => row.date} />
+    </Table>
+);
+
+const clickHeader = (wrapper, index) =>
+    wrapper.find('thead th').at(index).simulate('click');
+
+
+describe('uncontrolled sorting', () => {
+
+    test('starts from the sort props and sorts on header clicks', () => {
+        const wrapper = table({sort: 'date', descending: true});
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+        clickHeader(wrapper, 0);
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('ignores later sort props', () => {
+        const wrapper = table({sort: 'date'});
+        wrapper.setProps({sort: 'name', descending: true});
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+    });
+
+});
+
+
+describe('controlled sorting', () => {
+
+    test('reports header clicks without sorting', () => {
+        const onSortChange = jest.fn();
+        const wrapper = table({sort: 'date', onSortChange});
+        clickHeader(wrapper, 0);
+        expect(onSortChange).toHaveBeenCalledWith(
+            {sort: 'name', descending: false});
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+        wrapper.setProps({sort: 'name'});
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+        wrapper.setProps({sort: 'name', descending: true});
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+    });
+
+    test('reports sort stacks as arrays', () => {
+        const onSortChange = jest.fn();
+        const wrapper = table({sort: 'date', onSortChange});
+        wrapper.find('thead th').at(0).simulate('click', {shiftKey: true});
+        expect(onSortChange).toHaveBeenCalledWith({
+            sort: [
+                {sort: 'date', descending: false},
+                {sort: 'name', descending: false}
+            ],
+            descending: false
+        });
+    });
+
+    test('keeps the sort state when the props sort is equal', () => {
+        const onSortChange = jest.fn();
+        const wrapper = table({sort: [{sort: 'date'}], onSortChange});
+        const sort = wrapper.state('sort');
+        wrapper.setProps({sort: [{sort: 'date'}]});
+        expect(wrapper.state('sort')).toBe(sort);
+        wrapper.setProps({sort: [{sort: 'date', descending: true}]});
+        expect(wrapper.state('sort')).not.toBe(sort);
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+    });
+
+});
+
+
+describe('switching sort modes', () => {
+
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    test('warns when becoming controlled', () => {
+        const wrapper = table({sort: 'date'});
+        wrapper.setProps({
+            sort: 'name', descending: true, onSortChange: jest.fn()
+        });
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from uncontrolled to controlled sorting');
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+    });
+
+    test('warns when becoming uncontrolled', () => {
+        const wrapper = table({sort: 'date', onSortChange: jest.fn()});
+        wrapper.setProps({sort: 'date', onSortChange: undefined});
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from controlled to uncontrolled sorting');
+        clickHeader(wrapper, 0);
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+        clickHeader(wrapper, 0);
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+    });
+
+});
@@ -0,0 +1,144 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { cellTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {id: 'a', name: 'Ann', age: 30, note: 'x'},
+    {id: 'b', name: 'Bob', age: 40, note: 'y'}
+];
+
+const validateAge = ({value}) =>
+    /^\d+$/.test(value) ? undefined : 'Not a number';
+
+const table = (props = {}) => mount(
+    <Table data={data} rowKey="id" {...props}>
+        <Column id="name" header="Name" editable value={(row) => row.name} />
+        <Group id="g" header="G">
+            <Column id="age" header="Age" editable validate={validateAge}
+                value={(row) => row.age} />
+            <Column id="note" header="Note" value={(row) => row.note} />
+            <Column id="id" header="Id" editable={({row}) => row.id === 'b'}
+                value={(row) => row.id} />
+        </Group>
+    </Table>
+);
+
+const cell = (wrapper, row, col) =>
+    wrapper.find('tbody tr').at(row).find('td').at(col);
+
+const editor = (wrapper) => wrapper.find('tbody input');
+
+const type = (wrapper, value) =>
+    editor(wrapper).simulate('change', {target: {value}});
+
+const key = (wrapper, key, options = {}) =>
+    editor(wrapper).simulate('keyDown', {key, ...options});
+
+// Position of the edited cell as [row, column]
+const editedCell = (wrapper) => {
+    const input = editor(wrapper);
+    const tr = input.closest('tr');
+    return [
+        wrapper.find('tbody tr').map((r) => r.key()).indexOf(tr.key()),
+        tr.find('td').map((td) => td.find('input').length).indexOf(1)
+    ];
+};
+
+
+describe('cell editing', () => {
+
+    test('starts with a double-click or Enter on editable cells', () => {
+        const wrapper = table();
+        cell(wrapper, 0, 2).simulate('doubleClick');
+        expect(editor(wrapper)).toHaveLength(0);
+        cell(wrapper, 0, 0).simulate('doubleClick');
+        expect(editor(wrapper).prop('value')).toBe('Ann');
+        key(wrapper, 'Escape');
+        expect(editor(wrapper)).toHaveLength(0);
+        cell(wrapper, 1, 1).simulate('keyDown', {key: 'Enter'});
+        expect(editor(wrapper).prop('value')).toBe(40);
+    });
+
+    test('only makes cells editable where the editable function allows', () => {
+        const wrapper = table();
+        expect(cell(wrapper, 0, 3).prop('tabIndex')).toBeUndefined();
+        expect(cell(wrapper, 1, 3).prop('tabIndex')).toBe(0);
+        cell(wrapper, 0, 3).simulate('doubleClick');
+        expect(editor(wrapper)).toHaveLength(0);
+    });
+
+    test('reports committed changes through onCellChange', () => {
+        const onCellChange = jest.fn();
+        const wrapper = table({onCellChange});
+        cell(wrapper, 1, 0).simulate('doubleClick');
+        type(wrapper, 'Rob');
+        key(wrapper, 'Enter');
+        expect(editor(wrapper)).toHaveLength(0);
+        const change = lastCall(onCellChange);
+        expect(change).toMatchObject({
+            row: data[1], rowIndex: 1, rowKey: 'b', value: 'Rob'
+        });
+        expect(change.column.props.id).toBe('name');
+        // Data is not modified by the table
+        expect(cellTexts(wrapper)[1][0]).toBe('Bob');
+    });
+
+    test('does not report unchanged or cancelled values', () => {
+        const onCellChange = jest.fn();
+        const wrapper = table({onCellChange});
+        cell(wrapper, 0, 0).simulate('doubleClick');
+        editor(wrapper).simulate('blur');
+        cell(wrapper, 0, 0).simulate('doubleClick');
+        type(wrapper, 'Anna');
+        key(wrapper, 'Escape');
+        expect(onCellChange).not.toHaveBeenCalled();
+    });
+
+    test('shows validation errors in the cell', () => {
+        const onCellChange = jest.fn();
+        const wrapper = table({onCellChange});
+        cell(wrapper, 0, 1).simulate('doubleClick');
+        type(wrapper, 'old');
+        key(wrapper, 'Enter');
+        expect(cell(wrapper, 0, 1).find('[role="alert"]').text())
+            .toBe('Not a number');
+        expect(onCellChange).not.toHaveBeenCalled();
+        type(wrapper, '31');
+        expect(cell(wrapper, 0, 1).find('[role="alert"]')).toHaveLength(0);
+        key(wrapper, 'Enter');
+        expect(lastCall(onCellChange).value).toBe('31');
+    });
+
+    test('moves between editable cells with Tab and Shift-Tab', () => {
+        const wrapper = table();
+        cell(wrapper, 0, 0).simulate('doubleClick');
+        key(wrapper, 'Tab');
+        expect(editedCell(wrapper)).toEqual([0, 1]);
+        key(wrapper, 'Tab');
+        expect(editedCell(wrapper)).toEqual([1, 0]);
+        key(wrapper, 'Tab');
+        key(wrapper, 'Tab');
+        expect(editedCell(wrapper)).toEqual([1, 3]);
+        key(wrapper, 'Tab', {shiftKey: true});
+        expect(editedCell(wrapper)).toEqual([1, 1]);
+    });
+
+    test('stays in the cell when Tab commits an invalid value', () => {
+        const wrapper = table();
+        cell(wrapper, 0, 1).simulate('doubleClick');
+        type(wrapper, '');
+        key(wrapper, 'Tab');
+        expect(editedCell(wrapper)).toEqual([0, 1]);
+    });
+
+    test('follows the edited row by key when the data changes', () => {
+        const wrapper = table();
+        cell(wrapper, 1, 0).simulate('doubleClick');
+        wrapper.setProps({data: [{...data[1], age: 41}, data[0]]});
+        expect(editedCell(wrapper)).toEqual([0, 0]);
+        expect(editor(wrapper).prop('value')).toBe('Bob');
+    });
+
+});
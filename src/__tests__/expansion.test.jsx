@@ -0,0 +1,135 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { cellTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {id: 'a', n: 2},
+    {id: 'b', n: 1}
+];
+
+const renderExpanded = ({row, content, loading, error}) =>
+    loading ? 'loading' : (error ? `error ${error}` : `${row.id} ${content}`);
+
+const table = (props = {}) => mount(
+    <Table data={data} expandColumn renderExpanded={renderExpanded}
+        {...props}>
+        <Column id="id" header="Id" sortId="id" value={(row) => row.id} />
+        <Column id="n" header="N" sortId="n" value={(row) => row.n} />
+    </Table>
+);
+
+const toggles = (wrapper) => wrapper.find('tbody button');
+
+// Resolve pending loadExpanded promises
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+
+describe('expansion', () => {
+
+    test('renders a detail row below expanded rows', () => {
+        const wrapper = table({expanded: [data[1]]});
+        expect(cellTexts(wrapper)).toEqual([
+            ['▸', 'a', '2'],
+            ['▾', 'b', '1'],
+            ['b undefined']
+        ]);
+        expect(wrapper.find('tbody tr').at(2).find('td').prop('colSpan'))
+            .toBe(3);
+    });
+
+    test('toggles rows with the expansion column', () => {
+        const wrapper = table();
+        toggles(wrapper).at(0).simulate('click');
+        expect(toggles(wrapper).at(0).prop('aria-expanded')).toBe(true);
+        expect(cellTexts(wrapper)).toHaveLength(3);
+        toggles(wrapper).at(0).simulate('click');
+        expect(cellTexts(wrapper)).toHaveLength(2);
+    });
+
+    test('keeps detail rows attached when re-sorted', () => {
+        const wrapper = table({expanded: [data[0]], sort: 'n'});
+        expect(cellTexts(wrapper)).toEqual([
+            ['▸', 'b', '1'],
+            ['▾', 'a', '2'],
+            ['a undefined']
+        ]);
+    });
+
+    test('has no expansion column unless requested', () => {
+        const wrapper = table({expandColumn: false, expanded: [data[0]]});
+        expect(cellTexts(wrapper, 'thead')).toEqual([['Id', 'N']]);
+        expect(cellTexts(wrapper)).toHaveLength(3);
+    });
+
+});
+
+
+describe('expanded content loading', () => {
+
+    test('loads content once when a row is first expanded', () => {
+        const loadExpanded = jest.fn(({row}) => Promise.resolve(row.n * 10));
+        const wrapper = table({loadExpanded});
+        toggles(wrapper).at(0).simulate('click');
+        expect(cellTexts(wrapper)[1]).toEqual(['loading']);
+        return flush().then(() => {
+            wrapper.update();
+            expect(cellTexts(wrapper)[1]).toEqual(['a 20']);
+            toggles(wrapper).at(0).simulate('click');
+            toggles(wrapper).at(0).simulate('click');
+            expect(cellTexts(wrapper)[1]).toEqual(['a 20']);
+            expect(loadExpanded).toHaveBeenCalledTimes(1);
+            expect(lastCall(loadExpanded)).toMatchObject(
+                {row: data[0], rowIndex: 0});
+        });
+    });
+
+    test('passes load errors to renderExpanded', () => {
+        const loadExpanded = () => Promise.reject('failed');
+        const wrapper = table({loadExpanded, expanded: [data[1]]});
+        return flush().then(() => {
+            wrapper.update();
+            expect(cellTexts(wrapper)[2]).toEqual(['error failed']);
+        });
+    });
+
+});
+
+
+describe('controlled expansion', () => {
+
+    test('reports row keys without expanding', () => {
+        const onExpandedChange = jest.fn();
+        const wrapper = table({rowKey: 'id', expanded: [], onExpandedChange});
+        toggles(wrapper).at(1).simulate('click');
+        expect(lastCall(onExpandedChange)).toEqual(['b']);
+        expect(cellTexts(wrapper)).toHaveLength(2);
+        wrapper.setProps({expanded: ['b']});
+        expect(cellTexts(wrapper)[2]).toEqual(['b undefined']);
+    });
+
+    test('keeps the expansion state when the props are equal', () => {
+        const wrapper = table({
+            rowKey: 'id', expanded: ['b'], onExpandedChange: jest.fn()
+        });
+        const expanded = wrapper.state('expanded');
+        wrapper.setProps({expanded: ['b']});
+        expect(wrapper.state('expanded')).toBe(expanded);
+        wrapper.setProps({expanded: undefined});
+        const empty = wrapper.state('expanded');
+        expect(empty).toEqual([]);
+        wrapper.setProps({footerFiltered: true});
+        expect(wrapper.state('expanded')).toBe(empty);
+    });
+
+    test('warns when switching modes', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table({expanded: [], onExpandedChange: jest.fn()});
+        wrapper.setProps({onExpandedChange: undefined});
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from controlled to uncontrolled expansion');
+        warn.mockRestore();
+    });
+
+});
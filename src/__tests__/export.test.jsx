@@ -0,0 +1,107 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+
+
+const data = [
+    {id: 'b', n: 2, note: 'say "hi"'},
+    {id: 'a', n: 1, note: 'x,y'},
+    {id: 'c', n: 3, note: null}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} sort="id" selectable="multi" {...props}>
+        <Column id="id" header="Id" sortId="id" filterId="id"
+            filter="text" value={(row) => row.id} />
+        <Group id="g" header="G">
+            <Column id="n" header="N" value={(row) => row.n} />
+            <Column id="note" header="Note" value={(row) => row.note} />
+        </Group>
+        <Column id="secret" header="Secret" exportable={false}
+            value={() => '?'} />
+        <Column id="extra" header="Extra" hidden
+            exportValue={({rowKey}) => `#${rowKey}`} value={() => '-'} />
+    </Table>
+);
+
+
+describe('exportData', () => {
+
+    test('exports csv in display order', () => {
+        expect(table().instance().exportData()).toBe([
+            'Id,G / N,G / Note',
+            'a,1,"x,y"',
+            'b,2,"say ""hi"""',
+            'c,3,'
+        ].join('\r\n'));
+    });
+
+    test('exports tsv and json', () => {
+        const wrapper = table({filters: {id: 'a'}});
+        expect(wrapper.instance().exportData({format: 'tsv'}))
+            .toBe('Id\tG / N\tG / Note\r\na\t1\tx,y');
+        expect(JSON.parse(wrapper.instance().exportData({format: 'json'})))
+            .toEqual([{'Id': 'a', 'G / N': 1, 'G / Note': 'x,y'}]);
+    });
+
+    test('exports hidden columns and all rows on request', () => {
+        const wrapper = table({filters: {id: 'a'}, pageSize: 1});
+        expect(wrapper.instance().exportData({
+            visibleOnly: false, sortedOnly: false
+        })).toBe([
+            'Id,G / N,G / Note,Extra',
+            'b,2,"say ""hi""",#0',
+            'a,1,"x,y",#1',
+            'c,3,,#2'
+        ].join('\r\n'));
+    });
+
+    test('exports all rows of object data sets', () => {
+        const wrapper = table({data: {x: data[0], y: data[1]}});
+        expect(wrapper.instance().exportData({
+            format: 'tsv', visibleOnly: false, sortedOnly: false
+        })).toBe([
+            'Id\tG / N\tG / Note\tExtra',
+            'b\t2\t"say ""hi"""\t#x',
+            'a\t1\tx,y\t#y'
+        ].join('\r\n'));
+    });
+
+    test('rejects invalid formats', () => {
+        expect(() => table().instance().exportData({format: 'xml'}))
+            .toThrow(new TypeError('Invalid export format: xml'));
+    });
+
+});
+
+
+describe('copySelection', () => {
+
+    afterEach(() => {
+        delete navigator.clipboard;
+    });
+
+    test('copies the selected rows', () => {
+        const writeText = jest.fn(() => Promise.resolve());
+        navigator.clipboard = {writeText};
+        const wrapper = table({selected: ['c', 'a'], rowKey: 'id'});
+        return wrapper.instance().copySelection().then(() => {
+            expect(writeText).toHaveBeenCalledWith(
+                'Id\tG / N\tG / Note\r\na\t1\tx,y\r\nc\t3\t');
+        });
+    });
+
+    test('rejects without a clipboard', () => {
+        const wrapper = table();
+        let promise;
+        expect(() => {
+            promise = wrapper.instance().copySelection();
+        }).not.toThrow();
+        return promise.then(() => {
+            throw new Error('Expected a rejection');
+        }, (error) => {
+            expect(error.message).toBe('Clipboard is not available');
+        });
+    });
+
+});
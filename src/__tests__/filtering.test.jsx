@@ -0,0 +1,171 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, filterMethods } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+const data = [
+    {name: 'Apple', kind: 'fruit', price: 3},
+    {name: 'Carrot', kind: 'vegetable', price: 1},
+    {name: 'Banana', kind: 'fruit', price: 2},
+    {name: 'Pineapple', kind: 'fruit', price: 5}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="name" header="Name" filterId="name" filter="text"
+            value={(row) => row.name} />
+        <Column id="kind" header="Kind" filterId="kind" filter="set"
+            value={(row) => row.kind} />
+        <Column id="price" header="Price" filterId="price" filter="range"
+            value={(row) => row.price} />
+    </Table>
+);
+
+
+describe('filter methods', () => {
+
+    test('text matches substrings ignoring case', () => {
+        expect(filterMethods.text({value: 'Apple', filter: 'pp'})).toBe(true);
+        expect(filterMethods.text({value: 'Apple', filter: 'AP'})).toBe(true);
+        expect(filterMethods.text({value: null, filter: 'a'})).toBe(false);
+    });
+
+    test('range checks inclusive optional bounds', () => {
+        const range = filterMethods.range;
+        expect(range({value: 2, filter: {min: 2, max: 3}})).toBe(true);
+        expect(range({value: 4, filter: {max: 3}})).toBe(false);
+        expect(range({value: 4, filter: {min: '3'}})).toBe(true);
+        expect(range({value: 'x', filter: {min: 1}})).toBe(false);
+        expect(range({value: 'x', filter: {}})).toBe(true);
+    });
+
+    test('set matches any of the allowed values', () => {
+        expect(filterMethods.set({value: 1, filter: [1, 2]})).toBe(true);
+        expect(filterMethods.set({value: 3, filter: [1, 2]})).toBe(false);
+    });
+
+});
+
+
+describe('column filters', () => {
+
+    test('combine all active filters', () => {
+        const wrapper = table({filters: {
+            name: 'app', kind: ['fruit'], price: {max: 4}
+        }});
+        expect(columnTexts(wrapper)).toEqual(['Apple']);
+    });
+
+    test('ignore empty values and unknown filter ids', () => {
+        const wrapper = table({filters: {name: '', kind: [], other: 'x'}});
+        expect(columnTexts(wrapper)).toEqual(
+            ['Apple', 'Carrot', 'Banana', 'Pineapple']);
+    });
+
+    test('filterBy adds and removes a filter', () => {
+        const wrapper = table();
+        wrapper.instance().filterBy('price', {min: 2});
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['Apple', 'Banana', 'Pineapple']);
+        wrapper.instance().filterBy('price', '');
+        expect(wrapper.state('filters')).toEqual({});
+    });
+
+    test('accept a custom filter function', () => {
+        const wrapper = mount(
+            <Table data={data} filters={{cheap: true}}>
+                <Column id="name" value={(row) => row.name} />
+                <Column id="price" value={(row) => row.price}
+                    filterId="cheap" filter={({value, filter}) =>
+                        filter === (value < 3)} />
+            </Table>
+        );
+        expect(columnTexts(wrapper)).toEqual(['Carrot', 'Banana']);
+    });
+
+});
+
+
+describe('filter row', () => {
+
+    test('renders a filter cell for each column', () => {
+        const wrapper = table({filterRow: true});
+        const row = wrapper.find('thead tr').at(1);
+        expect(row.find('input[type="text"]')).toHaveLength(1);
+        expect(row.find('select option').map((o) => o.text()))
+            .toEqual(['fruit', 'vegetable']);
+        expect(row.find('input[type="number"]')).toHaveLength(2);
+    });
+
+    test('filters as the user types', () => {
+        const wrapper = table({filterRow: true});
+        wrapper.find('thead input[type="text"]')
+            .simulate('change', {target: {value: 'an'}});
+        expect(columnTexts(wrapper)).toEqual(['Banana']);
+    });
+
+});
+
+
+describe('global filter', () => {
+
+    test('matches rows where any searchable column matches', () => {
+        const wrapper = table({globalFilter: 'veg'});
+        expect(columnTexts(wrapper)).toEqual(['Carrot']);
+    });
+
+    test('skips columns that are not searchable', () => {
+        const wrapper = mount(
+            <Table data={data} globalFilter="fruit">
+                <Column id="name" value={(row) => row.name} />
+                <Column id="kind" value={(row) => row.kind}
+                    searchable={false} />
+            </Table>
+        );
+        expect(columnTexts(wrapper)).toEqual([]);
+    });
+
+    test('uses globalFilterMethod', () => {
+        const wrapper = table({
+            globalFilter: 2,
+            globalFilterMethod: ({value, filter}) => value === filter
+        });
+        expect(columnTexts(wrapper)).toEqual(['Banana']);
+    });
+
+});
+
+
+describe('controlled filtering', () => {
+
+    test('reports filter changes without filtering', () => {
+        const onFiltersChange = jest.fn();
+        const wrapper = table({filters: {}, onFiltersChange});
+        wrapper.instance().filterBy('name', 'car');
+        expect(onFiltersChange).toHaveBeenCalledWith({name: 'car'});
+        wrapper.update();
+        expect(columnTexts(wrapper)).toHaveLength(4);
+        wrapper.setProps({filters: {name: 'car'}});
+        expect(columnTexts(wrapper)).toEqual(['Carrot']);
+    });
+
+    test('keeps the filter state when the props filters are equal', () => {
+        const wrapper = table({
+            filters: {name: 'a'}, onFiltersChange: jest.fn()
+        });
+        const filters = wrapper.state('filters');
+        wrapper.setProps({filters: {name: 'a'}});
+        expect(wrapper.state('filters')).toBe(filters);
+    });
+
+    test('warns when switching modes', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table({filters: {}});
+        wrapper.setProps({onFiltersChange: jest.fn()});
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from uncontrolled to controlled filtering');
+        warn.mockRestore();
+    });
+
+});
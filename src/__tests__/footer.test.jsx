@@ -0,0 +1,124 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group, aggregators } from '../table.jsx';
+import { cellLayout, cellTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {name: 'a', x: 1, y: 10},
+    {name: 'b', x: 2, y: 20},
+    {name: 'c', x: 3, y: 30}
+];
+
+
+describe('column footers', () => {
+
+    const table = (props = {}) => mount(
+        <Table data={data} {...props}>
+            <Column id="name" footer="Total" filterId="name" filter="text"
+                value={(row) => row.name} />
+            <Column id="x" footer={aggregators.sum} value={(row) => row.x} />
+            <Column id="y" value={(row) => row.y} />
+        </Table>
+    );
+
+    test('render static and computed footers', () => {
+        const wrapper = table();
+        expect(cellTexts(wrapper, 'tfoot')).toEqual([['Total', '6', '']]);
+    });
+
+    test('summarize the whole data set by default', () => {
+        const wrapper = table({filters: {name: 'c'}});
+        expect(cellTexts(wrapper, 'tfoot')).toEqual([['Total', '6', '']]);
+    });
+
+    test('summarize the filtered rows with footerFiltered', () => {
+        const wrapper = table({filters: {name: 'c'}, footerFiltered: true});
+        expect(cellTexts(wrapper, 'tfoot')).toEqual([['Total', '3', '']]);
+    });
+
+    test('pass rows, values and column to footer functions', () => {
+        const footer = jest.fn(() => null);
+        mount(
+            <Table data={data}>
+                <Column id="x" footer={footer} value={(row) => row.x} />
+            </Table>
+        );
+        expect(lastCall(footer)).toMatchObject(
+            {rows: data, values: [1, 2, 3]});
+    });
+
+    test('are omitted without footers', () => {
+        const wrapper = mount(
+            <Table data={data}>
+                <Column id="name" value={(row) => row.name} />
+            </Table>
+        );
+        expect(wrapper.find('tfoot')).toHaveLength(0);
+    });
+
+    test('share the footer with the pager', () => {
+        const wrapper = table({pageSize: 2});
+        expect(cellLayout(wrapper, 'tfoot')).toEqual([
+            'Total|6|',
+            '‹ 1 / 2 (3) ›<3'
+        ]);
+    });
+
+});
+
+
+describe('column group footers', () => {
+
+    test('render below the footers of their child columns', () => {
+        const wrapper = mount(
+            <Table data={data}>
+                <Column id="name" footer="Total" value={(row) => row.name} />
+                <Group id="xy" header="XY"
+                    footer={({rows}) => rows.length}>
+                    <Column id="x" footer={aggregators.sum}
+                        value={(row) => row.x} />
+                    <Column id="y" footer={aggregators.max}
+                        value={(row) => row.y} />
+                </Group>
+            </Table>
+        );
+        expect(cellLayout(wrapper, 'tfoot')).toEqual([
+            'Total^2|6|30',
+            '3<2'
+        ]);
+    });
+
+    test('are omitted when no group has a footer', () => {
+        const wrapper = mount(
+            <Table data={data}>
+                <Column id="name" footer="Total" value={(row) => row.name} />
+                <Group id="xy" header="XY">
+                    <Column id="x" value={(row) => row.x} />
+                    <Column id="y" value={(row) => row.y} />
+                </Group>
+            </Table>
+        );
+        expect(cellLayout(wrapper, 'tfoot')).toEqual(['Total||']);
+    });
+
+    test('mirror nested groups', () => {
+        const wrapper = mount(
+            <Table data={data}>
+                <Group id="all" header="All" footer="all">
+                    <Column id="name" footer="n" value={(row) => row.name} />
+                    <Group id="xy" header="XY" footer="xy">
+                        <Column id="x" footer="x" value={(row) => row.x} />
+                        <Column id="y" footer="y" value={(row) => row.y} />
+                    </Group>
+                </Group>
+            </Table>
+        );
+        expect(cellLayout(wrapper, 'tfoot')).toEqual([
+            'n^2|x|y',
+            'xy<2',
+            'all<3'
+        ]);
+    });
+
+});
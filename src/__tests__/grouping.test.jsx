@@ -0,0 +1,174 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, aggregators } from '../table.jsx';
+import { cellTexts } from './helpers.jsx';
+
+
+const data = [
+    {name: 'a', kind: 'x', size: 'S', n: 1},
+    {name: 'b', kind: 'y', size: 'L', n: 2},
+    {name: 'c', kind: 'x', size: 'L', n: 3},
+    {name: 'd', kind: 'y', size: 'L', n: 4},
+    {name: 'e', kind: 'x', size: 'S', n: 5}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} groupBy="kind" {...props}>
+        <Column id="name" header="Name" sortId="name"
+            value={(row) => row.name} />
+        <Column id="kind" header="Kind" value={(row) => row.kind} />
+        <Column id="size" header="Size" value={(row) => row.size} />
+        <Column id="n" header="N" aggregate="sum" value={(row) => row.n} />
+    </Table>
+);
+
+const groupToggle = (wrapper, index) =>
+    wrapper.find('tbody td[colSpan=4] button').at(index);
+
+
+describe('aggregators', () => {
+
+    test('ignore undefined and null values except count', () => {
+        const values = [1, null, '2', undefined, 6];
+        expect(aggregators.sum({values})).toBe(9);
+        expect(aggregators.avg({values})).toBe(3);
+        expect(aggregators.min({values})).toBe(1);
+        expect(aggregators.max({values})).toBe(6);
+        expect(aggregators.count({values})).toBe(5);
+    });
+
+});
+
+
+describe('row grouping', () => {
+
+    test('renders group headers, rows and subtotals', () => {
+        const wrapper = table();
+        expect(cellTexts(wrapper)).toEqual([
+            ['▾ Kind: x (3)'],
+            ['a', 'x', 'S', '1'],
+            ['c', 'x', 'L', '3'],
+            ['e', 'x', 'S', '5'],
+            ['', '', '', '9'],
+            ['▾ Kind: y (2)'],
+            ['b', 'y', 'L', '2'],
+            ['d', 'y', 'L', '4'],
+            ['', '', '', '6']
+        ]);
+    });
+
+    test('keeps the sorted order within groups', () => {
+        const wrapper = table({sort: 'name', descending: true});
+        expect(cellTexts(wrapper)[1][0]).toBe('e');
+        expect(cellTexts(wrapper)[6][0]).toBe('d');
+    });
+
+    test('nests groups by several columns', () => {
+        const wrapper = table({groupBy: ['kind', 'size']});
+        expect(cellTexts(wrapper)).toEqual([
+            ['▾ Kind: x (3)'],
+            ['▾ Size: L (1)'],
+            ['c', 'x', 'L', '3'],
+            ['', '', '', '3'],
+            ['▾ Size: S (2)'],
+            ['a', 'x', 'S', '1'],
+            ['e', 'x', 'S', '5'],
+            ['', '', '', '6'],
+            ['', '', '', '9'],
+            ['▾ Kind: y (2)'],
+            ['▾ Size: L (2)'],
+            ['b', 'y', 'L', '2'],
+            ['d', 'y', 'L', '4'],
+            ['', '', '', '6'],
+            ['', '', '', '6']
+        ]);
+    });
+
+    test('orders groups by groupOrder', () => {
+        const wrapper = table({groupOrder: 'desc'});
+        expect(cellTexts(wrapper)[0]).toEqual(['▾ Kind: y (2)']);
+        const byCount = table({
+            groupOrder: ({a, b}) => a.rows.length - b.rows.length
+        });
+        expect(cellTexts(byCount)[0]).toEqual(['▾ Kind: y (2)']);
+    });
+
+    test('collapses and expands groups', () => {
+        const wrapper = table();
+        groupToggle(wrapper, 0).simulate('click');
+        expect(cellTexts(wrapper)).toEqual([
+            ['▸ Kind: x (3)'],
+            ['', '', '', '9'],
+            ['▾ Kind: y (2)'],
+            ['b', 'y', 'L', '2'],
+            ['d', 'y', 'L', '4'],
+            ['', '', '', '6']
+        ]);
+        groupToggle(wrapper, 0).simulate('click');
+        expect(cellTexts(wrapper)).toHaveLength(9);
+    });
+
+    test('warns about unknown grouping columns', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        table({groupBy: 'missing'});
+        expect(warn).toHaveBeenCalledWith('Invalid groupBy column: missing');
+        warn.mockRestore();
+    });
+
+});
+
+
+describe('paged row grouping', () => {
+
+    test('groups all rows before paging', () => {
+        const wrapper = table({pageSize: 2});
+        expect(cellTexts(wrapper)).toEqual([
+            ['▾ Kind: x (3)'],
+            ['a', 'x', 'S', '1'],
+            ['c', 'x', 'L', '3']
+        ]);
+        wrapper.instance().setPage(1);
+        wrapper.update();
+        expect(cellTexts(wrapper)).toEqual([
+            ['▾ Kind: x (3)'],
+            ['e', 'x', 'S', '5'],
+            ['', '', '', '9'],
+            ['▾ Kind: y (2)'],
+            ['b', 'y', 'L', '2']
+        ]);
+        wrapper.instance().setPage(2);
+        wrapper.update();
+        expect(cellTexts(wrapper)).toEqual([
+            ['▾ Kind: y (2)'],
+            ['d', 'y', 'L', '4'],
+            ['', '', '', '6']
+        ]);
+    });
+
+    test('pages the rows of expanded groups only', () => {
+        const wrapper = table({pageSize: 2});
+        groupToggle(wrapper, 0).simulate('click');
+        expect(cellTexts(wrapper)).toEqual([
+            ['▸ Kind: x (3)'],
+            ['', '', '', '9'],
+            ['▾ Kind: y (2)'],
+            ['b', 'y', 'L', '2'],
+            ['d', 'y', 'L', '4'],
+            ['', '', '', '6']
+        ]);
+        expect(wrapper.find('tfoot').text()).toBe('‹ 1 / 1 (2) ›');
+    });
+
+    test('renders trailing collapsed groups on the last page', () => {
+        const wrapper = table({pageSize: 2});
+        groupToggle(wrapper, 0).simulate('click');
+        groupToggle(wrapper, 1).simulate('click');
+        expect(cellTexts(wrapper)).toEqual([
+            ['▸ Kind: x (3)'],
+            ['', '', '', '9'],
+            ['▸ Kind: y (2)'],
+            ['', '', '', '6']
+        ]);
+    });
+
+});
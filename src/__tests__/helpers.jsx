@@ -0,0 +1,49 @@
+import _ from 'lodash';
+
+
+/**
+ * Return the text of the cells of a rendered table section.
+ *
+ * @param {ReactWrapper} wrapper - mounted table
+ * @param {string} section - 'thead', 'tbody' or 'tfoot'
+ * @returns {Array<Array<string>>} - text of each cell, row by row
+ */
+export const cellTexts = (wrapper, section = 'tbody') =>
+    wrapper.find(`${section} tr`).map((tr) =>
+        tr.children().map((cell) => cell.text()));
+
+/**
+ * Return the layout of the cells of a rendered table section.
+ *
+ * @param {ReactWrapper} wrapper - mounted table
+ * @param {string} section - 'thead', 'tbody' or 'tfoot'
+ * @returns {Array<string>} - one line per row, with the cells separated by
+ *                            "|"; colSpan and rowSpan greater than 1 are
+ *                            appended to the cell text as "<n" and "^n"
+ */
+export const cellLayout = (wrapper, section = 'thead') =>
+    wrapper.find(`${section} tr`).map((tr) =>
+        tr.children().map((cell) => {
+            const {colSpan, rowSpan} = cell.props();
+            return cell.text() +
+                ((colSpan > 1) ? `<${colSpan}` : '') +
+                ((rowSpan > 1) ? `^${rowSpan}` : '');
+        }).join('|'));
+
+/**
+ * Return the text of a column of the table body.
+ *
+ * @param {ReactWrapper} wrapper - mounted table
+ * @param {number} index - index of the cell within the data rows
+ * @returns {Array<string>} - text of the cell in each body row
+ */
+export const columnTexts = (wrapper, index = 0) =>
+    _.map(cellTexts(wrapper), (cells) => cells[index]);
+
+/**
+ * Return the props passed to the last call of a mock function.
+ *
+ * @param {function} mock - jest mock function
+ * @returns {any} - first argument of the last call
+ */
+export const lastCall = (mock) => _.last(mock.mock.calls)[0];
@@ -0,0 +1,116 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { cellLayout } from './helpers.jsx';
+
+
+const data = [
+    {region: 'EU', country: 'DE', city: 'Berlin'},
+    {region: 'EU', country: 'DE', city: 'Bonn'},
+    {region: 'EU', country: 'FR', city: 'Paris'},
+    {region: 'NA', country: 'FR', city: 'Quebec'},
+    {region: 'NA', country: 'US', city: 'Boston'}
+];
+
+const table = (props = {}, countryProps = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="region" header="Region" sortId="region" mergeCells
+            value={(row) => row.region} />
+        <Group id="place" header="Place">
+            <Column id="country" header="Country" mergeCells
+                value={(row) => row.country} {...countryProps} />
+            <Column id="city" header="City" sortId="city"
+                value={(row) => row.city} />
+        </Group>
+    </Table>
+);
+
+const body = (wrapper) => cellLayout(wrapper, 'tbody');
+
+
+describe('merged cells', () => {
+
+    test('span consecutive rows with equal values', () => {
+        expect(body(table())).toEqual([
+            'EU^3|DE^2|Berlin',
+            'Bonn',
+            'FR^2|Paris',
+            'NA^2|Quebec',
+            'US|Boston'
+        ]);
+    });
+
+    test('merge within the spans of the mergeWithin column', () => {
+        expect(body(table({}, {mergeWithin: 'region'}))).toEqual([
+            'EU^3|DE^2|Berlin',
+            'Bonn',
+            'FR|Paris',
+            'NA^2|FR|Quebec',
+            'US|Boston'
+        ]);
+    });
+
+    test('use a custom equality function', () => {
+        const mergeCells = jest.fn(({a, b}) => (a === 'DE') === (b === 'DE'));
+        const wrapper = table({}, {mergeCells});
+        expect(body(wrapper)[2]).toBe('FR^3|Paris');
+        expect(mergeCells).toHaveBeenCalledWith(
+            expect.objectContaining({a: 'DE', b: 'DE'}));
+    });
+
+    test('follow the sort order', () => {
+        expect(body(table({sort: 'city'}))).toEqual([
+            'EU^2|DE^2|Berlin',
+            'Bonn',
+            'NA|US|Boston',
+            'EU|FR^2|Paris',
+            'NA|Quebec'
+        ]);
+    });
+
+    test('merge within hidden mergeWithin columns', () => {
+        const wrapper = table({hiddenColumns: ['region']}, {
+            mergeWithin: 'region'
+        });
+        expect(body(wrapper)).toEqual([
+            'DE^2|Berlin',
+            'Bonn',
+            'FR|Paris',
+            'FR|Quebec',
+            'US|Boston'
+        ]);
+    });
+
+    test('are split across pages', () => {
+        const wrapper = table({pageSize: 2, page: 1});
+        expect(body(wrapper)).toEqual([
+            'EU|FR^2|Paris',
+            'NA|Quebec'
+        ]);
+    });
+
+    test('are split by expanded detail rows', () => {
+        const wrapper = table({
+            renderExpanded: ({row}) => `Detail ${row.city}`
+        });
+        wrapper.instance().toggleRowExpanded(0);
+        wrapper.update();
+        expect(body(wrapper)).toEqual([
+            'EU|DE|Berlin',
+            'Detail Berlin<3',
+            'EU^2|DE|Bonn',
+            'FR^2|Paris',
+            'NA^2|Quebec',
+            'US|Boston'
+        ]);
+    });
+
+    test('warn about invalid mergeWithin columns', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        table({}, {mergeWithin: 'nowhere'});
+        expect(warn).toHaveBeenCalledWith(
+            'Invalid mergeWithin column: nowhere');
+        warn.mockRestore();
+    });
+
+});
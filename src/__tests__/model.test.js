@@ -0,0 +1,268 @@
+import _ from 'lodash';
+import { TableModel, Column } from '../table.jsx';
+import {
+    TableModel as BaseTableModel, Column as BaseColumn, Group as BaseGroup
+} from '../model.js';
+
+
+const data = [
+    {id: 'x', name: 'b', score: 10, city: 'Oslo'},
+    {id: 'y', name: 'a', score: 7, city: 'Bergen'},
+    {id: 'z', name: 'c', score: 7, city: 'Oslo'}
+];
+
+const columns = [
+    {id: 'name', header: 'Name', field: 'name', sortable: true},
+    {id: 'stats', header: 'Stats', children: [
+        {id: 'score', header: 'Score', field: 'score', sortable: true,
+            type: 'number', filterId: 'score', filter: 'range'},
+        {id: 'city', header: 'City', field: 'city', filterId: 'city',
+            filter: 'set'}
+    ]}
+];
+
+const model = (options = {}) => new TableModel({columns, data, ...options});
+
+// Values of a column in the body rows of a model
+const values = (m, index = 0) =>
+    _.map(m.bodyRows(), ({cells}) => cells[index].value);
+
+// Header cells of a model as "header<colSpan^rowSpan" strings
+const layout = (m) => _.map(m.headerRows(), (cells) =>
+    _.map(cells, ({header, colSpan, rowSpan}) =>
+        `${header}<${colSpan}^${rowSpan}`).join('|'));
+
+
+describe('table model', () => {
+
+    test('lays out header rows', () => {
+        expect(layout(model())).toEqual([
+            'Name<1^2|Stats<2^1',
+            'Score<1^1|City<1^1'
+        ]);
+        expect(layout(model({hiddenColumns: ['city']}))).toEqual([
+            'Name<1^2|Stats<1^1',
+            'Score<1^1'
+        ]);
+        expect(layout(model({hiddenColumns: ['score', 'city']})))
+            .toEqual(['Name<1^1']);
+    });
+
+    test('describes header cells', () => {
+        const [[name], [score]] = model({sort: 'score'}).headerRows();
+        expect(name).toMatchObject({
+            colIndex: 0, groupIndex: undefined, level: 0, sort: false
+        });
+        expect(score).toMatchObject({
+            colIndex: 1, groupIndex: 0, level: 1, sort: true,
+            descending: false, priority: 1
+        });
+        expect(score.group.props.id).toBe('stats');
+    });
+
+    test('sorts rows by the sort stack', () => {
+        const m = model({sort: [
+            {sort: 'score'}, {sort: 'name', descending: true}
+        ]});
+        expect(values(m)).toEqual(['c', 'a', 'b']);
+        expect(m.bodyRows()[0]).toMatchObject({
+            row: data[2], rowIndex: 2, rowKey: 2, displayIndex: 0
+        });
+    });
+
+    test('filters rows by column filters and the global filter', () => {
+        const m = model({filters: {score: {max: 8}}});
+        expect(values(m)).toEqual(['a', 'c']);
+        m.update({globalFilter: 'oslo'});
+        expect(values(m)).toEqual(['c']);
+    });
+
+    test('applies the column order', () => {
+        const m = model({columnOrder: ['stats', 'city', 'score', 'name']});
+        expect(_.map(m.leafColumns(), 'props.id'))
+            .toEqual(['city', 'score', 'name']);
+    });
+
+    test('keeps state that is left out of updates', () => {
+        const m = model({sort: 'name', filters: {city: ['Oslo']}});
+        m.update({hiddenColumns: ['score']});
+        expect(values(m)).toEqual(['b', 'c']);
+        expect(m.headerDepth()).toBe(2);
+    });
+
+    test('keeps remote rows in data set order', () => {
+        const m = model({
+            sort: 'name', filters: {city: ['Oslo']}, remote: true
+        });
+        expect(values(m)).toEqual(['b', 'a', 'c']);
+    });
+
+    test('exports data', () => {
+        expect(model({sort: 'name'}).exportData()).toBe([
+            'Name,Stats / Score,Stats / City',
+            'a,7,Bergen',
+            'b,10,Oslo',
+            'c,7,Oslo'
+        ].join('\r\n'));
+        expect(JSON.parse(model({hiddenColumns: ['city']}).exportData({
+            format: 'json', sortedOnly: false
+        }))).toEqual([
+            {'Name': 'b', 'Stats / Score': 10},
+            {'Name': 'a', 'Stats / Score': 7},
+            {'Name': 'c', 'Stats / Score': 7}
+        ]);
+    });
+
+    test('validates plain object column definitions', () => {
+        expect(() => new TableModel({columns: [{id: 'name'}]})).toThrow(
+            new TypeError('columns[0] needs a field or a value function'));
+    });
+
+});
+
+
+describe('table model data', () => {
+
+    test('takes Map values keyed by the Map keys', () => {
+        const m = model({
+            data: new Map(_.map(data, (row) => [`k${row.id}`, row])),
+            sort: 'name'
+        });
+        expect(values(m)).toEqual(['a', 'b', 'c']);
+        expect(_.map(m.bodyRows(), 'rowKey')).toEqual(['ky', 'kx', 'kz']);
+    });
+
+    test('takes other iterables in iteration order', () => {
+        const m = model({data: new Set(data)});
+        expect(values(m)).toEqual(['b', 'a', 'c']);
+        expect(_.map(m.bodyRows(), 'rowKey')).toEqual([0, 1, 2]);
+    });
+
+    test('uses the rowKey option over Map keys', () => {
+        const m = model({
+            data: new Map(_.map(data, (row) => [`k${row.id}`, row])),
+            rowKey: 'id'
+        });
+        expect(_.map(m.bodyRows(), 'rowKey')).toEqual(['x', 'y', 'z']);
+    });
+
+    test('exports all rows of object data sets', () => {
+        const m = model({data: {p: data[0], q: data[1]}});
+        expect(m.exportData({sortedOnly: false}).split('\r\n'))
+            .toHaveLength(3);
+    });
+
+});
+
+
+describe('table model rows', () => {
+
+    // Type and data set indexes of the slots of grouped rows
+    const slots = (m) => _.map(m.rowGroupSlots().slots, ({type, rowIndex}) =>
+        (type === 'row') ? rowIndex : type);
+
+    test('groups rows by the groupBy columns', () => {
+        const m = model({groupBy: 'city', sort: 'name'});
+        expect(slots(m)).toEqual([
+            'header', 1, 'subtotal', 'header', 0, 2, 'subtotal'
+        ]);
+        m.update({groupOrder: 'desc'});
+        expect(slots(m)).toEqual([
+            'header', 0, 2, 'subtotal', 'header', 1, 'subtotal'
+        ]);
+    });
+
+    test('leaves rows of collapsed groups out', () => {
+        const m = model({groupBy: ['city', 'score'], sort: 'name'});
+        const key = JSON.stringify(['Oslo']);
+        m.update({collapsedGroups: {[key]: true}});
+        const {slots, rows} = m.rowGroupSlots();
+        expect(rows).toEqual([1]);
+        expect(_.map(_.filter(slots, {type: 'header'}), 'key')).toEqual([
+            JSON.stringify(['Bergen']), JSON.stringify(['Bergen', '7']), key
+        ]);
+    });
+
+    test('paginates rows', () => {
+        const m = model({page: 5, pageSize: 2});
+        expect(m.paginate(3)).toEqual(
+            {page: 1, pageCount: 2, total: 3, start: 2, end: 3});
+        m.update({pageSize: undefined});
+        expect(m.paginate(3)).toEqual(
+            {page: 0, pageCount: 1, total: 3, start: 0, end: 3});
+    });
+
+    test('selects and expands rows by row key', () => {
+        const m = model({rowKey: 'id', selected: ['y'], expanded: ['x', 'z']});
+        expect(_.map(data, (row) => m.isRowSelected(row)))
+            .toEqual([false, true, false]);
+        expect(_.map(data, (row) => m.isRowExpanded(row)))
+            .toEqual([true, false, true]);
+        m.update({rowKey: undefined, selected: [data[2]]});
+        expect(m.rowId(data[2])).toBe(data[2]);
+        expect(m.isRowSelected(data[2])).toBe(true);
+    });
+
+    test('merges cells of equal values', () => {
+        const m = model({columns: [
+            {id: 'city', field: 'city', mergeCells: true},
+            {id: 'name', field: 'name'}
+        ], data: [...data, {name: 'd', city: 'Oslo'}]});
+        const spans = (indexes) => _.map(
+            [...m.mergeCells(indexes, 1).values()],
+            (positions) => [...positions]);
+        expect(spans([1, 0, 2, 3])).toEqual(
+            [[[1, 1], [2, 3], [3, 0], [4, 0]]]);
+        m.update({rowKey: 'name', expanded: ['b'], detailRows: true});
+        expect(spans([1, 0, 2, 3])).toEqual(
+            [[[1, 1], [2, 1], [3, 2], [4, 0]]]);
+    });
+
+    test('pivots the data set', () => {
+        const m = new BaseTableModel({data, pivot: {
+            rows: ['city'], cols: ['score'], values: ['score']
+        }});
+        m.setColumns(m.pivoted().columns);
+        expect(values(m)).toEqual(['Bergen', 'Oslo']);
+        expect(_.map(m.bodyRows(), ({cells}) => _.map(cells, 'value')))
+            .toEqual([['Bergen', 7, undefined, 7], ['Oslo', 7, 10, 17]]);
+    });
+
+});
+
+
+describe('model.js table model', () => {
+
+    test('takes plain object column definitions', () => {
+        const m = new BaseTableModel({columns, data, sort: 'score'});
+        expect(values(m)).toEqual(['a', 'c', 'b']);
+        expect(layout(m)).toEqual([
+            'Name<1^2|Stats<2^1',
+            'Score<1^1|City<1^1'
+        ]);
+        const [name, stats] = m.columns;
+        expect(name).toBeInstanceOf(BaseColumn);
+        expect(name).not.toBeInstanceOf(Column);
+        expect(stats).toBeInstanceOf(BaseGroup);
+        expect(stats.columns[0]).toBeInstanceOf(BaseColumn);
+    });
+
+    test('takes column instances', () => {
+        const m = new BaseTableModel({data});
+        m.setColumns([
+            new Column({...Column.defaultProps, id: 'name', field: 'name'}, m)
+        ]);
+        expect(values(m)).toEqual(['b', 'a', 'c']);
+    });
+
+    test('only accepts options of its own column classes', () => {
+        const render = ({value}) => value;
+        expect(() => new BaseTableModel({
+            columns: [{id: 'a', field: 'a', render}]
+        })).toThrow(new TypeError('columns[0] has unknown column option ' +
+            '"render"'));
+        expect(new TableModel({columns: [{id: 'a', field: 'a', render}]})
+            .columns[0]).toBeInstanceOf(Column);
+    });
+
+});
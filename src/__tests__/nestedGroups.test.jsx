@@ -0,0 +1,80 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { cellLayout, cellTexts } from './helpers.jsx';
+
+
+const data = [
+    {a: 1, b: 2, c: 3, d: 4, e: 5}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="a" header="A" value={(row) => row.a} />
+        <Group id="g" header="G"
+            subHeaderProps={({groupIndex}) => ({'data-child': groupIndex})}
+            tdProps={() => ({className: 'g'})}>
+            <Column id="b" header="B" value={(row) => row.b} />
+            <Group id="h" header="H">
+                <Column id="c" header="C" value={(row) => row.c} />
+                <Column id="d" header="D" value={(row) => row.d} />
+            </Group>
+        </Group>
+        <Column id="e" header="E" value={(row) => row.e} />
+    </Table>
+);
+
+
+describe('nested column groups', () => {
+
+    test('render one header row per nesting level', () => {
+        const wrapper = table();
+        expect(cellLayout(wrapper)).toEqual([
+            'A^3|G<3|E^3',
+            'B^2|H<2',
+            'C|D'
+        ]);
+    });
+
+    test('render the data cells of the leaf columns in order', () => {
+        const wrapper = table();
+        expect(cellTexts(wrapper)).toEqual([['1', '2', '3', '4', '5']]);
+    });
+
+    test('pass group props to child columns', () => {
+        const wrapper = table();
+        expect(wrapper.find('thead th[data-child=0]').text()).toBe('B');
+        expect(wrapper.find('thead th[data-child=1]').text()).toBe('H');
+        expect(wrapper.find('tbody td.g').map((td) => td.text()))
+            .toEqual(['2', '3', '4']);
+    });
+
+    test('shrink when child columns are hidden', () => {
+        const wrapper = table({hiddenColumns: ['d']});
+        expect(cellLayout(wrapper)).toEqual([
+            'A^3|G<2|E^3',
+            'B^2|H',
+            'C'
+        ]);
+        expect(cellTexts(wrapper)).toEqual([['1', '2', '3', '5']]);
+    });
+
+    test('disappear when all child columns are hidden', () => {
+        const wrapper = table({hiddenColumns: ['c', 'd']});
+        expect(cellLayout(wrapper)).toEqual([
+            'A^2|G|E^2',
+            'B'
+        ]);
+    });
+
+    test('render as a single header row without groups', () => {
+        const wrapper = mount(
+            <Table data={data}>
+                <Column id="a" header="A" value={(row) => row.a} />
+                <Column id="b" header="B" value={(row) => row.b} />
+            </Table>
+        );
+        expect(cellLayout(wrapper)).toEqual(['A|B']);
+    });
+
+});
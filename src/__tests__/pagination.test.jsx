@@ -0,0 +1,124 @@
+import React from 'react';
+import _ from 'lodash';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+const data = _.map(_.range(7), (n) => ({n}));
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="n" header="N" sortId="n" filterId="n" filter="range"
+            value={(row) => row.n} />
+    </Table>
+);
+
+const pagerText = (wrapper) => wrapper.find('tfoot td').text();
+
+
+describe('pagination', () => {
+
+    test('renders all rows without a page size', () => {
+        const wrapper = table();
+        expect(columnTexts(wrapper)).toHaveLength(7);
+        expect(wrapper.find('tfoot')).toHaveLength(0);
+    });
+
+    test('renders the rows of the current page', () => {
+        const wrapper = table({pageSize: 3, page: 1});
+        expect(columnTexts(wrapper)).toEqual(['3', '4', '5']);
+        expect(pagerText(wrapper)).toBe('‹ 2 / 3 (7) ›');
+    });
+
+    test('clamps the page to the available pages', () => {
+        const wrapper = table({pageSize: 3, page: 5});
+        expect(columnTexts(wrapper)).toEqual(['6']);
+        expect(pagerText(wrapper)).toBe('‹ 3 / 3 (7) ›');
+    });
+
+    test('paginates the sorted and filtered rows', () => {
+        const wrapper = table({
+            pageSize: 2, sort: 'n', descending: true,
+            filters: {n: {max: 4}}
+        });
+        expect(columnTexts(wrapper)).toEqual(['4', '3']);
+        expect(pagerText(wrapper)).toBe('‹ 1 / 3 (5) ›');
+    });
+
+    test('switches pages with the pager buttons', () => {
+        const wrapper = table({pageSize: 3});
+        const buttons = () => wrapper.find('tfoot button');
+        expect(buttons().at(0).prop('disabled')).toBe(true);
+        buttons().at(1).simulate('click');
+        buttons().at(1).simulate('click');
+        expect(columnTexts(wrapper)).toEqual(['6']);
+        expect(buttons().at(1).prop('disabled')).toBe(true);
+        buttons().at(0).simulate('click');
+        expect(columnTexts(wrapper)).toEqual(['3', '4', '5']);
+    });
+
+    test('setPageSize returns to the first page', () => {
+        const wrapper = table({pageSize: 2, page: 2});
+        wrapper.instance().setPageSize(5);
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['0', '1', '2', '3', '4']);
+    });
+
+    test('renders the pager before or after the table', () => {
+        const tags = (pagerPosition) => {
+            const container = document.createElement('div');
+            mount(
+                <Table data={data} pageSize={3} pagerPosition={pagerPosition}>
+                    <Column id="n" value={(row) => row.n} />
+                </Table>,
+                {attachTo: container}
+            );
+            return _.map(container.childNodes, (node) => node.nodeName);
+        };
+        expect(tags('before')).toEqual(['BUTTON', '#text', 'BUTTON', 'TABLE']);
+        expect(tags('after')).toEqual(['TABLE', 'BUTTON', '#text', 'BUTTON']);
+    });
+
+    test('passes the page state to renderPager', () => {
+        const renderPager = jest.fn(() => null);
+        table({pageSize: 3, page: 2, renderPager});
+        expect(renderPager).toHaveBeenCalledWith(expect.objectContaining({
+            page: 2, pageCount: 3, total: 7, pageSize: 3
+        }));
+    });
+
+});
+
+
+describe('controlled paging', () => {
+
+    test('reports page changes without switching pages', () => {
+        const onPageChange = jest.fn();
+        const wrapper = table({page: 0, pageSize: 3, onPageChange});
+        wrapper.find('tfoot button').at(1).simulate('click');
+        expect(onPageChange).toHaveBeenCalledWith({page: 1, pageSize: 3});
+        expect(columnTexts(wrapper)).toEqual(['0', '1', '2']);
+        wrapper.setProps({page: 1});
+        expect(columnTexts(wrapper)).toEqual(['3', '4', '5']);
+    });
+
+    test('keeps the page state when the props are equal', () => {
+        const wrapper = table({page: 1, pageSize: 3, onPageChange: jest.fn()});
+        const setState = jest.spyOn(wrapper.instance(), 'setState');
+        wrapper.setProps({page: 1, pageSize: 3, footerFiltered: true});
+        expect(setState).not.toHaveBeenCalled();
+        wrapper.setProps({pageSize: 2});
+        expect(setState).toHaveBeenCalledWith({page: 1, pageSize: 2});
+    });
+
+    test('warns when switching modes', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table({page: 0, pageSize: 3, onPageChange: jest.fn()});
+        wrapper.setProps({onPageChange: undefined});
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from controlled to uncontrolled paging');
+        warn.mockRestore();
+    });
+
+});
@@ -0,0 +1,109 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+const data = [
+    {id: 'a', x: 2, y: 1},
+    {id: 'b', x: 1, y: 3},
+    {id: 'c', x: 3, y: 2}
+];
+
+// Table rendered by a parent with inline function props, counting rendered
+// data rows and comparisons of the sorted column
+const table = (props = {}) => {
+    const rendered = [];
+    const sortMethod = jest.fn(({a, b, column}) =>
+        column.value(a) - column.value(b));
+    const element = (field = 'x') =>
+        <Table data={data} rowKey="id" sort="n" selectable="multi"
+            dataTrProps={({rowKey}) => {
+                rendered.push(rowKey);
+                return {};
+            }} {...props}>
+            <Column id="id" header="Id" value={(row) => row.id} />
+            <Column id="n" header="N" sortId="n" filterId="n" field={field}
+                filter={({value, filter}) => value >= filter}
+                sortMethod={(args) => sortMethod(args)} />
+        </Table>;
+    const wrapper = mount(element());
+    rendered.length = 0;
+    return {
+        wrapper,
+        rendered,
+        sortMethod,
+        rerender: (field) => wrapper.setProps(element(field).props)
+    };
+};
+
+
+describe('pure rows', () => {
+
+    test('skip unchanged rows by default', () => {
+        const {wrapper, rendered, rerender} = table();
+        expect(wrapper.props().pureRows).toBe(true);
+        rerender();
+        expect(rendered).toEqual([]);
+        wrapper.instance().toggleRowSelection(0);
+        expect(rendered).toEqual(['a']);
+    });
+
+    test('re-render all rows with the table when disabled', () => {
+        const {rendered, rerender} = table({pureRows: false});
+        rerender();
+        expect(rendered).toEqual(['b', 'a', 'c']);
+    });
+
+    test('re-render rows that change position', () => {
+        const {wrapper, rendered} = table();
+        wrapper.instance().sortBy('n', true);
+        wrapper.update();
+        expect(rendered).toEqual(['c', 'b']);
+        expect(columnTexts(wrapper, 1)).toEqual(['c', 'a', 'b']);
+    });
+
+    test('re-render all rows when the layout changes', () => {
+        const {wrapper, rendered} = table();
+        wrapper.instance().toggleColumn('id');
+        expect(rendered).toEqual(['b', 'a', 'c']);
+    });
+
+});
+
+
+describe('sorted indexes', () => {
+
+    test('are memoized while the query is unchanged', () => {
+        const {wrapper} = table();
+        const indexes = wrapper.instance().sortedDataIndexes();
+        wrapper.instance().toggleRowSelection(0);
+        expect(wrapper.instance().sortedDataIndexes()).toBe(indexes);
+        wrapper.instance().sortBy('n', true);
+        expect(wrapper.instance().sortedDataIndexes()).not.toBe(indexes);
+    });
+
+    test('are not sorted again for inline columns', () => {
+        const {wrapper, sortMethod, rerender} = table();
+        const indexes = wrapper.instance().sortedDataIndexes();
+        sortMethod.mockClear();
+        rerender();
+        expect(sortMethod).not.toHaveBeenCalled();
+        expect(wrapper.instance().sortedDataIndexes()).toBe(indexes);
+    });
+
+    test('follow new fields of sorted columns', () => {
+        const {wrapper, rerender} = table();
+        expect(columnTexts(wrapper, 1)).toEqual(['b', 'a', 'c']);
+        rerender('y');
+        expect(columnTexts(wrapper, 1)).toEqual(['a', 'c', 'b']);
+    });
+
+    test('follow new fields of filtered columns', () => {
+        const {wrapper, rerender} = table({filters: {n: 2}, sort: []});
+        expect(columnTexts(wrapper, 1)).toEqual(['a', 'c']);
+        rerender('y');
+        expect(columnTexts(wrapper, 1)).toEqual(['b', 'c']);
+    });
+
+});
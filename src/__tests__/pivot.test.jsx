@@ -0,0 +1,134 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, pivotData, pivotColumnId } from '../table.jsx';
+import { cellLayout, cellTexts, columnTexts } from './helpers.jsx';
+
+
+const sales = [
+    {region: 'EU', year: 2020, quarter: 1, amount: 10, units: 1},
+    {region: 'EU', year: 2020, quarter: 2, amount: 20, units: 2},
+    {region: 'EU', year: 2021, quarter: 1, amount: 5, units: 1},
+    {region: 'NA', year: 2020, quarter: 1, amount: 7, units: 3},
+    {region: 'NA', year: 2021, quarter: 2, amount: 30, units: 1}
+];
+
+const pivot = {rows: ['region'], cols: ['year'], values: ['amount']};
+
+// Ids of the leaf columns of pivoted column definitions
+const leafIds = (columns) => columns.reduce((ids, column) =>
+    ids.concat(column.children ? leafIds(column.children) : [column.id]), []);
+
+
+describe('pivot column ids', () => {
+
+    test('join the dimension values and the measure id', () => {
+        expect(pivotColumnId([2020], 'amount')).toBe('cells:2020:amount');
+        expect(pivotColumnId(['EU', 1], 'units')).toBe('cells:EU:1:units');
+        expect(pivotColumnId(undefined, 'amount')).toBe('total:amount');
+    });
+
+    test('escape colons and backslashes in values', () => {
+        expect(pivotColumnId(['a:b', 'c\\d'], 'x'))
+            .toBe('cells:a\\:b:c\\\\d:x');
+    });
+
+    test('are used by the pivoted columns', () => {
+        const {columns} = pivotData(sales, {
+            ...pivot, cols: ['year', 'quarter'], values: ['amount', 'units']
+        });
+        expect(leafIds(columns)).toEqual([
+            'region',
+            'cells:2020:1:amount', 'cells:2020:1:units',
+            'cells:2020:2:amount', 'cells:2020:2:units',
+            'cells:2021:1:amount', 'cells:2021:1:units',
+            'cells:2021:2:amount', 'cells:2021:2:units',
+            'total:amount', 'total:units'
+        ]);
+    });
+
+});
+
+
+describe('pivot tables', () => {
+
+    test('aggregate values by row and column dimensions', () => {
+        const wrapper = mount(<Table data={sales} pivot={pivot} />);
+        expect(cellTexts(wrapper)).toEqual([
+            ['EU', '30', '5', '35'],
+            ['NA', '7', '30', '37']
+        ]);
+        expect(cellTexts(wrapper, 'tfoot')).toEqual([
+            ['Total', '37', '35', '72']
+        ]);
+    });
+
+    test('span headers over the measures of each column value', () => {
+        const wrapper = mount(<Table data={sales} pivot={{
+            ...pivot, values: ['amount', 'units'], totalHeader: 'All'
+        }} />);
+        expect(cellLayout(wrapper)).toEqual([
+            'region^2|2020<2|2021<2|All<2',
+            'amount|units|amount|units|amount|units'
+        ]);
+    });
+
+    test('nest headers by column dimension', () => {
+        const wrapper = mount(<Table data={sales} pivot={{
+            ...pivot, cols: ['year', 'quarter']
+        }} />);
+        expect(cellLayout(wrapper)).toEqual([
+            'region^3|2020<2|2021<2|Total',
+            '1|2|1|2|amount^2',
+            'amount|amount|amount|amount'
+        ]);
+    });
+
+    test('sort by pivoted column ids', () => {
+        const wrapper = mount(<Table data={sales} pivot={pivot}
+            sort={pivotColumnId([2020], 'amount')} />);
+        expect(columnTexts(wrapper)).toEqual(['NA', 'EU']);
+        wrapper.instance().sortBy(pivotColumnId(undefined, 'amount'), true);
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['NA', 'EU']);
+    });
+
+    test('hide pivoted columns by id', () => {
+        const wrapper = mount(<Table data={sales} pivot={pivot}
+            hiddenColumns={[pivotColumnId([2021], 'amount')]} />);
+        expect(cellTexts(wrapper)).toEqual([
+            ['EU', '30', '35'],
+            ['NA', '7', '37']
+        ]);
+    });
+
+    test('keep undefined, null and NaN dimension values apart', () => {
+        const data = [
+            {region: 'EU', year: null, amount: 1},
+            {region: undefined, year: 2020, amount: 2},
+            {region: null, year: undefined, amount: 4},
+            {region: NaN, year: 2020, amount: 8},
+            {region: 'EU', year: undefined, amount: 16},
+            {region: null, year: 2020, amount: 32}
+        ];
+        const wrapper = mount(<Table data={data} pivot={pivot} />);
+        expect(cellLayout(wrapper)).toEqual([
+            'region^2|2020|null|undefined|Total',
+            'amount|amount|amount|amount'
+        ]);
+        expect(cellTexts(wrapper)).toEqual([
+            ['EU', '', '1', '16', '17'],
+            ['', '32', '', '4', '36'],
+            ['', '2', '', '', '2'],
+            ['NaN', '8', '', '', '8']
+        ]);
+    });
+
+    test('pivot Map data', () => {
+        const data = new Map(sales.map((row, index) => [`r${index}`, row]));
+        const wrapper = mount(<Table data={data} pivot={pivot} />);
+        expect(cellTexts(wrapper, 'tfoot')).toEqual([
+            ['Total', '37', '35', '72']
+        ]);
+    });
+
+});
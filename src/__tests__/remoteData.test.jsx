@@ -0,0 +1,135 @@
+import React from 'react';
+import _ from 'lodash';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { cellTexts, columnTexts, lastCall } from './helpers.jsx';
+
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const rows = [{id: 'a', n: 1}, {id: 'b', n: 2}];
+
+const fetcher = (result = {rows, total: 5}) =>
+    jest.fn(() => Promise.resolve(result));
+
+const table = (data, props = {}) => mount(
+    <Table data={data} pageSize={2} {...props}>
+        <Column id="id" header="Id" sortId="id" filterId="id" filter="text"
+            value={(row) => row.id} />
+        <Column id="n" header="N" value={(row) => row.n} />
+    </Table>
+);
+
+// Query passed to the fetcher, without the abort signal
+const query = (data) => _.omit(lastCall(data), 'signal');
+
+
+describe('remote data', () => {
+
+    test('renders a placeholder, then the fetched rows', () => {
+        const data = fetcher();
+        const wrapper = table(data);
+        expect(cellTexts(wrapper)).toEqual([['Loading…']]);
+        expect(query(data)).toEqual({
+            sort: undefined, descending: false, page: 0, pageSize: 2,
+            filters: {}, globalFilter: undefined
+        });
+        return flush().then(() => {
+            wrapper.update();
+            expect(cellTexts(wrapper)).toEqual([['a', '1'], ['b', '2']]);
+            expect(wrapper.find('tfoot').text()).toContain('1 / 3');
+        });
+    });
+
+    test('fetches again when the query changes', () => {
+        const data = fetcher();
+        const wrapper = table(data);
+        return flush().then(() => {
+            wrapper.instance().sortBy('id', true);
+            expect(data).toHaveBeenCalledTimes(2);
+            expect(query(data)).toMatchObject({
+                sort: 'id', descending: true
+            });
+            wrapper.instance().setFilters({id: 'a'});
+            expect(query(data).filters).toEqual({id: 'a'});
+            wrapper.setProps({globalFilter: 'x'});
+            expect(query(data).globalFilter).toBe('x');
+            expect(data).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    test('does not fetch again for an equal query', () => {
+        const data = fetcher();
+        const wrapper = table(data);
+        return flush().then(() => {
+            wrapper.setProps({data: fetcher(), sort: 'id'});
+            wrapper.instance().setFilters({});
+            wrapper.setProps({globalFilter: undefined});
+            expect(data).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('reload fetches the same query again', () => {
+        const data = fetcher();
+        const wrapper = table(data);
+        return flush().then(() => {
+            const second = fetcher({rows: [{id: 'c', n: 3}]});
+            wrapper.setProps({data: second});
+            wrapper.instance().reload();
+            expect(second).toHaveBeenCalledTimes(1);
+            return flush();
+        }).then(() => {
+            wrapper.update();
+            expect(columnTexts(wrapper)).toEqual(['c']);
+        });
+    });
+
+    test('fetches when switching to remote mode', () => {
+        const wrapper = table(rows);
+        const data = fetcher();
+        wrapper.setProps({data});
+        expect(data).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores superseded responses', () => {
+        const resolvers = [];
+        const data = jest.fn(() =>
+            new Promise((resolve) => resolvers.push(resolve)));
+        const wrapper = table(data);
+        wrapper.instance().setPage(1);
+        resolvers[1]({rows: [{id: 'c', n: 3}], total: 3});
+        resolvers[0]({rows, total: 3});
+        return flush().then(() => {
+            wrapper.update();
+            expect(columnTexts(wrapper)).toEqual(['c']);
+        });
+    });
+
+    test('renders errors with a retry button', () => {
+        const data = jest.fn(() => Promise.reject(new Error('down')));
+        const wrapper = table(data);
+        return flush().then(() => {
+            wrapper.update();
+            expect(wrapper.find('tbody td').text()).toBe('Error: down Retry');
+            wrapper.find('tbody button').simulate('click');
+            expect(data).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    test('renders malformed results as errors', () => {
+        const results = [undefined, null, {total: 2}, {rows: 'a,b'}];
+        const data = jest.fn(() => Promise.resolve(results.shift()));
+        const wrapper = table(data);
+        const error = 'Error: Data fetcher must resolve to {rows, total}';
+        const next = () => flush().then(() => {
+            wrapper.update();
+            expect(wrapper.find('tbody td').text()).toBe(`${error} Retry`);
+            if (results.length) {
+                wrapper.instance().reload();
+                return next();
+            }
+        });
+        return next().then(() => expect(data).toHaveBeenCalledTimes(4));
+    });
+
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { cellTexts, columnTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {id: 'x', name: 'b'},
+    {id: 'y', name: 'a'}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="name" header="Name" sortId="name"
+            value={(row) => row.name} />
+        <Column id="id" header="Id" value={(row) => row.id} />
+    </Table>
+);
+
+const rowKeys = (wrapper) => wrapper.find('tbody tr').map((tr) => tr.key());
+
+
+describe('row keys', () => {
+
+    test('default to the array index', () => {
+        expect(rowKeys(table())).toEqual(['0', '1']);
+    });
+
+    test('use a row property or function', () => {
+        expect(rowKeys(table({rowKey: 'id'}))).toEqual(['x', 'y']);
+        expect(rowKeys(table({rowKey: (row) => `k${row.name}`})))
+            .toEqual(['kb', 'ka']);
+    });
+
+    test('keep DOM rows with their data rows', () => {
+        const wrapper = table({rowKey: 'id'});
+        const first = wrapper.find('tbody tr').at(0).getDOMNode();
+        wrapper.setProps({data: [data[1], data[0]]});
+        expect(columnTexts(wrapper)).toEqual(['a', 'b']);
+        expect(wrapper.find('tbody tr').at(1).getDOMNode()).toBe(first);
+    });
+
+    test('are passed to row and cell callbacks', () => {
+        const trProps = jest.fn(() => ({}));
+        const render = jest.fn(({value}) => value);
+        mount(
+            <Table data={data} rowKey="id" trProps={trProps}>
+                <Column id="name" value={(row) => row.name}
+                    render={render} />
+                <Column id="id" value={(row) => row.id} />
+            </Table>
+        );
+        expect(lastCall(trProps)).toMatchObject({
+            row: data[1], rowIndex: 1, rowKey: 'y', displayIndex: 1
+        });
+        expect(lastCall(render)).toMatchObject({rowKey: 'y', value: 'a'});
+    });
+
+    test('identify selected rows across data updates', () => {
+        const wrapper = table({rowKey: 'id', selectable: 'multi'});
+        wrapper.instance().toggleRowSelection(1);
+        expect(wrapper.state('selected')).toEqual(['y']);
+        wrapper.setProps({data: [{...data[1]}, {...data[0]}]});
+        expect(wrapper.find('tbody tr').map((tr) =>
+            tr.find('input').prop('checked'))).toEqual([true, false]);
+    });
+
+});
+
+
+describe('iterable data', () => {
+
+    test('renders Map values keyed by the Map keys', () => {
+        const wrapper = table({data: new Map([
+            ['first', data[0]], ['second', data[1]]
+        ]), sort: 'name'});
+        expect(columnTexts(wrapper)).toEqual(['a', 'b']);
+        expect(rowKeys(wrapper)).toEqual(['second', 'first']);
+    });
+
+    test('renders other iterables in iteration order', () => {
+        const wrapper = table({data: new Set(data)});
+        expect(cellTexts(wrapper)).toEqual([['b', 'x'], ['a', 'y']]);
+        expect(rowKeys(wrapper)).toEqual(['0', '1']);
+    });
+
+    test('renders object values keyed by the object keys', () => {
+        const wrapper = table({data: {p: data[0], q: data[1]}});
+        expect(rowKeys(wrapper)).toEqual(['p', 'q']);
+    });
+
+});
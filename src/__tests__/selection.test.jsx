@@ -0,0 +1,154 @@
+import React from 'react';
+import _ from 'lodash';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { cellTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {id: 'a', n: 3},
+    {id: 'b', n: 1},
+    {id: 'c', n: 2},
+    {id: 'd', n: 4}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} selectable="multi" sort="n" {...props}>
+        <Column id="id" header="Id" filterId="id" filter="text"
+            value={(row) => row.id} />
+        <Column id="n" header="N" sortId="n" value={(row) => row.n} />
+    </Table>
+);
+
+const checkboxes = (wrapper) => wrapper.find('tbody input[type="checkbox"]');
+
+const checked = (wrapper) => _.compact(checkboxes(wrapper).map((input) =>
+    input.prop('checked') && input.closest('tr').find('td').at(1).text()));
+
+const toggle = (wrapper, position, shiftKey = false) =>
+    checkboxes(wrapper).at(position)
+        .simulate('change', {nativeEvent: {shiftKey}});
+
+const selectAll = (wrapper) => wrapper.find('thead input[type="checkbox"]');
+
+
+describe('selection column', () => {
+
+    test('is injected before the columns', () => {
+        const wrapper = table();
+        expect(cellTexts(wrapper, 'thead')).toEqual([['', 'Id', 'N ∧']]);
+        expect(checkboxes(wrapper)).toHaveLength(4);
+    });
+
+    test('is not rendered without selectable rows', () => {
+        const wrapper = table({selectable: 'none'});
+        expect(cellTexts(wrapper, 'thead')).toEqual([['Id', 'N ∧']]);
+    });
+
+    test('has no select all checkbox in single selection mode', () => {
+        const wrapper = table({selectable: 'single'});
+        expect(selectAll(wrapper)).toHaveLength(0);
+    });
+
+});
+
+
+describe('multiple selection', () => {
+
+    test('toggles rows', () => {
+        const wrapper = table();
+        toggle(wrapper, 0);
+        toggle(wrapper, 2);
+        expect(checked(wrapper)).toEqual(['b', 'a']);
+        toggle(wrapper, 0);
+        expect(checked(wrapper)).toEqual(['a']);
+        expect(wrapper.state('selected')).toEqual([data[0]]);
+    });
+
+    test('selects a range in sorted order with shift', () => {
+        const wrapper = table();
+        toggle(wrapper, 3);
+        toggle(wrapper, 1, true);
+        expect(checked(wrapper)).toEqual(['c', 'a', 'd']);
+    });
+
+    test('keeps selection when the data is re-sorted', () => {
+        const wrapper = table();
+        toggle(wrapper, 0);
+        wrapper.instance().sortBy('n', true);
+        wrapper.update();
+        expect(checked(wrapper)).toEqual(['b']);
+        expect(checkboxes(wrapper).at(3).prop('checked')).toBe(true);
+    });
+
+    test('select all toggles the filtered rows', () => {
+        const wrapper = table({filters: {id: 'a'}});
+        selectAll(wrapper).simulate('change');
+        expect(wrapper.state('selected')).toEqual([data[0]]);
+        wrapper.instance().setFilters({});
+        wrapper.update();
+        expect(selectAll(wrapper).prop('checked')).toBe(false);
+        expect(selectAll(wrapper).getDOMNode().indeterminate).toBe(true);
+        selectAll(wrapper).simulate('change');
+        expect(checked(wrapper)).toEqual(['b', 'c', 'a', 'd']);
+        expect(selectAll(wrapper).prop('checked')).toBe(true);
+        selectAll(wrapper).simulate('change');
+        expect(checked(wrapper)).toEqual([]);
+    });
+
+});
+
+
+describe('single selection', () => {
+
+    test('selects at most one row', () => {
+        const wrapper = table({selectable: 'single'});
+        toggle(wrapper, 0);
+        toggle(wrapper, 1);
+        expect(checked(wrapper)).toEqual(['c']);
+        toggle(wrapper, 1);
+        expect(checked(wrapper)).toEqual([]);
+    });
+
+});
+
+
+describe('controlled selection', () => {
+
+    test('reports row keys without selecting', () => {
+        const onSelectionChange = jest.fn();
+        const wrapper = table({
+            rowKey: 'id', selected: ['d'], onSelectionChange
+        });
+        expect(checked(wrapper)).toEqual(['d']);
+        toggle(wrapper, 0);
+        expect(lastCall(onSelectionChange)).toEqual(['d', 'b']);
+        expect(checked(wrapper)).toEqual(['d']);
+        wrapper.setProps({selected: ['d', 'b']});
+        expect(checked(wrapper)).toEqual(['b', 'd']);
+    });
+
+    test('keeps the selection state when the props are equal', () => {
+        const wrapper = table({
+            rowKey: 'id', selected: ['d'], onSelectionChange: jest.fn()
+        });
+        const selected = wrapper.state('selected');
+        wrapper.setProps({selected: ['d']});
+        expect(wrapper.state('selected')).toBe(selected);
+        wrapper.setProps({selected: undefined});
+        const empty = wrapper.state('selected');
+        expect(empty).toEqual([]);
+        wrapper.setProps({footerFiltered: true});
+        expect(wrapper.state('selected')).toBe(empty);
+    });
+
+    test('warns when switching modes', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table();
+        wrapper.setProps({onSelectionChange: jest.fn()});
+        expect(warn).toHaveBeenCalledWith(
+            'Table is changing from uncontrolled to controlled selection');
+        warn.mockRestore();
+    });
+
+});
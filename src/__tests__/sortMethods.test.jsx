@@ -0,0 +1,165 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, sortMethods, localeSort } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+// Table sorting the values by a column, with a column showing the values
+const sorted = (values, props = {}, descending = false) => {
+    const wrapper = mount(
+        <Table data={values.map((value, id) => ({id, value}))}
+            sort="value" descending={descending}>
+            <Column id="id" header="Id" value={(row) => row.id} />
+            <Column id="value" header="Value" sortId="value"
+                value={(row) => row.value} {...props} />
+        </Table>
+    );
+    return columnTexts(wrapper, 1);
+};
+
+
+describe('sort methods', () => {
+
+    test('locale ignores case and accents', () => {
+        expect(sorted(['b', 'Éa', 'C', 'ea'], {
+            sortMethod: sortMethods.locale
+        })).toEqual(['b', 'C', 'Éa', 'ea']);
+    });
+
+    test('natural orders numbers within strings', () => {
+        expect(sorted(['item10', 'Item2', 'item1'], {
+            sortMethod: sortMethods.natural
+        })).toEqual(['item1', 'Item2', 'item10']);
+    });
+
+    test('numeric ranks values that are not numbers last', () => {
+        expect(sorted(['10', 9, 'x', '-1'], {
+            sortMethod: sortMethods.numeric
+        })).toEqual(['-1', '9', '10', 'x']);
+    });
+
+    test('date compares dates, timestamps and date strings', () => {
+        const dates = [
+            '2020-03-01', new Date(Date.UTC(2020, 0, 1)),
+            Date.UTC(2020, 1, 1), 'never'
+        ];
+        const wrapper = mount(
+            <Table data={dates.map((value, id) => ({id, value}))}
+                sort="value">
+                <Column id="id" header="Id" value={(row) => row.id} />
+                <Column id="value" header="Value" sortId="value"
+                    sortMethod={sortMethods.date}
+                    value={(row) => row.value} render={() => ''} />
+            </Table>
+        );
+        expect(columnTexts(wrapper)).toEqual(['1', '2', '0', '3']);
+    });
+
+    test('boolean orders false before true', () => {
+        expect(sorted([true, 0, false, 1], {
+            sortMethod: sortMethods.boolean,
+            render: ({value}) => String(value)
+        })).toEqual(['0', 'false', 'true', '1']);
+    });
+
+    test('localeSort compares in the given locale', () => {
+        expect(sorted(['z', 'ä', 'a'], {
+            sortMethod: localeSort('sv')
+        })).toEqual(['a', 'z', 'ä']);
+        expect(sorted(['z', 'ä', 'a'], {
+            sortMethod: localeSort('de')
+        })).toEqual(['a', 'ä', 'z']);
+    });
+
+    test('type picks the sort method', () => {
+        expect(sorted(['10', '9'], {type: 'number'})).toEqual(['9', '10']);
+        expect(sorted(['a10', 'a9'], {type: 'natural'}))
+            .toEqual(['a9', 'a10']);
+    });
+
+    test('explicit sortMethod takes precedence over type', () => {
+        const sortMethod = jest.fn(() => 0);
+        expect(sorted(['b', 'a'], {type: 'string', sortMethod}))
+            .toEqual(['b', 'a']);
+        expect(sortMethod).toHaveBeenCalled();
+    });
+
+});
+
+
+describe('nulls policy', () => {
+
+    const values = [2, null, 1, undefined];
+
+    test('sorts missing values last in both directions', () => {
+        expect(sorted(values, {nulls: 'last'})).toEqual(['1', '2', '', '']);
+        expect(sorted(values, {nulls: 'last'}, true))
+            .toEqual(['2', '1', '', '']);
+    });
+
+    test('sorts missing values first in both directions', () => {
+        expect(sorted(values, {nulls: 'first'})).toEqual(['', '', '1', '2']);
+        expect(sorted(values, {nulls: 'first'}, true))
+            .toEqual(['', '', '2', '1']);
+    });
+
+    test('keeps missing values in data set order', () => {
+        const wrapper = mount(
+            <Table data={values.map((value, id) => ({id, value}))}
+                sort="value" descending>
+                <Column id="id" header="Id" value={(row) => row.id} />
+                <Column id="value" header="Value" sortId="value"
+                    value={(row) => row.value} nulls="last" />
+            </Table>
+        );
+        expect(columnTexts(wrapper)).toEqual(['0', '2', '1', '3']);
+    });
+
+    test('passes missing values to the sort method without a policy', () => {
+        // Numbers first, then null before undefined
+        const rank = (value) => (value === undefined) ? 2 :
+            ((value === null) ? 1 : 0);
+        const sortMethod = ({a, b, column}) => {
+            const [va, vb] = [column.value(a), column.value(b)];
+            return (rank(va) - rank(vb)) || (rank(va) ? 0 : va - vb);
+        };
+        const wrapper = mount(
+            <Table data={values.map((value, id) => ({id, value}))}
+                sort="value" descending>
+                <Column id="id" header="Id" value={(row) => row.id} />
+                <Column id="value" header="Value" sortId="value"
+                    value={(row) => row.value} sortMethod={sortMethod} />
+            </Table>
+        );
+        // Descending order reverses the missing values as well
+        expect(columnTexts(wrapper)).toEqual(['3', '1', '0', '2']);
+        wrapper.setProps({children: [
+            <Column id="id" header="Id" value={(row) => row.id} />,
+            <Column id="value" header="Value" sortId="value"
+                value={(row) => row.value} sortMethod={sortMethod}
+                nulls="last" />
+        ]});
+        expect(columnTexts(wrapper)).toEqual(['0', '2', '1', '3']);
+    });
+
+});
+
+
+describe('stable sort', () => {
+
+    test('keeps rows with equal values in data set order', () => {
+        const data = [3, 1, 2, 1, 3, 1].map((value, id) => ({id, value}));
+        const wrapper = mount(
+            <Table data={data} sort="value">
+                <Column id="id" header="Id" value={(row) => row.id} />
+                <Column id="value" header="Value" sortId="value"
+                    value={(row) => row.value} />
+            </Table>
+        );
+        expect(columnTexts(wrapper)).toEqual(['1', '3', '5', '2', '0', '4']);
+        wrapper.instance().sortBy('value', true);
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['0', '4', '2', '1', '3', '5']);
+    });
+
+});
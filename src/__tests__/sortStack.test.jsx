@@ -0,0 +1,182 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+import { cellTexts, columnTexts } from './helpers.jsx';
+
+
+const data = [
+    {name: 'a', status: 'open', date: 1},
+    {name: 'b', status: 'closed', date: 2},
+    {name: 'c', status: 'open', date: 3},
+    {name: 'd', status: 'closed', date: 1},
+    {name: 'e', status: 'open', date: 2}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="name" header="Name" value={(row) => row.name} />
+        <Column id="status" header="Status" sortId="status"
+            value={(row) => row.status} />
+        <Column id="date" header="Date" sortId="date"
+            value={(row) => row.date} />
+    </Table>
+);
+
+const headers = (wrapper) => wrapper.find('thead th');
+
+
+describe('sort stack', () => {
+
+    test('falls through to the next entry on ties', () => {
+        const wrapper = table({sort: [
+            {sort: 'status'}, {sort: 'date', descending: true}
+        ]});
+        expect(columnTexts(wrapper)).toEqual(['b', 'd', 'c', 'e', 'a']);
+    });
+
+    test('keeps data set order for rows equal by all entries', () => {
+        const wrapper = table({sort: [{sort: 'status'}]});
+        expect(columnTexts(wrapper)).toEqual(['b', 'd', 'a', 'c', 'e']);
+    });
+
+    test('accepts a single sort order id', () => {
+        const wrapper = table({sort: 'date', descending: true});
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'e', 'a', 'd']);
+    });
+
+    test('ignores unknown sort order ids', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table({sort: [{sort: 'missing'}, {sort: 'date'}]});
+        expect(columnTexts(wrapper)).toEqual(['a', 'd', 'b', 'e', 'c']);
+        expect(warn).toHaveBeenCalledWith('Invalid sort method: missing');
+        warn.mockRestore();
+    });
+
+    test('sortBy replaces the stack and flips the primary direction', () => {
+        const wrapper = table({sort: [{sort: 'status'}, {sort: 'date'}]});
+        const instance = wrapper.instance();
+        instance.sortBy('date');
+        expect(instance.state.sort).toEqual([
+            {sort: 'date', descending: false}
+        ]);
+        instance.sortBy('date');
+        expect(instance.state.sort).toEqual([
+            {sort: 'date', descending: true}
+        ]);
+    });
+
+    test('addSortBy appends or toggles an entry in place', () => {
+        const wrapper = table({sort: 'status'});
+        const instance = wrapper.instance();
+        instance.addSortBy('date', true);
+        expect(instance.state.sort).toEqual([
+            {sort: 'status', descending: false},
+            {sort: 'date', descending: true}
+        ]);
+        instance.addSortBy('status');
+        expect(instance.state.sort).toEqual([
+            {sort: 'status', descending: true},
+            {sort: 'date', descending: true}
+        ]);
+    });
+
+});
+
+
+describe('header clicks', () => {
+
+    test('click sorts by the column alone', () => {
+        const wrapper = table({sort: [{sort: 'status'}, {sort: 'date'}]});
+        headers(wrapper).at(2).simulate('click');
+        expect(wrapper.state('sort')).toEqual([
+            {sort: 'date', descending: false}
+        ]);
+    });
+
+    test('shift-click adds a secondary key and then toggles it', () => {
+        const wrapper = table({sort: 'status'});
+        headers(wrapper).at(2).simulate('click', {shiftKey: true});
+        expect(columnTexts(wrapper)).toEqual(['d', 'b', 'a', 'e', 'c']);
+        headers(wrapper).at(2).simulate('click', {shiftKey: true});
+        expect(columnTexts(wrapper)).toEqual(['b', 'd', 'c', 'e', 'a']);
+        expect(wrapper.state('sort')).toEqual([
+            {sort: 'status', descending: false},
+            {sort: 'date', descending: true}
+        ]);
+    });
+
+    test('renders priorities when sorting by more than one column', () => {
+        const wrapper = table({sort: 'status'});
+        expect(cellTexts(wrapper, 'thead')).toEqual([
+            ['Name', 'Status ∧', 'Date']
+        ]);
+        headers(wrapper).at(2).simulate('click', {shiftKey: true});
+        headers(wrapper).at(2).simulate('click', {shiftKey: true});
+        expect(cellTexts(wrapper, 'thead')).toEqual([
+            ['Name', 'Status 1 ∧', 'Date 2 ∨']
+        ]);
+    });
+
+    test('passes priority and sort count to renderSorting', () => {
+        const renderSorting = jest.fn(({cell}) => cell);
+        table({
+            sort: [{sort: 'date', descending: true}, {sort: 'status'}],
+            renderSorting
+        });
+        expect(renderSorting).toHaveBeenCalledWith({
+            cell: 'Date', descending: true, priority: 1, sortCount: 2
+        });
+        expect(renderSorting).toHaveBeenCalledWith({
+            cell: 'Status', descending: false, priority: 2, sortCount: 2
+        });
+    });
+
+});
+
+
+describe('column group sorting', () => {
+
+    // Sorts by the sum of the two columns of the group
+    const sortMethod = ({a, b}) => (a.x + a.y) - (b.x + b.y);
+    const rows = [
+        {name: 'a', x: 2, y: 2, kind: 1},
+        {name: 'b', x: 1, y: 1, kind: 1},
+        {name: 'c', x: 0, y: 4, kind: 0},
+        {name: 'd', x: 3, y: 0, kind: 0}
+    ];
+    const grouped = (sort) => mount(
+        <Table data={rows} sort={sort}>
+            <Column id="name" value={(row) => row.name} />
+            <Column id="kind" sortId="kind" value={(row) => row.kind} />
+            <Group id="xy" header="XY" sortId="xy" sortMethod={sortMethod}>
+                <Column id="x" value={(row) => row.x} />
+                <Column id="y" value={(row) => row.y} />
+            </Group>
+        </Table>
+    );
+
+    test('sorts as the primary entry', () => {
+        const wrapper = grouped([{sort: 'xy', descending: true}]);
+        expect(columnTexts(wrapper)).toEqual(['a', 'c', 'd', 'b']);
+    });
+
+    test('sorts as a secondary entry', () => {
+        const wrapper = grouped([{sort: 'kind'}, {sort: 'xy'}]);
+        expect(columnTexts(wrapper)).toEqual(['d', 'c', 'b', 'a']);
+    });
+
+    test('requires a sort method', () => {
+        const error = jest.spyOn(console, 'error')
+            .mockImplementation(() => {});
+        expect(() => mount(
+            <Table data={rows}>
+                <Group sortId="xy">
+                    <Column value={(row) => row.x} />
+                    <Column value={(row) => row.y} />
+                </Group>
+            </Table>
+        )).toThrow('sortMethod is required for sortable <Group>');
+        error.mockRestore();
+    });
+
+});
@@ -0,0 +1,177 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { columnTexts, lastCall } from './helpers.jsx';
+
+
+const data = [
+    {name: 'b', n: 2},
+    {name: 'a', n: 1},
+    {name: 'c', n: 3}
+];
+
+const table = (props = {}) => mount(
+    <Table data={data} {...props}>
+        <Column id="name" header="Name" sortId="name" filterId="name"
+            filter="text" value={(row) => row.name} />
+        <Column id="n" header="N" sortId="n" value={(row) => row.n} />
+    </Table>
+);
+
+// In-memory state storage adapter
+const memoryStorage = (stored = {}) => ({
+    stored,
+    load: jest.fn((key) => stored[key]),
+    save: jest.fn((key, state) => {
+        stored[key] = state;
+    })
+});
+
+
+describe('table state', () => {
+
+    test('getState returns the serializable state', () => {
+        const wrapper = table({
+            sort: 'n', filters: {name: 'a'}, pageSize: 10, stateVersion: 2
+        });
+        expect(wrapper.instance().getState()).toEqual({
+            version: 2,
+            sort: [{sort: 'n', descending: false}],
+            filters: {name: 'a'},
+            hiddenColumns: [],
+            columnOrder: [],
+            columnWidths: {},
+            page: 0,
+            pageSize: 10
+        });
+    });
+
+    test('restores the initial state', () => {
+        const wrapper = table({initialState: {
+            version: 1,
+            sort: [{sort: 'name', descending: true}],
+            hiddenColumns: ['n']
+        }});
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+        expect(wrapper.find('thead th')).toHaveLength(1);
+    });
+
+    test('drops stale and invalid entries', () => {
+        const wrapper = table({initialState: {
+            version: 1,
+            sort: [{sort: 'gone'}, {sort: 'n'}],
+            filters: {gone: 'x', name: 'b'},
+            hiddenColumns: ['gone'],
+            columnWidths: {n: 'wide', name: 50},
+            page: 'first'
+        }});
+        expect(wrapper.instance().getState()).toMatchObject({
+            sort: [{sort: 'n'}],
+            filters: {name: 'b'},
+            hiddenColumns: [],
+            columnWidths: {name: 50},
+            page: 0
+        });
+    });
+
+    test('drops state with another version', () => {
+        const wrapper = table({
+            stateVersion: 2, initialState: {version: 1, sort: 'n'}
+        });
+        expect(wrapper.state('sort')).toEqual([]);
+    });
+
+    test('does not restore controlled features', () => {
+        const wrapper = table({
+            sort: 'name', onSortChange: jest.fn(),
+            initialState: {version: 1, sort: [{sort: 'n', descending: true}]}
+        });
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('restoreState applies a saved state', () => {
+        const wrapper = table();
+        wrapper.instance().restoreState({
+            version: 1, sort: [{sort: 'n', descending: true}], pageSize: 2
+        });
+        wrapper.update();
+        expect(columnTexts(wrapper)).toEqual(['c', 'b']);
+    });
+
+});
+
+
+describe('state reporting', () => {
+
+    test('reports state changes to onStateChange', () => {
+        const onStateChange = jest.fn();
+        const wrapper = table({onStateChange});
+        expect(onStateChange).not.toHaveBeenCalled();
+        wrapper.instance().sortBy('n');
+        expect(lastCall(onStateChange).sort).toEqual(
+            [{sort: 'n', descending: false}]);
+        wrapper.instance().toggleColumn('n');
+        expect(onStateChange).toHaveBeenCalledTimes(2);
+    });
+
+    test('ignores updates that do not change the state', () => {
+        const onStateChange = jest.fn();
+        const wrapper = table({onStateChange});
+        wrapper.setProps({data: [...data]});
+        wrapper.instance().setFilters({});
+        wrapper.instance().setFilters({});
+        expect(onStateChange).toHaveBeenCalledTimes(1);
+    });
+
+    test('settles with controlled props rebuilt on each render', () => {
+        // Parent storing the reported state, passing a new sort array and
+        // new callbacks on each render
+        class Parent extends React.Component {
+            constructor(props) {
+                super(props);
+                this.state = {reported: 0};
+            }
+            render() {
+                return <Table data={data} sort={[{sort: 'n'}]}
+                    onSortChange={() => {}} hiddenColumns={[]}
+                    onHiddenColumnsChange={() => {}}
+                    onStateChange={() => this.setState(
+                        ({reported}) => ({reported: reported + 1}))}>
+                    <Column id="name" sortId="name"
+                        value={(row) => row.name} />
+                    <Column id="n" sortId="n" value={(row) => row.n} />
+                </Table>;
+            }
+        }
+        const wrapper = mount(<Parent />);
+        wrapper.setState({other: true});
+        wrapper.setState({other: false});
+        expect(wrapper.state('reported')).toBe(0);
+        expect(columnTexts(wrapper)).toEqual(['a', 'b', 'c']);
+    });
+
+    test('saves and loads state with stateKey', () => {
+        const storage = memoryStorage({
+            grid: {version: 1, sort: [{sort: 'name', descending: true}]}
+        });
+        const wrapper = table({stateKey: 'grid', stateStorage: storage});
+        expect(storage.load).toHaveBeenCalledWith('grid');
+        expect(columnTexts(wrapper)).toEqual(['c', 'b', 'a']);
+        expect(storage.save).not.toHaveBeenCalled();
+        wrapper.instance().sortBy('n');
+        expect(storage.stored.grid.sort).toEqual(
+            [{sort: 'n', descending: false}]);
+    });
+
+    test('stored state takes precedence over initialState', () => {
+        const storage = memoryStorage({grid: {version: 1, sort: []}});
+        const wrapper = table({
+            stateKey: 'grid', stateStorage: storage,
+            initialState: {version: 1, sort: [{sort: 'name'}], pageSize: 2}
+        });
+        expect(columnTexts(wrapper)).toEqual(['b', 'a']);
+        expect(wrapper.state('sort')).toEqual([]);
+    });
+
+});
+
@@ -0,0 +1,132 @@
+import React from 'react';
+import { mount } from 'enzyme';
+import { Table, Column, Group } from '../table.jsx';
+
+
+const data = [{a: 1, b: 2, c: 3, d: 4, e: 5}];
+
+const table = (props = {}, options) => mount(
+    <Table data={data} {...props}>
+        <Column id="a" header="A" frozen="left" width={40}
+            value={(row) => row.a} />
+        <Group id="g" header="G" frozen="left">
+            <Column id="b" header="B" width={50} value={(row) => row.b} />
+            <Column id="c" header="C" width={60}
+                tdProps={() => ({style: {zIndex: 5}, className: 'own'})}
+                value={(row) => row.c} />
+        </Group>
+        <Column id="d" header="D" value={(row) => row.d} />
+        <Column id="e" header="E" frozen="right" width={70}
+            value={(row) => row.e} />
+    </Table>,
+    options
+);
+
+const bodyCells = (wrapper) => wrapper.find('tbody td');
+
+const headerCell = (wrapper, text) =>
+    wrapper.find('thead th').filterWhere((th) => th.text() === text);
+
+// Replace a layout property of a DOM element class for the duration of fn
+const withLayout = (type, property, get, fn) => {
+    const descriptor = Object.getOwnPropertyDescriptor(type.prototype,
+        property);
+    Object.defineProperty(type.prototype, property,
+        {configurable: true, get});
+    try {
+        return fn();
+    } finally {
+        if (descriptor) {
+            Object.defineProperty(type.prototype, property, descriptor);
+        } else {
+            delete type.prototype[property];
+        }
+    }
+};
+
+
+describe('frozen columns', () => {
+
+    test('are offset by the widths of the columns further out', () => {
+        const wrapper = table();
+        expect(bodyCells(wrapper).map((td) => td.prop('style'))).toEqual([
+            {position: 'sticky', left: 0, zIndex: 1},
+            {position: 'sticky', left: 40, zIndex: 1},
+            {position: 'sticky', left: 90, zIndex: 5},
+            undefined,
+            {position: 'sticky', right: 0, zIndex: 1}
+        ]);
+    });
+
+    test('get side and edge class names', () => {
+        const wrapper = table();
+        expect(bodyCells(wrapper).map((td) => td.prop('className'))).toEqual([
+            'frozen-left',
+            'frozen-left',
+            'frozen-left frozen-left-edge own',
+            undefined,
+            'frozen-right frozen-right-edge'
+        ]);
+        expect(headerCell(wrapper, 'G').prop('className'))
+            .toBe('frozen-left frozen-left-edge');
+        expect(headerCell(wrapper, 'G').prop('style').left).toBe(40);
+    });
+
+    test('use the measured widths of header cells', () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        withLayout(window.HTMLElement, 'offsetWidth', function() {
+            return (this.tagName === 'TH') ? 100 : 0;
+        }, () => {
+            const wrapper = table({}, {attachTo: container});
+            wrapper.update();
+            expect(bodyCells(wrapper).map((td) =>
+                td.prop('style') && td.prop('style').left))
+                .toEqual([0, 100, 200, undefined, undefined]);
+            wrapper.detach();
+        });
+    });
+
+});
+
+
+describe('sticky header', () => {
+
+    test('is disabled by default', () => {
+        const wrapper = table();
+        expect(headerCell(wrapper, 'D').prop('style')).toBeUndefined();
+    });
+
+    test('offsets sub-header rows by the rows above them', () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        withLayout(window.HTMLElement, 'offsetHeight', function() {
+            return (this.tagName === 'TR') ? 25 : 0;
+        }, () => {
+            const wrapper = table({stickyHeader: true},
+                {attachTo: container});
+            wrapper.update();
+            expect(headerCell(wrapper, 'D').prop('style'))
+                .toEqual({position: 'sticky', top: 0, zIndex: 2});
+            // Header cells without layout measure 0 pixels wide
+            expect(headerCell(wrapper, 'B').prop('style')).toEqual({
+                position: 'sticky', left: 0, top: 25, zIndex: 3
+            });
+            expect(headerCell(wrapper, 'B').prop('className'))
+                .toBe('frozen-left sticky-header');
+            wrapper.detach();
+        });
+    });
+
+    test('lets custom header props win', () => {
+        const wrapper = mount(
+            <Table data={data} stickyHeader>
+                <Column id="a" header="A" value={(row) => row.a}
+                    headerProps={() => ({style: {top: 10}})} />
+            </Table>
+        );
+        expect(headerCell(wrapper, 'A').prop('style'))
+            .toEqual({position: 'sticky', top: 10, zIndex: 2});
+    });
+
+});
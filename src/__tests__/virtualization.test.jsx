@@ -0,0 +1,109 @@
+import React from 'react';
+import _ from 'lodash';
+import { mount } from 'enzyme';
+import { Table, Column } from '../table.jsx';
+import { columnTexts } from './helpers.jsx';
+
+
+const data = _.map(_.range(100), (n) => ({n}));
+
+const table = (props = {}) => mount(
+    <Table data={data} virtualized height={300} rowHeight={30} overscan={2}
+        {...props}>
+        <Column id="n" header="N" value={(row) => row.n} />
+    </Table>
+);
+
+const spacers = (wrapper) => wrapper.find('tbody tr[aria-hidden]').map(
+    (tr) => tr.find('td').prop('style').height);
+
+// jsdom does not scroll, make scrollTop of the container assignable and
+// move the body up by the scrolled distance
+const scrollable = (wrapper) => {
+    const node = wrapper.find('div').first().getDOMNode();
+    Object.defineProperty(node, 'scrollTop', {value: 0, writable: true});
+    wrapper.find('tbody').getDOMNode().getBoundingClientRect = () => ({
+        top: -node.scrollTop
+    });
+    return wrapper;
+};
+
+const scroll = (wrapper, scrollTop) => {
+    const container = wrapper.find('div').first();
+    container.getDOMNode().scrollTop = scrollTop;
+    container.simulate('scroll');
+};
+
+
+describe('virtualization', () => {
+
+    test('renders the visible rows and the overscan', () => {
+        const wrapper = table();
+        const rows = wrapper.find('tbody tr').not('[aria-hidden]');
+        expect(rows).toHaveLength(12);
+        expect(spacers(wrapper)).toEqual([88 * 30]);
+        expect(wrapper.find('div').first().prop('style')).toMatchObject(
+            {overflowY: 'auto', height: 300});
+    });
+
+    test('renders the rows scrolled into view', () => {
+        const wrapper = scrollable(table());
+        scroll(wrapper, 600);
+        const texts = _.compact(columnTexts(wrapper));
+        expect(_.first(texts)).toBe('18');
+        expect(_.last(texts)).toBe('31');
+        expect(spacers(wrapper)).toEqual([18 * 30, 68 * 30]);
+    });
+
+    test('scrollToRow scrolls a row to the top', () => {
+        const wrapper = scrollable(table());
+        wrapper.instance().scrollToRow(50);
+        wrapper.update();
+        expect(wrapper.state('scrollTop')).toBe(1500);
+        expect(_.compact(columnTexts(wrapper))[0]).toBe('48');
+    });
+
+    test('scrollToRow finds rows of mapping data sets by key', () => {
+        const keyed = _.fromPairs(_.map(data, ({n}) => [`k${n}`, {n}]));
+        const wrapper = scrollable(table({data: keyed}));
+        wrapper.instance().scrollToRow('k50');
+        wrapper.update();
+        expect(wrapper.state('scrollTop')).toBe(1500);
+        expect(_.compact(columnTexts(wrapper))[0]).toBe('48');
+        wrapper.instance().scrollToRow(50);
+        expect(wrapper.state('scrollTop')).toBe(1500);
+    });
+
+    test('scrollToRow finds rows by numeric keys given as strings', () => {
+        const wrapper = scrollable(table());
+        wrapper.instance().scrollToRow('50');
+        expect(wrapper.state('scrollTop')).toBe(1500);
+    });
+
+    test('scrollToRow warns without virtualization', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const wrapper = table({virtualized: false});
+        wrapper.instance().scrollToRow(50);
+        expect(warn).toHaveBeenCalledWith(
+            'scrollToRow() requires a virtualized table');
+        warn.mockRestore();
+    });
+
+    test('uses measured heights with measureRows', () => {
+        const wrapper = table({measureRows: true});
+        const instance = wrapper.instance();
+        instance.rowHeights = {0: 300, 1: 300};
+        instance.forceUpdate();
+        wrapper.update();
+        const texts = _.compact(columnTexts(wrapper));
+        expect(texts).toEqual(['0', '1', '2']);
+        expect(spacers(wrapper)).toEqual([97 * 30]);
+    });
+
+    test('renders all rows without virtualization', () => {
+        const wrapper = table({virtualized: false});
+        expect(columnTexts(wrapper)).toHaveLength(100);
+        expect(spacers(wrapper)).toEqual([]);
+    });
+
+});
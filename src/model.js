@@ -0,0 +1,2210 @@
+import _ from 'lodash';
+import PropTypes from 'prop-types';
+
+
+/**
+ * Return true if a data set is a Map, Set or other iterable.
+ *
+ * @param {any} data - data set
+ * @returns {boolean} - true if data implements the iterable protocol
+ */
+export const isIterable = (data) => (
+    !!data && (typeof data !== 'string') &&
+    (typeof data[Symbol.iterator] === 'function')
+);
+
+/**
+ * Reorder sibling columns according to a column order.
+ *
+ * @param {Array<Column>} columns - sibling columns in their defined order
+ * @param {Array<string>} order - column ids in display order
+ * @returns {Array<Column>} - reordered columns
+ *
+ * Only columns whose ids are listed in order are moved, among the positions
+ * occupied by such columns; all other columns keep their positions.
+ */
+export const orderColumns = (columns, order) => {
+    const rank = (c) => _.indexOf(order, c.props.id);
+    const sorted = _.sortBy(_.filter(columns, (c) => rank(c) >= 0), rank);
+    var next = 0;
+    return _.map(columns, (c) => (rank(c) >= 0) ? sorted[next++] : c);
+};
+
+/**
+ * Convert an exported value to text.
+ *
+ * @param {any} value - exported column value
+ * @returns {string} - empty string for undefined and null, ISO format for
+ *                     dates, JSON for objects and arrays
+ */
+const exportText = (value) => {
+    if (_.isNil(value)) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+};
+
+/**
+ * Format exported rows as delimiter separated values.
+ *
+ * @param {Array<Array>} rows - rows of field values, header row first
+ * @param {string} delimiter - field delimiter
+ * @returns {string} - rows separated by CRLF
+ *
+ * Fields containing the delimiter, quotes or line breaks are quoted as
+ * described in RFC 4180.
+ */
+const formatDelimited = (rows, delimiter) => _.map(rows, (fields) =>
+    _.map(fields, (value) => {
+        const text = exportText(value);
+        if ((text.indexOf(delimiter) < 0) && !/["\r\n]/.test(text)) {
+            return text;
+        }
+        return `"${text.replace(/"/g, '""')}"`;
+    }).join(delimiter)
+).join('\r\n');
+
+/**
+ * Normalize a sort order into a sort stack.
+ *
+ * @param {string|Array} sort - sort order id or sort stack
+ * @param {boolean} descending - sort direction for a single sort order id
+ * @returns {Array<object>} - array of {sort, descending} entries
+ *
+ * A single sort order id is converted to a single-entry stack; an undefined
+ * sort order results in an empty stack.
+ */
+export const normalizeSort = (sort, descending) => {
+    if (!sort) {
+        return [];
+    }
+    if (!(sort instanceof Array)) {
+        return [{sort, descending: !!descending}];
+    }
+    return _.map(sort, (entry) => ({
+        sort: entry.sort, descending: !!entry.descending
+    }));
+};
+
+/**
+ * Return true if a filter value does not restrict the data set.
+ *
+ * @param {any} filter - filter value
+ * @returns {boolean} - true for undefined, null, empty string or empty array
+ */
+export const isEmptyFilter = (filter) => (
+    (filter === undefined) || (filter === null) || (filter === '') ||
+    ((filter instanceof Array) && !filter.length)
+);
+
+/**
+ * Built-in column filter methods.
+ *
+ * Each filter method receives the column value of a data row and the active
+ * filter value, and returns true if the row passes the filter.
+ */
+export const filterMethods = {
+
+    /**
+     * Case-insensitive substring filter.
+     *
+     * @param {any} value - column value of the data row
+     * @param {string} filter - text to search for
+     * @returns {boolean} - true if value contains the filter text
+     */
+    text: ({value, filter}) => (
+        String((value === undefined || value === null) ? '' : value)
+            .toLowerCase()
+            .indexOf(String(filter).toLowerCase()) >= 0
+    ),
+
+    /**
+     * Numeric range filter.
+     *
+     * @param {any} value - column value of the data row
+     * @param {object} filter - {min, max} inclusive bounds, either optional
+     * @returns {boolean} - true if value is within the bounds
+     */
+    range: ({value, filter}) => {
+        const {min, max} = filter;
+        const hasMin = !isEmptyFilter(min) && !isNaN(min);
+        const hasMax = !isEmptyFilter(max) && !isNaN(max);
+        if (!hasMin && !hasMax) {
+            return true;
+        }
+        const number = Number(value);
+        if (isEmptyFilter(value) || isNaN(number)) {
+            return false;
+        }
+        return (!hasMin || (number >= Number(min))) &&
+            (!hasMax || (number <= Number(max)));
+    },
+
+    /**
+     * Enumerated set filter.
+     *
+     * @param {any} value - column value of the data row
+     * @param {Array} filter - allowed values
+     * @returns {boolean} - true if value is one of the allowed values
+     */
+    set: ({value, filter}) => _.includes(filter, value)
+
+};
+
+/**
+ * Default sorting comparator.
+ *
+ * @param {any} a, b - data rows to compare
+ * @param {Column} column - reference to the Column instance
+ * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+ */
+const defaultSort = ({a, b, column}) => {
+    const [va, vb] = [column.value(a), column.value(b)];
+    return (va > vb) ? 1 : ((va < vb) ? -1 : 0);
+};
+
+/**
+ * Compare two numbers, ranking NaN after all other numbers.
+ *
+ * @param {number} a, b - numbers to compare
+ * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+ */
+const compareNumbers = (a, b) => {
+    const [nanA, nanB] = [isNaN(a), isNaN(b)];
+    if (nanA || nanB) {
+        return nanA - nanB;
+    }
+    return (a > b) ? 1 : ((a < b) ? -1 : 0);
+};
+
+/**
+ * Create a sort method that compares column values as locale strings.
+ *
+ * @param {string|Array<string>} locales - locales passed to Intl.Collator,
+ *                                         defaults to the runtime locale
+ * @param {object} options - options passed to Intl.Collator
+ * @returns {function} - sort method for the sortMethod prop of <Column>
+ */
+export const localeSort = (locales, options) => {
+    const collator = new Intl.Collator(locales, options);
+    return ({a, b, column}) => collator.compare(
+        String(column.value(a)), String(column.value(b)));
+};
+
+/**
+ * Built-in column sort methods.
+ *
+ * Each sort method receives two data rows and the column, and compares the
+ * column values of the rows. Undefined and null values never reach the sort
+ * methods of columns with a nulls policy.
+ */
+export const sortMethods = {
+
+    /**
+     * Case and accent insensitive string comparison in the runtime locale.
+     *
+     * @param {object} a, b - data rows to compare
+     * @param {Column} column - reference to the Column instance
+     * @returns {number} - negative if a < b; positive if a > b; 0 if equal
+     */
+    locale: localeSort(undefined, {sensitivity: 'base'}),
+
+    /**
+     * Natural string comparison, ordering "item2" before "item10".
+     *
+     * @param {object} a, b - data rows to compare
+     * @param {Column} column - reference to the Column instance
+     * @returns {number} - negative if a < b; positive if a > b; 0 if equal
+     */
+    natural: localeSort(undefined, {numeric: true, sensitivity: 'base'}),
+
+    /**
+     * Numeric comparison; values that are not numbers rank after all numbers.
+     *
+     * @param {object} a, b - data rows to compare
+     * @param {Column} column - reference to the Column instance
+     * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+     */
+    numeric: ({a, b, column}) => compareNumbers(
+        Number(column.value(a)), Number(column.value(b))),
+
+    /**
+     * Date comparison of Date objects, timestamps or date strings; invalid
+     * dates rank after all valid dates.
+     *
+     * @param {object} a, b - data rows to compare
+     * @param {Column} column - reference to the Column instance
+     * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+     */
+    date: ({a, b, column}) => compareNumbers(
+        new Date(column.value(a)).getTime(),
+        new Date(column.value(b)).getTime()),
+
+    /**
+     * Boolean comparison, ordering false before true.
+     *
+     * @param {object} a, b - data rows to compare
+     * @param {Column} column - reference to the Column instance
+     * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+     */
+    boolean: ({a, b, column}) => compareNumbers(
+        Number(!!column.value(a)), Number(!!column.value(b)))
+
+};
+
+/**
+ * Sort methods of the column value types of the type prop of <Column>.
+ */
+const typeSortMethods = {
+    string: sortMethods.locale,
+    natural: sortMethods.natural,
+    number: sortMethods.numeric,
+    date: sortMethods.date,
+    boolean: sortMethods.boolean
+};
+
+/**
+ * Resolve the shorthand props of a column or column group.
+ *
+ * @param {object} props - column props
+ * @returns {object} - props with value, sortId and sortMethod derived from
+ *                     the field, sortable and type props
+ *
+ * Explicit value, sortId and sortMethod props take precedence over the
+ * shorthand props.
+ */
+const resolveColumnProps = (props) => {
+    const {field, type, sortable} = props;
+    const resolved = {...props};
+    if ((field !== undefined) && !props.value) {
+        resolved.value = (row) => _.get(row, field);
+    }
+    if (type && (props.sortMethod === defaultSort)) {
+        resolved.sortMethod = typeSortMethods[type];
+    }
+    if (sortable && !props.sortId) {
+        resolved.sortId = props.id || _.toPath(field).join('.');
+    }
+    return resolved;
+};
+
+/**
+ * Return true if a value is a React element.
+ *
+ * @param {any} node - value to check
+ * @returns {boolean} - true if node is a React element
+ *
+ * Elements are recognized by their $$typeof tag, like React itself does, so
+ * the model does not depend on React.
+ */
+const isElement = (node) => _.isObject(node) && (node.$$typeof === (
+    ((typeof Symbol === 'function') && Symbol.for) ?
+        Symbol.for('react.element') : 0xeac7));
+
+/**
+ * Create a column instance from a column definition.
+ *
+ * @param {Element|object|Column} definition - <Column> or <Group> element,
+ *                                             plain object column definition
+ *                                             or column instance
+ * @param {object} table - table or table model the column belongs to
+ * @param {Group} group - column group instance the column belongs to
+ * @param {string} parent - name of the container, for error messages
+ * @param {object} types - {Column, Group} classes to build plain object
+ *                         definitions with, defaults to the classes of this
+ *                         module
+ * @returns {Column} - column instance; column instances are returned as-is
+ *
+ * Plain object definitions with children become column groups. Elements are
+ * built with their own element type.
+ */
+export const createColumn = (
+    definition, table, group, parent, types = {Column, Group}
+) => {
+    if (definition instanceof Column) {
+        return definition;
+    }
+    if (_.isPlainObject(definition) && !isElement(definition)) {
+        const type = (definition.children !== undefined) ?
+            types.Group : types.Column;
+        return new type({...type.defaultProps, ...definition}, table, group);
+    }
+    if (!isElement(definition)) {
+        throw new TypeError(
+            `Node of type ${typeof definition} not valid in <${parent}>`
+        );
+    }
+    const instance = new definition.type(definition.props, table, group);
+    if (!(instance instanceof Column)) {
+        throw new TypeError(
+            `Element <${definition.type.name}> not valid in <${parent}>`
+        );
+    }
+    return instance;
+};
+
+/**
+ * Built-in aggregate functions.
+ *
+ * Each aggregate function receives the column values of a set of data rows
+ * and returns a single aggregated value. Undefined and null values are
+ * ignored, except by count.
+ */
+export const aggregators = {
+
+    /**
+     * Sum of numeric values.
+     *
+     * @param {Array} values - column values
+     * @returns {number} - sum of the values
+     */
+    sum: ({values}) => _.sum(_.map(_.reject(values, _.isNil), Number)),
+
+    /**
+     * Average of numeric values.
+     *
+     * @param {Array} values - column values
+     * @returns {number} - arithmetic mean, undefined if there are no values
+     */
+    avg: ({values}) => {
+        const numbers = _.map(_.reject(values, _.isNil), Number);
+        return numbers.length ? _.mean(numbers) : undefined;
+    },
+
+    /**
+     * Smallest value.
+     *
+     * @param {Array} values - column values
+     * @returns {any} - minimum value, undefined if there are no values
+     */
+    min: ({values}) => _.min(_.reject(values, _.isNil)),
+
+    /**
+     * Largest value.
+     *
+     * @param {Array} values - column values
+     * @returns {any} - maximum value, undefined if there are no values
+     */
+    max: ({values}) => _.max(_.reject(values, _.isNil)),
+
+    /**
+     * Number of rows.
+     *
+     * @param {Array} values - column values
+     * @returns {number} - number of values
+     */
+    count: ({values}) => values.length
+
+};
+
+/**
+ * Return all leaf columns of columns and column groups, including hidden
+ * columns.
+ *
+ * @param {Array<Column>} columns - columns and column groups
+ * @returns {Array<Column>} - columns, with column groups replaced by their
+ *                            leaf columns
+ */
+export const allLeafColumns = (columns) => _.flatMap(columns, (c) =>
+    c.columns ? allLeafColumns(c.columns) : [c]);
+
+/**
+ * Return the text content of a React node.
+ *
+ * @param {Node} node - React node
+ * @returns {string} - concatenated strings and numbers within the node
+ */
+const nodeText = (node) => {
+    if (_.isNil(node) || (typeof node === 'boolean')) {
+        return '';
+    }
+    if (node instanceof Array) {
+        return _.map(node, nodeText).join('');
+    }
+    if (isElement(node)) {
+        return nodeText(node.props.children);
+    }
+    return String(node);
+};
+
+
+/**
+ * Column class.
+ *
+ * Holds a column definition and derives the values, sorting, filtering,
+ * aggregation and export of the column from it, without rendering. The
+ * <Column> of table.jsx extends it with the rendering of its cells.
+ */
+export class Column {
+
+    /**
+     * Column constructor.
+     *
+     * @param {object} props - column props
+     * @param {Table|TableModel} table - table or table model this column
+     *                                 belongs to
+     * @param {Group} group - column group instance this column belongs to
+     *
+     * For top-level columns (not within a column group), group will be
+     * undefined. Throws if the column has neither a value nor a field prop.
+     */
+    constructor(props, table, group) {
+        this.props = resolveColumnProps(props);
+        if (!this.props.value && !(this instanceof Group)) {
+            // Fail when defining the column rather than when rendering cells
+            const name = (props.id !== undefined) ?
+                `<Column id="${props.id}">` : '<Column>';
+            throw new TypeError(`${name} needs a field or a value function`);
+        }
+        this.table = table;
+        this.group = group;
+        // DOM id of the header cell, referred to by headers of data cells
+        this.headerId = _.uniqueId('table-header-');
+    }
+
+    /**
+     * Return the footer content for this column.
+     *
+     * @param {Array<object>} rows - data rows summarized by the footer
+     * @returns {Node} - footer content
+     *
+     * Footer functions receive the data rows, their values for this column
+     * and the column itself, so built-in aggregate functions can be used as
+     * footer functions directly.
+     */
+    footerContent(rows) {
+        const footer = this.props.footer;
+        if (typeof footer !== 'function') {
+            return footer;
+        }
+        const values = this.props.value ?
+            _.map(rows, (row) => this.value(row)) : undefined;
+        return footer({rows, values, column: this});
+    }
+
+    /**
+     * Return true if this column has a footer.
+     *
+     * @returns {boolean} - true if footer is defined
+     */
+    hasFooter() {
+        return !this.isHidden() && (this.props.footer !== undefined);
+    }
+
+    /**
+     * Return true if another column instance has the same definition.
+     *
+     * @param {Column} other - column instance built from new props
+     * @returns {boolean} - true if other is of the same class and has the same
+     *                      props, ignoring function props
+     *
+     * Function props are typically recreated by every render of the parent
+     * component, so they are not considered a change of the column.
+     */
+    sameDefinition(other) {
+        if (other.constructor !== this.constructor) {
+            return false;
+        }
+        const props = _.omit(this.props, 'children');
+        const otherProps = _.omit(other.props, 'children');
+        return _.isEqual(_.keys(props).sort(), _.keys(otherProps).sort()) &&
+            _.every(props, (value, key) => (value === otherProps[key]) || (
+                (typeof value === 'function') &&
+                (typeof otherProps[key] === 'function')
+            ));
+    }
+
+    /**
+     * Take over the props of another column instance.
+     *
+     * @param {Column} other - column instance with the same definition
+     *
+     * This keeps the column instance when the table is re-rendered with an
+     * equivalent column definition, while using the latest function props.
+     */
+    adoptDefinition(other) {
+        this.props = other.props;
+    }
+
+    /**
+     * Return true if this is a column group with a footer.
+     *
+     * @returns {boolean} - always false for columns
+     */
+    hasGroupFooter() {
+        return false;
+    }
+
+    /**
+     * Return a data value from a row for this column.
+     *
+     * @param {object} row - data row
+     * @returns {any} - data value for the column
+     */
+    value(row) {
+        return this.props.value(row);
+    }
+
+    /**
+     * Return the side this column is frozen to.
+     *
+     * @returns {string} - 'left' or 'right', undefined if not frozen
+     *
+     * Columns within a frozen column group are frozen to the same side.
+     */
+    frozenSide() {
+        if (this.props.frozen) {
+            return this.props.frozen;
+        }
+        return this.group ? this.group.frozenSide() : undefined;
+    }
+
+    /**
+     * Return a key identifying this column across column updates.
+     *
+     * @returns {string} - column id, or the position of the column among the
+     *                     defined columns and column groups
+     *
+     * Column instances are recreated whenever the children of the table
+     * change, so state referring to columns uses this key instead.
+     */
+    columnKey() {
+        if (this.props.id) {
+            return this.props.id;
+        }
+        const siblings = this.group ?
+            this.group.definedColumns : this.table.definedColumns;
+        const index = _.indexOf(siblings, this);
+        return this.group ? `${this.group.columnKey()}:${index}` : `${index}`;
+    }
+
+    /**
+     * Return true if the cells of two rows can be merged in this column.
+     *
+     * @param {object} a, b - data rows to compare
+     * @returns {boolean} - true if the column values of the rows are equal,
+     *                      or the result of mergeCells if it is a function
+     */
+    isMergeable(a, b) {
+        const [va, vb] = [this.value(a), this.value(b)];
+        const mergeCells = this.props.mergeCells;
+        if (typeof mergeCells === 'function') {
+            return !!mergeCells({a: va, b: vb, column: this});
+        }
+        return va === vb;
+    }
+
+    /**
+     * Return true if a cell of this column can be edited.
+     *
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the row in the data set
+     * @returns {boolean} - value of the editable prop, or its result if it is
+     *                      a function
+     */
+    isEditable(row, rowIndex) {
+        const editable = this.props.editable;
+        if (typeof editable === 'function') {
+            const rowKey = this.table.rowKey(row, rowIndex);
+            return !!editable({row, rowIndex, rowKey, column: this});
+        }
+        return !!editable;
+    }
+
+    /**
+     * Return the React key for a cell of this column.
+     *
+     * @param {object} args - arguments to the key prop function
+     * @returns {any} - React key
+     *
+     * The key function additionally receives the group path of the column.
+     */
+    reactKey(args) {
+        return this.props.key({...args, groupPath: this.groupPath()});
+    }
+
+    /**
+     * Return the path of this column within nested column groups.
+     *
+     * @returns {Array<number>} - index of this column within its parent group,
+     *                            preceded by the indexes of its ancestor
+     *                            groups; empty for top-level columns
+     */
+    groupPath() {
+        if (!this.group) {
+            return [];
+        }
+        return [...this.group.groupPath(), _.indexOf(this.group.columns, this)];
+    }
+
+    /**
+     * Return the DOM ids of the header cells of this column and its column
+     * groups.
+     *
+     * @returns {Array<string>} - header ids from the outermost column group
+     *                            down to this column
+     */
+    headerIds() {
+        const ids = this.group ? this.group.headerIds() : [];
+        return [...ids, this.headerId];
+    }
+
+    /**
+     * Return the nesting level of this column.
+     *
+     * @returns {number} - 0 for top-level columns, 1 for columns within a
+     *                     top-level column group, and so on
+     */
+    level() {
+        return this.group ? (this.group.level() + 1) : 0;
+    }
+
+    /**
+     * Return the display width of this column.
+     *
+     * @returns {number|string} - width from the column widths of the table or
+     *                            the width prop, limited by minWidth and
+     *                            maxWidth; undefined if no width is set
+     */
+    width() {
+        const {id, minWidth, maxWidth} = this.props;
+        var width = this.table.columnWidth(id);
+        if (width === undefined) {
+            width = this.props.width;
+        }
+        if ((typeof width === 'number') && (typeof minWidth === 'number')) {
+            width = Math.max(width, minWidth);
+        }
+        if ((typeof width === 'number') && (typeof maxWidth === 'number')) {
+            width = Math.min(width, maxWidth);
+        }
+        return width;
+    }
+
+    /**
+     * Apply a column order to the child columns of this column.
+     *
+     * @param {Array<string>} order - column ids in display order
+     *
+     * Columns have no child columns, so this does nothing.
+     */
+    applyColumnOrder(order) {
+    }
+
+    /**
+     * Return the depth of this column.
+     *
+     * @returns {number} - number of header rows needed to render this column
+     */
+    depth() {
+        return this.isHidden() ? 0 : 1;
+    }
+
+    /**
+     * Return true if this column is hidden.
+     *
+     * @returns {boolean} - true if column is hidden by its hidden prop or by
+     *                      the hidden columns of the table
+     */
+    isHidden() {
+        return this.props.hidden || this.table.isColumnHidden(this.props.id);
+    }
+
+    /**
+     * Return the aggregated value of this column for a set of data rows.
+     *
+     * @param {Array<object>} rows - data rows to aggregate
+     * @returns {any} - aggregated value
+     */
+    aggregate(rows) {
+        const method = (typeof this.props.aggregate === 'function') ?
+            this.props.aggregate : aggregators[this.props.aggregate];
+        const values = _.map(rows, (row) => this.value(row));
+        return method({values, rows, column: this});
+    }
+
+    /**
+     * Register this column by its id.
+     *
+     * @param {object} columnMap - column registry of the table
+     */
+    registerColumns(columnMap) {
+        if (this.props.id) {
+            columnMap[this.props.id] = this;
+        }
+    }
+
+    /**
+     * Register sort order for this column.
+     *
+     * @param {object} sortMap - sorting registry of the table
+     */
+    registerSortColumns(sortMap) {
+        if (this.props.sortId && this.props.sortMethod) {
+            sortMap[this.props.sortId] = this;
+        }
+    }
+
+    /**
+     * Compare two rows for sorting by this column.
+     *
+     * @param {object} a, b - data rows to compare
+     * @param {boolean} descending - true if sorting in descending order
+     * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+     *
+     * Rows with undefined or null values are placed according to the nulls
+     * policy of the column, which does not depend on the sort direction.
+     */
+    sort(a, b, descending) {
+        const nulls = this.props.nulls;
+        if (nulls) {
+            const nullA = _.isNil(this.value(a));
+            const nullB = _.isNil(this.value(b));
+            if (nullA || nullB) {
+                return (nullA - nullB) * ((nulls === 'first') ? -1 : 1);
+            }
+        }
+        const dir = (descending ? -1 : 1);
+        return this.props.sortMethod({a, b, descending, column: this}) * dir;
+    }
+
+    /**
+     * Return true if sorting key matches this column.
+     *
+     * @param {string} sort - sort order id
+     * @returns {boolean} - true if sort order id matches column's sort id
+     */
+    isSorted(sort) {
+        return sort && (sort === this.props.sortId);
+    }
+
+    /**
+     * Return the sorting state of this column within a sort stack.
+     *
+     * @param {Array<object>} sort - sort stack of the table
+     * @returns {object} - sort, descending and priority of this column
+     *
+     * Sort will be true if the column is present anywhere in the sort stack,
+     * priority is its 1-based position in the stack (undefined if absent).
+     */
+    sortState(sort) {
+        const index = _.findIndex(sort, (entry) => this.isSorted(entry.sort));
+        if (index < 0) {
+            return {sort: false, descending: false, priority: undefined};
+        }
+        return {
+            sort: true, descending: sort[index].descending, priority: index + 1
+        };
+    }
+
+    /**
+     * Register filter for this column.
+     *
+     * @param {object} filterMap - filtering registry of the table
+     */
+    registerFilterColumns(filterMap) {
+        if (this.isFilterable()) {
+            filterMap[this.props.filterId] = this;
+        }
+    }
+
+    /**
+     * Return true if this column can be filtered.
+     *
+     * @returns {boolean} - true if column has both a filter id and a filter
+     */
+    isFilterable() {
+        return !!(this.props.filterId && this.props.filter);
+    }
+
+    /**
+     * Return true if a data row passes a filter on this column.
+     *
+     * @param {object} row - data row
+     * @param {any} filter - filter value
+     * @returns {boolean} - true if the row passes the filter
+     */
+    filter(row, filter) {
+        const method = (typeof this.props.filter === 'function') ?
+            this.props.filter : filterMethods[this.props.filter];
+        return method({row, value: this.value(row), filter, column: this});
+    }
+
+    /**
+     * Return the values available for a set filter on this column.
+     *
+     * @returns {Array} - explicit filter options, or distinct column values
+     *                    found in the data set
+     */
+    filterOptions() {
+        if (this.props.filterOptions) {
+            return this.props.filterOptions;
+        }
+        return _.sortBy(_.uniq(
+            _.map(this.table.data(), (row) => this.value(row))
+        ));
+    }
+
+    /**
+     * Return the visible leaf columns of this column.
+     *
+     * @returns {Array<Column>} - array containing this column, unless hidden
+     */
+    leafColumns() {
+        return this.isHidden() ? [] : [this];
+    }
+
+    /**
+     * Return the exported columns of this column.
+     *
+     * @param {boolean} visibleOnly - true to skip hidden columns
+     * @returns {Array<object>} - {column, header} of this column, where header
+     *                            is the array of header texts from the
+     *                            outermost column group down to this column
+     */
+    exportColumns(visibleOnly) {
+        if (!this.props.exportable || (visibleOnly && this.isHidden())) {
+            return [];
+        }
+        return [{column: this, header: [this.exportHeader()]}];
+    }
+
+    /**
+     * Return the header text of this column in exports.
+     *
+     * @returns {string} - exportHeader prop, or the text content of the header
+     */
+    exportHeader() {
+        return (this.props.exportHeader !== undefined) ?
+            this.props.exportHeader : nodeText(this.props.header);
+    }
+
+    /**
+     * Return the exported value of a data row.
+     *
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the row in the data set
+     * @returns {any} - value from the exportValue prop, or the column value
+     */
+    exportValue(row, rowIndex) {
+        if (this.props.exportValue) {
+            const rowKey = this.table.rowKey(row, rowIndex);
+            return this.props.exportValue({
+                row, rowIndex, rowKey, column: this
+            });
+        }
+        return this.value(row);
+    }
+
+}
+
+
+/**
+ * Column group class.
+ *
+ * Holds a column group definition and its child columns, without rendering.
+ * The <Group> of table.jsx extends it with the rendering of its cells.
+ */
+export class Group extends Column {
+
+    /**
+     * Column group constructor.
+     *
+     * @param {object} props - column group props
+     * @param {Table|TableModel} table - table or table model this column
+     *                                 group belongs to
+     * @param {Group} group - column group instance this group is nested in
+     *
+     * For top-level column groups, group will be undefined.
+     */
+    constructor(props, table, group) {
+        super(props, table, group);
+        // Column groups can contain both columns and nested groups
+        this.columns = _.map(props.children, (definition) => createColumn(
+            definition, this.table, this, 'Group', this.columnTypes()));
+        // Child columns in the order they were defined in, before reordering
+        this.definedColumns = this.columns;
+        if (this.props.sortId && !this.props.sortMethod) {
+            // Column groups don't have a defined value, so there is no
+            // default way to sort by column groups; a custom sort method
+            // is required for column groups that have a sort id
+            throw new Error('sortMethod is required for sortable <Group>');
+        }
+    }
+
+    /**
+     * Return the classes of child columns defined as plain objects.
+     *
+     * @returns {object} - {Column, Group} classes of this module
+     */
+    columnTypes() {
+        return {Column, Group};
+    }
+
+    /**
+     * Return true if another column group instance has the same definition.
+     *
+     * @param {Group} other - column group instance built from new props
+     * @returns {boolean} - true if the column group props and all child
+     *                      column definitions are the same, ignoring function
+     *                      props
+     */
+    sameDefinition(other) {
+        return super.sameDefinition(other) &&
+            (this.definedColumns.length === other.definedColumns.length) &&
+            _.every(this.definedColumns, (c, index) =>
+                c.sameDefinition(other.definedColumns[index]));
+    }
+
+    /**
+     * Take over the props of another column group instance.
+     *
+     * @param {Group} other - column group instance with the same definition
+     */
+    adoptDefinition(other) {
+        super.adoptDefinition(other);
+        _.each(this.definedColumns, (c, index) =>
+            c.adoptDefinition(other.definedColumns[index]));
+    }
+
+    /**
+     * Apply a column order to the child columns of this column group.
+     *
+     * @param {Array<string>} order - column ids in display order
+     *
+     * Child columns are reordered among themselves, recursively for nested
+     * column groups.
+     */
+    applyColumnOrder(order) {
+        this.columns = orderColumns(this.definedColumns, order);
+        _.each(this.columns, (c) => c.applyColumnOrder(order));
+    }
+
+    /**
+     * Return the depth of this column group.
+     *
+     * @returns {number} - number of header rows needed to render this column
+     *                     group and its nested child columns
+     */
+    depth() {
+        if (this.isHidden()) {
+            return 0;
+        }
+        return 1 + (_.max(_.map(this.columns, (c) => c.depth())) || 0);
+    }
+
+    /**
+     * Return true if this column group is hidden.
+     *
+     * @returns {boolean} - true if the group itself is hidden, or if all of
+     *                      its child columns are hidden
+     */
+    isHidden() {
+        return !this.leafColumns().length;
+    }
+
+    /**
+     * Return the visible leaf columns of this column group.
+     *
+     * @returns {Array<Column>} - visible child columns, or an empty array if
+     *                            the group itself is hidden
+     */
+    leafColumns() {
+        if (super.isHidden()) {
+            return [];
+        }
+        return _.flatMap(this.columns, (c) => c.leafColumns());
+    }
+
+    /**
+     * Return the exported columns of this column group.
+     *
+     * @param {boolean} visibleOnly - true to skip hidden columns
+     * @returns {Array<object>} - {column, header} of the exported leaf
+     *                            columns, with the group header prepended to
+     *                            their headers
+     */
+    exportColumns(visibleOnly) {
+        if (visibleOnly && super.isHidden()) {
+            return [];
+        }
+        const header = this.exportHeader();
+        return _.map(
+            _.flatMap(this.columns, (c) => c.exportColumns(visibleOnly)),
+            (e) => ({...e, header: [header, ...e.header]})
+        );
+    }
+
+    /**
+     * Return true if this column group or any nested column group has a
+     * footer.
+     *
+     * @returns {boolean} - true if any visible group footer is defined
+     */
+    hasGroupFooter() {
+        if (this.isHidden()) {
+            return false;
+        }
+        return (this.props.footer !== undefined) ||
+            _.some(this.columns, (c) => c.hasGroupFooter());
+    }
+
+    /**
+     * Return true if this column group or any of its child columns has a
+     * footer.
+     *
+     * @returns {boolean} - true if any footer is defined
+     */
+    hasFooter() {
+        return super.hasFooter() || _.some(this.columns, (c) => c.hasFooter());
+    }
+
+    /**
+     * Register this column group and child columns by their ids.
+     *
+     * @param {object} columnMap - column registry of the table
+     */
+    registerColumns(columnMap) {
+        super.registerColumns(columnMap);
+        _.each(this.columns, (c) => c.registerColumns(columnMap));
+    }
+
+    /**
+     * Register sort orders for this column group and child columns.
+     *
+     * @param {object} sortMap - sorting registry of the table
+     */
+    registerSortColumns(sortMap) {
+        if (this.props.sortId) {
+            sortMap[this.props.sortId] = this;
+        }
+        _.each(this.columns, (c) => c.registerSortColumns(sortMap));
+    }
+
+    /**
+     * Register filters for child columns.
+     *
+     * @param {object} filterMap - filtering registry of the table
+     */
+    registerFilterColumns(filterMap) {
+        _.each(this.columns, (c) => c.registerFilterColumns(filterMap));
+    }
+
+}
+
+
+Column.propTypes = {
+    // Column id used to refer to this column from table props
+    id: PropTypes.string,
+    // Label to render in the header of this column
+    header: PropTypes.node,
+    // Function that returns the value for this column from a data row,
+    // required unless field is defined
+    value: PropTypes.func,
+    // Path of the value for this column in data rows, as accepted by
+    // lodash get; used as the value if value is not defined
+    field: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.arrayOf(
+            PropTypes.oneOfType([PropTypes.string, PropTypes.number]))
+    ]),
+    // Value type for sorting: 'string', 'natural', 'number', 'date' or
+    // 'boolean'; used as the sort method if sortMethod is not defined
+    type: PropTypes.oneOf(_.keys(typeSortMethods)),
+    // If sortable: true, the column is sortable by its id, or by its field
+    // if it has no id; used as the sort order id if sortId is not defined
+    sortable: PropTypes.bool,
+    // Function that returns React key for this column in header and data rows
+    key: PropTypes.func.isRequired,
+    // Sort order id for this column, if undefined column does not support sort
+    sortId: PropTypes.string,
+    // Function that compares two rows and returns -1/0/+1 comparison
+    sortMethod: PropTypes.func.isRequired,
+    // Position of rows with undefined or null values when sorting by this
+    // column, in both directions: 'first' or 'last'; if undefined the sort
+    // method compares them like other values
+    nulls: PropTypes.oneOf(['first', 'last']),
+    // If hidden: true, column will not be rendered, regardless of the
+    // hidden columns of the table
+    hidden: PropTypes.bool.isRequired,
+    // If searchable: false, column is ignored by the global filter
+    searchable: PropTypes.bool.isRequired,
+    // Side to freeze this column to while scrolling horizontally: 'left' or
+    // 'right'
+    frozen: PropTypes.oneOf(['left', 'right']),
+    // If editable: true, cells of this column can be edited; a function
+    // ({row, rowIndex, rowKey, column}) => boolean decides per cell
+    editable: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+    // If mergeCells: true, cells of consecutive rows with equal values are
+    // merged into a single cell spanning the rows; a function
+    // ({a, b, column}) => boolean decides if values a and b are equal
+    mergeCells: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+    // Id of a column whose merged cells limit the merged cells of this
+    // column, so cells are only merged within rows that are merged there
+    mergeWithin: PropTypes.string,
+    // If exportable: false, column is left out of exported data
+    exportable: PropTypes.bool.isRequired,
+    // Header text in exported data, defaults to the text content of header
+    exportHeader: PropTypes.string,
+    // Function returning the exported value of a row, for columns whose
+    // rendered content is not plain text:
+    // ({row, rowIndex, rowKey, column}) => value; defaults to the column
+    // value
+    exportValue: PropTypes.func,
+    // Width of this column, overridden by the column widths of the table
+    width: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    // Minimum and maximum width of this column
+    minWidth: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    maxWidth: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    // Filter id for this column, if undefined column does not support filter
+    filterId: PropTypes.string,
+    // Function that returns true if a row passes the filter, or the name of
+    // a built-in filter method: "text", "range" or "set"
+    filter: PropTypes.oneOfType([
+        PropTypes.func,
+        PropTypes.oneOf(_.keys(filterMethods))
+    ]),
+    // Values to choose from for "set" filters, defaults to distinct values
+    filterOptions: PropTypes.array,
+    // Function that aggregates column values of a set of rows, or the name
+    // of a built-in aggregate function: "sum", "avg", "min", "max" or "count"
+    aggregate: PropTypes.oneOfType([
+        PropTypes.func,
+        PropTypes.oneOf(_.keys(aggregators))
+    ]),
+    // Content of the footer of this column, or a function that returns it
+    // for the footer data rows
+    footer: PropTypes.oneOfType([PropTypes.node, PropTypes.func])
+};
+
+Column.defaultProps = {
+    // Default React key is calculated by column index and group path
+    key: ({colIndex, groupPath}) => [colIndex, ...groupPath].join(':'),
+    // Default sort method compares the values of the two rows
+    sortMethod: defaultSort,
+    // Not hidden by default
+    hidden: false,
+    // Searched by the global filter by default
+    searchable: true,
+    // Cells are not merged by default
+    mergeCells: false,
+    // Exported by default
+    exportable: true
+};
+
+Group.propTypes = {
+    // Column id used to refer to this column group from table props
+    id: PropTypes.string,
+    // If hidden: true, column group and its child columns will not be
+    // rendered, regardless of the hidden columns of the table
+    hidden: PropTypes.bool,
+    // Label to render in the header of this column group
+    header: PropTypes.string,
+    // Side to freeze the child columns of this column group to while
+    // scrolling horizontally: 'left' or 'right'
+    frozen: PropTypes.oneOf(['left', 'right']),
+    // Function that returns React key for this column in header and data rows
+    key: PropTypes.func.isRequired,
+    // Sort order id for this column, if undefined column does not support sort
+    sortId: PropTypes.string,
+    // Function that compares two rows and returns -1/0/+1 comparison
+    // Required for column groups with defined sortId
+    sortMethod: PropTypes.func,
+    // If sortable: true, the column group is sortable by its id; used as the
+    // sort order id if sortId is not defined
+    sortable: PropTypes.bool,
+    // Column group children are definitions of the child columns, or nested
+    // column group definitions
+    children: PropTypes.array,
+    // Content of the footer of this column group, or a function that returns
+    // it for the footer data rows
+    footer: PropTypes.oneOfType([PropTypes.node, PropTypes.func])
+};
+
+Group.defaultProps = {
+    // Default React key is calculated by column index and group path
+    key: ({colIndex, groupPath}) => [colIndex, ...groupPath].join(':')
+};
+
+/**
+ * Validate plain object column definitions.
+ *
+ * @param {Array<object>} columns - column definitions
+ * @param {object} types - {Column, Group} classes whose propTypes list the
+ *                         known options, defaults to the classes of this
+ *                         module
+ * @param {string} path - location of the definitions, for error messages
+ * @param {object} ids - column ids seen so far, by location
+ *
+ * Throws a TypeError or Error naming the location of the first invalid
+ * definition found.
+ */
+export const validateColumnConfig = (
+    columns, types = {Column, Group}, path = 'columns', ids = {}
+) => {
+    if (!(columns instanceof Array)) {
+        throw new TypeError(`${path} must be an array of column definitions`);
+    }
+    _.each(columns, (config, index) => {
+        const at = `${path}[${index}]`;
+        if (!_.isPlainObject(config)) {
+            throw new TypeError(
+                `${at} must be a plain object, got ${typeof config}`);
+        }
+        const group = config.children !== undefined;
+        const type = group ? types.Group : types.Column;
+        const unknown = _.difference(_.keys(config),
+            _.without(_.keys(type.propTypes), 'key'));
+        if (unknown.length) {
+            throw new TypeError(
+                `${at} has unknown ${group ? 'group' : 'column'} ` +
+                `option "${unknown[0]}"`);
+        }
+        if (config.id !== undefined) {
+            if (typeof config.id !== 'string') {
+                throw new TypeError(`${at}.id must be a string`);
+            }
+            if (ids[config.id]) {
+                throw new Error(`${at}.id "${config.id}" is already used ` +
+                    `by ${ids[config.id]}`);
+            }
+            ids[config.id] = at;
+        }
+        if (group) {
+            if (_.isEmpty(config.children)) {
+                throw new TypeError(`${at}.children must be a non-empty ` +
+                    'array of column definitions');
+            }
+            if ((config.sortable || config.sortId) && !config.sortMethod) {
+                throw new Error(`${at} is sortable but has no sortMethod`);
+            }
+            validateColumnConfig(
+                config.children, types, `${at}.children`, ids);
+            return;
+        }
+        const {field, value} = config;
+        if ((value !== undefined) && (typeof value !== 'function')) {
+            throw new TypeError(`${at}.value must be a function`);
+        }
+        if ((field !== undefined) && !_.isString(field) &&
+            !(field instanceof Array)) {
+            throw new TypeError(`${at}.field must be a string or an array`);
+        }
+        if ((value === undefined) && (field === undefined)) {
+            throw new TypeError(`${at} needs a field or a value function`);
+        }
+        if ((config.type !== undefined) && !typeSortMethods[config.type]) {
+            throw new TypeError(`${at}.type must be one of ` +
+                _.keys(typeSortMethods).join(', '));
+        }
+    });
+};
+
+/**
+ * Normalize a pivot dimension or value measure.
+ *
+ * @param {string|object} spec - field path, or {id, header, field, value}
+ *                               with either field or value
+ * @returns {object} - {id, header, value}, where value is a function that
+ *                     returns the value of a data row
+ */
+const pivotField = (spec) => {
+    const field = _.isString(spec) ? {id: spec, field: spec} : spec;
+    return {
+        ...field,
+        header: (field.header !== undefined) ? field.header : field.id,
+        value: field.value || ((row) => _.get(row, field.field))
+    };
+};
+
+/**
+ * Return a key identifying a dimension value.
+ *
+ * @param {any} value - dimension value
+ * @returns {string} - type and text of the value, so that values of
+ *                     different types, e.g. undefined, null and NaN, or 1 and
+ *                     "1", have different keys
+ */
+const pivotValueKey = (value) => `${typeof value}:${String(value)}`;
+
+/**
+ * Return the rank of a dimension value among missing values.
+ *
+ * @param {any} value - dimension value
+ * @returns {number} - 0 for values that are present, 1 for null, 2 for
+ *                     undefined and 3 for NaN
+ */
+const missingRank = (value) => (value === null) ? 1 :
+    ((value === undefined) ? 2 : (_.isNaN(value) ? 3 : 0));
+
+/**
+ * Compare two arrays of dimension values, element by element.
+ *
+ * @param {Array} a, b - dimension values to compare
+ * @returns {number} - 1 if a > b; -1 if a < b; 0 if a and b are equal
+ *
+ * Missing values are ordered after all other values, null before undefined
+ * before NaN.
+ */
+const compareTuples = (a, b) => {
+    for (var i = 0; i < a.length; i++) {
+        const rank = missingRank(a[i]) - missingRank(b[i]);
+        if (rank) {
+            return (rank > 0) ? 1 : -1;
+        }
+        if (a[i] > b[i]) {
+            return 1;
+        }
+        if (a[i] < b[i]) {
+            return -1;
+        }
+    }
+    return 0;
+};
+
+/**
+ * Split data rows by the values of a set of dimensions.
+ *
+ * @param {Array<object>} rows - data rows
+ * @param {Array<object>} dimensions - normalized dimensions
+ * @returns {Array<object>} - {key, tuple, rows} for each distinct combination
+ *                            of dimension values, ordered by the values
+ */
+const pivotGroups = (rows, dimensions) => {
+    const groups = new Map();
+    _.each(rows, (row) => {
+        const tuple = _.map(dimensions, (d) => d.value(row));
+        const key = JSON.stringify(_.map(tuple, pivotValueKey));
+        if (!groups.has(key)) {
+            groups.set(key, {key, tuple, rows: []});
+        }
+        groups.get(key).rows.push(row);
+    });
+    return [...groups.values()].sort((a, b) => compareTuples(a.tuple, b.tuple));
+};
+
+/**
+ * Return the column id of a pivoted value measure.
+ *
+ * @param {Array} values - values of the column dimensions, or undefined for
+ *                         the row totals
+ * @param {string} measure - id of the value measure
+ * @returns {string} - "cells:" followed by the values and the measure id,
+ *                     separated by colons, or "total:" followed by the
+ *                     measure id for the row totals
+ *
+ * Values are converted to strings, with colons and backslashes escaped by a
+ * backslash; e.g. the amount measure of the 2020 column is "cells:2020:amount"
+ * and that of the "EU:west", 2020 column is "cells:EU\\:west:2020:amount".
+ * Pivoted columns can be sorted and hidden by these ids.
+ */
+export const pivotColumnId = (values, measure) => {
+    if (values === undefined) {
+        return `total:${measure}`;
+    }
+    const escaped = _.map(values,
+        (value) => String(value).replace(/[\\:]/g, '\\$&'));
+    return ['cells', ...escaped, measure].join(':');
+};
+
+/**
+ * Pivot a data set into a cross tab.
+ *
+ * @param {Array|object} data - data rows, as accepted by the data prop of
+ *                              <Table>, except fetcher functions
+ * @param {object} pivot - pivot definition, as accepted by the pivot prop of
+ *                         <Table>
+ * @returns {object} - {data, columns}, where data are the pivoted rows and
+ *                     columns the column definitions to render them with
+ *
+ * Each pivoted row holds the aggregated values of the data rows with one
+ * combination of row dimension values. Columns consist of a column for each
+ * row dimension, a column group for each value of the column dimensions with
+ * a column for each value measure, and a column group with the row totals.
+ * Column totals and grand totals are the footers of the columns. All columns
+ * are sortable by their ids: the ids of the row dimensions, and for the value
+ * measures the ids returned by pivotColumnId().
+ */
+export const pivotData = (data, pivot) => {
+    const {aggregator = 'sum', totalHeader = 'Total'} = pivot;
+    const rowDimensions = _.map(pivot.rows, pivotField);
+    const colDimensions = _.map(pivot.cols, pivotField);
+    const measures = _.map(pivot.values, pivotField);
+    const source = (isIterable(data) && !(data instanceof Array)) ?
+        [...((data instanceof Map) ? data.values() : data)] : _.values(data);
+    const aggregate = (measure, rows) => {
+        const method = measure.aggregator || aggregator;
+        return ((typeof method === 'function') ? method : aggregators[method])(
+            {values: _.map(rows, (row) => measure.value(row))});
+    };
+    const aggregateAll = (rows) => _.fromPairs(_.map(measures, (measure) =>
+        [measure.id, aggregate(measure, rows)]));
+    const colGroups = pivotGroups(source, colDimensions);
+    const rows = _.map(pivotGroups(source, rowDimensions), (group) => ({
+        dims: _.zipObject(_.map(rowDimensions, 'id'), group.tuple),
+        cells: _.fromPairs(_.map(pivotGroups(group.rows, colDimensions),
+            (cell) => [cell.key, aggregateAll(cell.rows)])),
+        total: aggregateAll(group.rows)
+    }));
+    // Values are the column dimension values, undefined for row totals
+    const measureColumns = (path, values, rows) => _.map(measures,
+        (measure) => ({
+            id: pivotColumnId(values, measure.id),
+            header: measure.header,
+            field: [...path, measure.id],
+            sortable: true,
+            footer: aggregate(measure, rows)
+        }));
+    // Nest column groups by column dimension, in the order of the
+    // dimensions; colGroups is ordered, so groups sharing a value are
+    // adjacent
+    const colTree = (groups, level) => {
+        if (level >= colDimensions.length) {
+            const [{key, tuple, rows}] = groups;
+            return measureColumns(['cells', key], tuple, rows);
+        }
+        const runs = [];
+        _.each(groups, (group) => {
+            const run = _.last(runs);
+            if (run && (pivotValueKey(run[0].tuple[level]) ===
+                pivotValueKey(group.tuple[level]))) {
+                run.push(group);
+            } else {
+                runs.push([group]);
+            }
+        });
+        return _.map(runs, (run) => ({
+            header: String(run[0].tuple[level]),
+            children: colTree(run, level + 1)
+        }));
+    };
+    const columns = [
+        ..._.map(rowDimensions, (dimension, index) => ({
+            id: dimension.id,
+            header: dimension.header,
+            field: ['dims', dimension.id],
+            sortable: true,
+            footer: index ? undefined : totalHeader
+        })),
+        ...(colGroups.length ? colTree(colGroups, 0) : [])
+    ];
+    if (colDimensions.length) {
+        columns.push({
+            header: totalHeader,
+            children: measureColumns(['total'], undefined, source)
+        });
+    }
+    return {data: rows, columns};
+};
+
+
+/**
+ * Initial values of the table state held by the table model, besides the
+ * sort stack.
+ */
+const initialState = {
+    filters: {}, hiddenColumns: [], columnOrder: [], columnWidths: {},
+    page: 0, pageSize: undefined, selected: [], expanded: [],
+    collapsedGroups: {}
+};
+
+
+/**
+ * Table model class.
+ *
+ * Holds the columns, data set and state of a table, and derives the sorted
+ * and filtered rows, row groups, pages, merged cells, header layout and
+ * exported data from them without rendering. <Table> renders through a table
+ * model of its own; the model can also be used on its own, e.g. for
+ * server-side reports, export or tests.
+ *
+ * Columns are defined by plain object column definitions, as accepted by the
+ * columns prop of <Table>, by column elements or by column instances.
+ */
+export class TableModel {
+
+    /**
+     * Table model constructor.
+     *
+     * @param {object} options - columns and any of the options accepted by
+     *                           update()
+     * @param {Table} table - table instance that renders this model, the
+     *                        columns belong to the model itself if undefined
+     */
+    constructor({columns = [], ...options} = {}, table) {
+        this.table = table || this;
+        this.dataSet = [];
+        this.state = {sort: [], ...initialState};
+        this.options = {globalFilterMethod: filterMethods.text};
+        this.update(options);
+        this.setColumns(columns);
+    }
+
+    /**
+     * Update the data set, state or options of the model.
+     *
+     * @param {object} options - any of data, sort, descending, filters,
+     *                           hiddenColumns, columnOrder, columnWidths,
+     *                           page, pageSize, selected, expanded,
+     *                           globalFilter, globalFilterMethod, rowKey,
+     *                           groupBy, groupOrder and pivot, with the same
+     *                           meaning as the <Table> props, and
+     *                           collapsedGroups, detailRows and remote
+     * @returns {TableModel} - this model
+     *
+     * Options that are left out keep their previous values, while options
+     * passed as undefined are reset, except for data and sort. Data is an
+     * array, an object, a Map or another iterable. Remote is true if the data
+     * set is already filtered and sorted, e.g. a page of remote data, in which
+     * case the rows are kept in data set order. Collapsed groups are the keys
+     * of collapsed row groups mapped to true, and detailRows is true if
+     * expanded rows are followed by a detail row.
+     */
+    update({data, sort, descending, ...options}) {
+        if (data !== undefined) {
+            this.dataSet = data;
+        }
+        if (sort !== undefined) {
+            this.state = {...this.state, sort: normalizeSort(sort, descending)};
+        }
+        const state = _.mapValues(_.pick(options, _.keys(initialState)),
+            (value, key) => (value === undefined) ? initialState[key] : value);
+        const reorder = _.has(state, 'columnOrder') &&
+            (state.columnOrder !== this.state.columnOrder);
+        this.state = {...this.state, ...state};
+        Object.assign(this.options, _.omit(options, _.keys(state)));
+        if (reorder && this.definedColumns) {
+            this.columns = this.applyColumnOrder(
+                this.definedColumns, this.state.columnOrder);
+        }
+        return this;
+    }
+
+    /**
+     * Set the columns of the model.
+     *
+     * @param {Array} columns - column definitions accepted by createColumn()
+     * @returns {TableModel} - this model
+     *
+     * Plain object definitions are validated first. The column, sorting and
+     * filtering registries are rebuilt for the new columns, unless they are
+     * the same column instances as before.
+     */
+    setColumns(columns) {
+        if (_.every(columns, _.isPlainObject)) {
+            validateColumnConfig(columns, this.columnTypes());
+        }
+        const definedColumns = _.map(columns, (c) => this.createColumn(c));
+        const previous = this.definedColumns || [];
+        if ((definedColumns.length === previous.length) &&
+            _.every(definedColumns, (c, index) => c === previous[index])) {
+            // Same column instances, registries are still valid
+            return this;
+        }
+        // Columns in the order they were defined in, before reordering
+        this.definedColumns = definedColumns;
+        this.columnMap = {};
+        this.sortMap = {};
+        this.filterMap = {};
+        _.each(this.definedColumns, (c) => {
+            c.registerColumns(this.columnMap);
+            c.registerSortColumns(this.sortMap);
+            c.registerFilterColumns(this.filterMap);
+        });
+        this.columns = this.applyColumnOrder(
+            this.definedColumns, this.state.columnOrder);
+        return this;
+    }
+
+    /**
+     * Return the classes of columns defined as plain objects.
+     *
+     * @returns {object} - {Column, Group} classes of this module
+     */
+    columnTypes() {
+        return {Column, Group};
+    }
+
+    /**
+     * Return a column instance for a column definition.
+     *
+     * @param {Element|object|Column} definition - column or column group
+     *                                             element, plain object
+     *                                             column definition or
+     *                                             column instance
+     * @returns {Column} - column instance
+     */
+    createColumn(definition) {
+        return createColumn(definition, this.table, undefined, 'TableModel',
+            this.columnTypes());
+    }
+
+    /**
+     * Return the data set of the model.
+     *
+     * @returns {Array|object} - data rows; Maps and other iterables are
+     *                           converted to arrays of their values, and
+     *                           the data set is replaced by the pivoted rows
+     *                           if pivot is defined
+     */
+    data() {
+        const data = (this.options.pivot && !this.options.remote) ?
+            this.pivoted().data : this.dataSet;
+        if ((data instanceof Array) || !isIterable(data)) {
+            return data;
+        }
+        if (this.iterableData !== data) {
+            // Convert iterables once, Map keys become the default row keys
+            this.iterableData = data;
+            this.iterableRows = (data instanceof Map) ?
+                [...data.values()] : [...data];
+            this.iterableKeys = (data instanceof Map) ? [...data.keys()] : null;
+        }
+        return this.iterableRows;
+    }
+
+    /**
+     * Return the key of a data row.
+     *
+     * @param {object} row - data row
+     * @param {any} rowIndex - index of the row in the data set
+     * @returns {any} - result of the rowKey function, value of the rowKey
+     *                  property, or the Map key or rowIndex if rowKey is
+     *                  undefined
+     */
+    rowKey(row, rowIndex) {
+        const rowKey = this.options.rowKey;
+        if (typeof rowKey === 'function') {
+            return rowKey(row);
+        }
+        if (rowKey !== undefined) {
+            return _.get(row, rowKey);
+        }
+        const keys = (this.data() === this.iterableRows) ?
+            this.iterableKeys : null;
+        return keys ? keys[rowIndex] : rowIndex;
+    }
+
+    /**
+     * Return the pivoted data set and columns.
+     *
+     * @returns {object} - {data, columns} from pivotData()
+     *
+     * The result is memoized until the data set or the pivot definition
+     * change.
+     */
+    pivoted() {
+        const {dataSet} = this;
+        const {pivot} = this.options;
+        const cache = this.pivotCache;
+        if (!cache || (cache.data !== dataSet) || (cache.pivot !== pivot)) {
+            this.pivotCache = {
+                data: dataSet, pivot, result: pivotData(dataSet, pivot)
+            };
+        }
+        return this.pivotCache.result;
+    }
+
+    /**
+     * Return the value identifying a data row in selection and expansion
+     * state.
+     *
+     * @param {object} row - data row
+     * @returns {any} - row key if the rowKey option is defined, otherwise the
+     *                  row itself
+     */
+    rowId(row) {
+        return (this.options.rowKey !== undefined) ? this.rowKey(row) : row;
+    }
+
+    /**
+     * Return true if a data row is selected.
+     *
+     * @param {object} row - data row
+     * @returns {boolean} - true if the row id is one of the selected rows
+     */
+    isRowSelected(row) {
+        if (this.selectionCache !== this.state.selected) {
+            this.selectionCache = this.state.selected;
+            this.selectionSet = new Set(this.state.selected);
+        }
+        return this.selectionSet.has(this.rowId(row));
+    }
+
+    /**
+     * Return true if a data row is expanded.
+     *
+     * @param {object} row - data row
+     * @returns {boolean} - true if the row id is one of the expanded rows
+     */
+    isRowExpanded(row) {
+        return _.includes(this.state.expanded, this.rowId(row));
+    }
+
+    /**
+     * Apply a column order to top-level columns and column groups.
+     *
+     * @param {Array<Column>} columns - columns in their defined order
+     * @param {Array<string>} order - column ids in display order
+     * @returns {Array<Column>} - reordered columns
+     *
+     * Columns are only reordered among their siblings, so child columns never
+     * leave their column group.
+     */
+    applyColumnOrder(columns, order) {
+        _.each(columns, (c) => c.applyColumnOrder(order));
+        return orderColumns(columns, order);
+    }
+
+    /**
+     * Return true if a column is hidden by the hidden columns of the model.
+     *
+     * @param {string} id - column id
+     * @returns {boolean} - true if id is one of the hidden columns
+     */
+    isColumnHidden(id) {
+        return !!id && _.includes(this.state.hiddenColumns, id);
+    }
+
+    /**
+     * Return the width of a column from the column widths of the model.
+     *
+     * @param {string} id - column id
+     * @returns {number} - column width, undefined if not resized
+     */
+    columnWidth(id) {
+        return id ? this.state.columnWidths[id] : undefined;
+    }
+
+    /**
+     * Return the visible leaf columns.
+     *
+     * @returns {Array<Column>} - visible columns in display order, with column
+     *                            groups replaced by their visible child
+     *                            columns
+     */
+    leafColumns() {
+        return _.flatMap(this.columns, (c) => c.leafColumns());
+    }
+
+    /**
+     * Return the number of header rows.
+     *
+     * @returns {number} - depth of the most deeply nested column
+     */
+    headerDepth() {
+        return _.max(_.map(this.columns, (c) => c.depth())) || 1;
+    }
+
+    /**
+     * Return the layout of the header rows.
+     *
+     * @returns {Array<Array<object>>} - header cells of each header row
+     *
+     * Each header cell is {column, group, colIndex, groupIndex, level,
+     * colSpan, rowSpan, header, sort, descending, priority}, where group is
+     * the parent column group, colIndex the index of the top-level column or
+     * group and groupIndex the index of the column within its parent group.
+     * Column groups span their visible child columns in the row below them,
+     * and columns span the rows down to the last header row. Hidden columns
+     * and column groups without visible columns are left out.
+     */
+    headerRows() {
+        const sort = this.activeSort();
+        const depth = this.headerDepth();
+        const rows = _.times(depth, () => []);
+        const addCells = (column, colIndex, group, groupIndex) => {
+            if (column.isHidden()) {
+                return;
+            }
+            const level = column.level();
+            const children = column.columns;
+            rows[level].push({
+                column, group, colIndex, groupIndex, level,
+                colSpan: children ? column.leafColumns().length : 1,
+                rowSpan: children ? 1 : depth - level,
+                header: column.props.header,
+                ...column.sortState(sort)
+            });
+            _.each(children, (c, index) =>
+                addCells(c, colIndex, column, index));
+        };
+        _.each(this.columns, (c, colIndex) => addCells(c, colIndex));
+        return rows;
+    }
+
+    /**
+     * Return the layout of data rows.
+     *
+     * @param {Array} indexes - data set indexes of the rows, defaults to the
+     *                          sorted indexes
+     * @returns {Array<object>} - {row, rowIndex, rowKey, displayIndex, cells}
+     *                            of each row, where cells are the {column,
+     *                            value} of the visible leaf columns
+     */
+    bodyRows(indexes = this.sortedDataIndexes()) {
+        const columns = this.leafColumns();
+        return _.map(indexes, (rowIndex, displayIndex) => {
+            const row = this.data()[rowIndex];
+            return {
+                row, rowIndex, displayIndex,
+                rowKey: this.table.rowKey(row, rowIndex),
+                cells: _.map(columns, (column) => ({
+                    column, value: column.value(row)
+                }))
+            };
+        });
+    }
+
+    /**
+     * Return the entries of the sort stack that are in effect.
+     *
+     * @returns {Array<object>} - sort stack entries of known and visible
+     *                            columns
+     *
+     * Sorting by hidden columns is suspended while they are hidden, so the
+     * next entry in the sort stack takes over as the primary sort order.
+     */
+    activeSort() {
+        return _.filter(this.state.sort, ({sort}) =>
+            this.sortMap.hasOwnProperty(sort) &&
+            !this.sortMap[sort].isHidden());
+    }
+
+    /**
+     * Return array of data set indexes that pass the active filters.
+     *
+     * @returns {Array} - filtered indexes in data set order
+     *
+     * Column filters with an empty value and unknown filter ids are ignored.
+     * The global filter matches rows where any visible column matches it.
+     * Remote data is filtered by the server, so all rows pass.
+     */
+    filteredDataIndexes() {
+        if (this.options.remote) {
+            return _.range(this.data().length);
+        }
+        const filters = _.pickBy(this.state.filters, (filter, filterId) =>
+            !isEmptyFilter(filter) && this.filterMap.hasOwnProperty(filterId));
+        const globalFilter = this.options.globalFilter;
+        const columns = isEmptyFilter(globalFilter) ? [] : _.filter(
+            this.leafColumns(), (c) => c.props.searchable);
+        const indexes = [];
+        _.each(this.data(), (row, index) => {
+            const passes = _.every(filters, (filter, filterId) =>
+                this.filterMap[filterId].filter(row, filter));
+            if (!passes) {
+                return;
+            }
+            if (columns.length && !_.some(columns, (column) =>
+                this.options.globalFilterMethod({
+                    row, value: column.value(row), filter: globalFilter, column
+                })
+            )) {
+                return;
+            }
+            indexes.push(index);
+        });
+        return indexes;
+    }
+
+    /**
+     * Return array of data set indexes sorted according to the active order.
+     *
+     * @returns {Array} - sorted indexes
+     *
+     * Only rows passing the active filters are included. Rows are compared by
+     * each entry of the sort stack in turn, falling through to the next entry
+     * when the previous one considers them equal; rows that are equal by all
+     * entries keep their data set order. Unknown sort order ids and sort
+     * orders of hidden columns in the stack are ignored.
+     *
+     * The result is memoized until the data, the column instances, the
+     * filters or the active sort orders change. Function props of columns are
+     * not compared: inline column definitions get new functions on every
+     * render of the parent, while the table keeps their column instances, so
+     * the data set is not sorted again for them. Data must be replaced rather
+     * than mutated in place for changes to be picked up.
+     *
+     * Remote data is sorted by the server, so the indexes are in data set
+     * order.
+     */
+    sortedDataIndexes() {
+        if (this.options.remote) {
+            return _.range(this.data().length);
+        }
+        const deps = [
+            this.data(), this.columns, this.state.hiddenColumns,
+            this.state.filters, this.options.globalFilter,
+            ..._.flatMap(this.activeSort(), ({sort, descending}) =>
+                [sort, descending, this.sortMap[sort]])
+        ];
+        const cache = this.sortCache;
+        if (cache && (cache.deps.length === deps.length) &&
+            _.every(deps, (dep, i) => dep === cache.deps[i])) {
+            return cache.indexes;
+        }
+        const indexes = this.computeSortedIndexes();
+        this.sortCache = {deps, indexes};
+        return indexes;
+    }
+
+    /**
+     * Filter and sort the data set.
+     *
+     * @returns {Array} - sorted indexes of rows passing the active filters
+     */
+    computeSortedIndexes() {
+        const indexes = this.filteredDataIndexes();
+        const sorters = this.activeSort();
+        if (!sorters.length) {
+            return indexes;
+        }
+        const data = this.data();
+        // Sort positions within the filtered indexes, so rows that compare
+        // equal keep their data set order
+        const positions = _.range(indexes.length).sort((a, b) => {
+            const [rowA, rowB] = [data[indexes[a]], data[indexes[b]]];
+            for (const {sort, descending} of sorters) {
+                const result = this.sortMap[sort].sort(rowA, rowB, descending);
+                if (result) {
+                    return result;
+                }
+            }
+            return a - b;
+        });
+        return _.map(positions, (position) => indexes[position]);
+    }
+
+    /**
+     * Split data rows into groups by the value of a column.
+     *
+     * @param {Array} indexes - data set indexes of the rows to group
+     * @param {Column} column - grouping column
+     * @param {number} level - nesting level of the groups
+     * @returns {Array<object>} - groups with value, indexes and rows
+     *
+     * Groups are ordered according to the groupOrder option; rows within each
+     * group keep their order from indexes.
+     */
+    groupRows(indexes, column, level) {
+        const groups = new Map();
+        _.each(indexes, (rowIndex) => {
+            const row = this.data()[rowIndex];
+            const value = column.value(row);
+            if (!groups.has(value)) {
+                groups.set(value, {value, indexes: [], rows: []});
+            }
+            const group = groups.get(value);
+            group.indexes.push(rowIndex);
+            group.rows.push(row);
+        });
+        const result = Array.from(groups.values());
+        const order = this.options.groupOrder;
+        if (typeof order === 'function') {
+            return result.sort((a, b) => order({a, b, column, level}));
+        }
+        const dir = (order === 'desc') ? -1 : 1;
+        return result.sort(({value: va}, {value: vb}) =>
+            ((va > vb) ? 1 : ((va < vb) ? -1 : 0)) * dir);
+    }
+
+    /**
+     * Lay out the rows grouped by the groupBy columns.
+     *
+     * @param {Array} indexes - sorted data set indexes of all rows, defaults
+     *                          to the sorted indexes
+     * @returns {object} - {slots, rows}, where slots are the group headers,
+     *                     data rows and subtotals in display order, and rows
+     *                     are the data set indexes of the rows not hidden in
+     *                     collapsed groups, in display order
+     *
+     * Each slot has the range [first, last) of the positions of its visible
+     * rows in rows; slots without visible rows have an empty range at the
+     * position of the next visible row. Groups are computed from all rows,
+     * so that counts and subtotals do not depend on the current page.
+     */
+    rowGroupSlots(indexes = this.sortedDataIndexes()) {
+        const columns = _.compact(_.map(
+            _.castArray(this.options.groupBy), (id) => this.columnMap[id]));
+        const slots = [];
+        const rows = [];
+        const addLevel = (indexes, level, path) => {
+            if (level >= columns.length) {
+                _.each(indexes, (rowIndex) => {
+                    const first = rows.length;
+                    slots.push({type: 'row', rowIndex, first, last: first + 1});
+                    rows.push(rowIndex);
+                });
+                return;
+            }
+            const column = columns[level];
+            _.each(this.groupRows(indexes, column, level), (group) => {
+                const groupPath = [...path, group.value];
+                const key = JSON.stringify(_.map(groupPath, String));
+                const header = {
+                    type: 'header', group, column, level, key,
+                    first: rows.length
+                };
+                slots.push(header);
+                if (!this.state.collapsedGroups[key]) {
+                    addLevel(group.indexes, level + 1, groupPath);
+                }
+                header.last = rows.length;
+                slots.push({
+                    type: 'subtotal', group, level, key,
+                    first: header.first, last: header.last
+                });
+            });
+        };
+        addLevel(indexes, 0, []);
+        return {slots, rows};
+    }
+
+    /**
+     * Return the current page state for a number of rows.
+     *
+     * @param {number} total - number of rows to paginate
+     * @returns {object} - page, pageCount and the start and end positions of
+     *                     the rows on the current page
+     *
+     * The current page is clamped to the available pages; without a page size
+     * all rows are on a single page.
+     */
+    paginate(total) {
+        const pageSize = this.state.pageSize;
+        if (!pageSize) {
+            return {page: 0, pageCount: 1, total, start: 0, end: total};
+        }
+        const pageCount = Math.max(1, Math.ceil(total / pageSize));
+        const page = _.clamp(this.state.page || 0, 0, pageCount - 1);
+        const start = page * pageSize;
+        return {
+            page, pageCount, total, start, end: Math.min(total, start + pageSize)
+        };
+    }
+
+    /**
+     * Compute the merged cells of a run of consecutive data rows.
+     *
+     * @param {Array} indexes - data set indexes of the rows, in display order
+     * @param {number} offset - display position of the first row
+     * @param {Map} cellSpans - row spans to add to, defaults to a new Map
+     * @returns {Map} - cellSpans, mapping columns to Maps of the row spans of
+     *                  their cells by display position, where 0 means the
+     *                  cell is covered by a merged cell of a previous row
+     *
+     * Cells of columns with mergeCells are merged while the values of the
+     * rows are mergeable, the rows are merged in the mergeWithin column, and
+     * no detail row of an expanded row comes between them. Hidden columns can
+     * be used as mergeWithin columns.
+     */
+    mergeCells(indexes, offset, cellSpans = new Map()) {
+        const merged = _.filter(
+            allLeafColumns(this.definedColumns), (c) => c.props.mergeCells);
+        if (!merged.length || !indexes.length) {
+            return cellSpans;
+        }
+        const rows = _.map(indexes, (rowIndex) => this.data()[rowIndex]);
+        // Positions of rows that follow a detail row
+        const breaks = new Set();
+        if (this.options.detailRows) {
+            _.each(rows, (row, i) => {
+                if (this.isRowExpanded(row)) {
+                    breaks.add(i + 1);
+                }
+            });
+        }
+        // Positions of the first rows of merged cells, by column
+        const starts = new Map();
+        const spanStarts = (column) => {
+            if (starts.has(column)) {
+                // Null while computing, in case of circular mergeWithin
+                return starts.get(column) || new Set();
+            }
+            starts.set(column, null);
+            const parent = this.columnMap[column.props.mergeWithin];
+            const within = (parent && !parent.columns) ?
+                spanStarts(parent) : new Set();
+            const result = new Set([0]);
+            for (var i = 1; i < rows.length; i++) {
+                if (breaks.has(i) || within.has(i) ||
+                    !column.isMergeable(rows[i - 1], rows[i])) {
+                    result.add(i);
+                }
+            }
+            starts.set(column, result);
+            return result;
+        };
+        _.each(merged, (column) => {
+            const positions = [...spanStarts(column), rows.length];
+            const spans = cellSpans.get(column) || new Map();
+            for (var i = 0; i < positions.length - 1; i++) {
+                const [start, end] = [positions[i], positions[i + 1]];
+                spans.set(offset + start, end - start);
+                for (var j = start + 1; j < end; j++) {
+                    spans.set(offset + j, 0);
+                }
+            }
+            cellSpans.set(column, spans);
+        });
+        return cellSpans;
+    }
+
+    /**
+     * Format data rows for export.
+     *
+     * @param {Array} indexes - data set indexes of the rows to export
+     * @param {string} format - 'csv', 'tsv' or 'json'
+     * @param {boolean} visibleOnly - true to skip hidden columns
+     * @returns {string} - exported data
+     */
+    exportRows(indexes, format, visibleOnly) {
+        const columns = _.flatMap(this.columns,
+            (c) => c.exportColumns(visibleOnly));
+        const headers = _.map(columns, ({header}) => header.join(' / '));
+        const rows = _.map(indexes, (rowIndex) => {
+            const row = this.data()[rowIndex];
+            return _.map(columns,
+                ({column}) => column.exportValue(row, rowIndex));
+        });
+        switch (format) {
+        case 'csv':
+            return formatDelimited([headers, ...rows], ',');
+        case 'tsv':
+            return formatDelimited([headers, ...rows], '\t');
+        case 'json':
+            return JSON.stringify(
+                _.map(rows, (values) => _.zipObject(headers, values)));
+        default:
+            throw new TypeError(`Invalid export format: ${format}`);
+        }
+    }
+
+    /**
+     * Export the data set.
+     *
+     * @param {string} format - 'csv', 'tsv' or 'json', defaults to 'csv'
+     * @param {boolean} visibleOnly - true to skip hidden columns, defaults to
+     *                                true
+     * @param {boolean} sortedOnly - true to export the filtered rows in sorted
+     *                               order, false to export all rows in data
+     *                               set order; defaults to true
+     * @returns {string} - exported data
+     *
+     * Headers of columns in column groups are joined as "Group / Column".
+     */
+    exportData({format = 'csv', visibleOnly = true, sortedOnly = true} = {}) {
+        // Mapping data sets are indexed by key
+        const indexes = sortedOnly ? this.sortedDataIndexes() :
+            _.map(this.data(), (row, rowIndex) => rowIndex);
+        return this.exportRows(indexes, format, visibleOnly);
+    }
+
+}
@@ -1,6 +1,17 @@
 import _ from 'lodash';
-import React, { Component, isValidElement } from 'react';
+import React, { Component, PureComponent, isValidElement } from 'react';
 import PropTypes from 'prop-types';
+import {
+    Column as BaseColumn, Group as BaseGroup, TableModel as BaseTableModel,
+    aggregators, allLeafColumns, createColumn, filterMethods, isEmptyFilter,
+    localeSort, normalizeSort, pivotColumnId, pivotData, sortMethods,
+    validateColumnConfig
+} from './model.js';
+
+export {
+    aggregators, filterMethods, localeSort, pivotColumnId, pivotData,
+    sortMethods
+};
 
 
 /**
@@ -11,548 +22,3696 @@ import PropTypes from 'prop-types';
 const emptyProps = () => ({});
 
 /**
- * Default sorting comparator.
+ * Default sorting renderer.
+ *
+ * @param {Node} cell - rendered header cell content to wrap
+ * @param {boolean} descending - true if sorting in descending order
+ * @param {number} priority - 1-based position of the column in the sort stack
+ * @param {number} sortCount - number of entries in the sort stack
  *
- * @param {any} a, b - data rows to compare
- * @param {Column} column - reference to the Column instance
- * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+ * Priority is only rendered when sorting by more than one column.
  */
-const defaultSort = ({a, b, column}) => {
-    const [va, vb] = [column.value(a), column.value(b)];
-    return (va > vb) ? 1 : ((va < vb) ? -1 : 0);
+const defaultRenderSorting = ({cell, descending, priority, sortCount}) => {
+    const arrow = descending ? '∨' : '∧';
+    // Sort state is exposed to assistive technology through aria-sort
+    if (sortCount > 1) {
+        return <React.Fragment>
+            {cell} <span aria-hidden>{priority} {arrow}</span>
+        </React.Fragment>;
+    }
+    return <React.Fragment>
+        {cell} <span aria-hidden>{arrow}</span>
+    </React.Fragment>;
 };
 
 /**
- * Default sorting renderer.
+ * Default sort announcement renderer.
  *
- * @param {Node} cell - rendered header cell content to wrap
- * @param {boolean} descending - true if sorting in descending order
+ * @param {Array<object>} sort - {header, descending} of each active sort
+ *                               order, header being the header text
+ * @returns {string} - text announced by screen readers when sorting changes
  */
-const defaultRenderSorting = ({cell, descending}) => {
-    const arrow = descending ? '∨' : '∧';
-    return <React.Fragment>{cell} {arrow}</React.Fragment>;
+const defaultRenderSortAnnouncement = ({sort}) => {
+    if (!sort.length) {
+        return 'Not sorted';
+    }
+    return 'Sorted by ' + _.map(sort, ({header, descending}) =>
+        `${header} ${descending ? 'descending' : 'ascending'}`
+    ).join(', then by ');
+};
+
+/**
+ * Style hiding content visually while keeping it available to screen readers.
+ */
+const visuallyHidden = {
+    position: 'absolute', width: 1, height: 1, margin: -1, padding: 0,
+    overflow: 'hidden', clip: 'rect(0 0 0 0)', whiteSpace: 'nowrap', border: 0
+};
+
+/**
+ * Default pager renderer.
+ *
+ * @param {number} page - 0-based index of the current page
+ * @param {number} pageCount - total number of pages
+ * @param {number} total - total number of rows across all pages
+ * @param {function} setPage - function to call with the page to switch to
+ */
+const defaultRenderPager = ({page, pageCount, total, setPage}) => (
+    <React.Fragment>
+        <button type="button" disabled={page <= 0}
+            onClick={() => setPage(page - 1)}>‹</button>
+        {` ${page + 1} / ${pageCount} (${total}) `}
+        <button type="button" disabled={page >= pageCount - 1}
+            onClick={() => setPage(page + 1)}>›</button>
+    </React.Fragment>
+);
+
+/**
+ * Default loading placeholder renderer for remote data.
+ */
+const defaultRenderLoading = () => 'Loading…';
+
+/**
+ * Default error placeholder renderer for remote data.
+ *
+ * @param {any} error - rejection reason of the fetcher
+ * @param {function} reload - function to call to retry loading
+ */
+const defaultRenderError = ({error, reload}) => (
+    <React.Fragment>
+        {`Error: ${(error && error.message) || error} `}
+        <button type="button" onClick={reload}>Retry</button>
+    </React.Fragment>
+);
+
+/**
+ * Default cell editor renderer.
+ *
+ * @param {any} value - current value of the editor
+ * @param {function} onChange - function to call with the new value
+ * @param {function} onCommit - function to call to finish editing
+ * @param {function} onCancel - function to call to discard the change
+ *
+ * Enter commits the change, Escape discards it, and so does leaving the
+ * input.
+ */
+const defaultRenderEditor = ({value, onChange, onCommit, onCancel}) => (
+    <input type="text" autoFocus value={_.isNil(value) ? '' : value}
+        onChange={(event) => onChange(event.target.value)}
+        onBlur={onCommit}
+        onKeyDown={(event) => {
+            if (event.key === 'Enter') {
+                event.stopPropagation();
+                onCommit();
+            } else if (event.key === 'Escape') {
+                onCancel();
+            }
+        }} />
+);
+
+/**
+ * Default column chooser renderer.
+ *
+ * @param {Array<object>} columns - {id, header, hidden, level} of columns and
+ *                                  groups that can be hidden
+ * @param {function} toggleColumn - function to call with a column id to hide
+ *                                  or show the column
+ */
+const defaultRenderColumnChooser = ({columns, toggleColumn}) => (
+    <ul>
+        {_.map(columns, ({id, header, hidden, level}) =>
+            <li key={id} style={{paddingLeft: `${level}em`}}>
+                <label>
+                    <input type="checkbox" checked={!hidden}
+                        onChange={() => toggleColumn(id)} />
+                    {header}
+                </label>
+            </li>
+        )}
+    </ul>
+);
+
+/**
+ * Merge computed props with custom props.
+ *
+ * @param {object} base - props computed by the table
+ * @param {object} props - custom props
+ * @returns {object} - merged props
+ *
+ * Custom props win, except that styles are merged property by property and
+ * class names are concatenated.
+ */
+const mergeProps = (base, props) => {
+    const merged = {...base, ...props};
+    if (base.style && props.style) {
+        merged.style = {...base.style, ...props.style};
+    }
+    if (base.className && props.className) {
+        merged.className = `${base.className} ${props.className}`;
+    }
+    return merged;
+};
+
+/**
+ * Keys of the table state included in the serializable state.
+ */
+const persistedState = [
+    'sort', 'filters', 'hiddenColumns', 'columnOrder', 'columnWidths', 'page',
+    'pageSize'
+];
+
+/**
+ * Convert a sort stack back into sort and descending values.
+ *
+ * @param {Array<object>} stack - array of {sort, descending} entries
+ * @returns {object} - sort and descending values
+ *
+ * A single-entry stack is reduced to its sort order id, longer stacks are
+ * returned as-is with descending set to the direction of the primary entry.
+ * The result can be passed back as sort and descending props of the table.
+ */
+const denormalizeSort = (stack) => {
+    if (!stack.length) {
+        return {sort: undefined, descending: false};
+    }
+    if (stack.length === 1) {
+        return stack[0];
+    }
+    return {sort: stack, descending: stack[0].descending};
+};
+
+/**
+ * Emit a warning about switching between controlled and uncontrolled mode.
+ *
+ * @param {string} feature - name of the feature switching modes
+ * @param {boolean} controlled - true if the feature became controlled
+ */
+const warnModeSwitch = (feature, controlled) => {
+    console.warn(controlled ?
+        `Table is changing from uncontrolled to controlled ${feature}` :
+        `Table is changing from controlled to uncontrolled ${feature}`
+    );
+};
+
+/**
+ * Parse a serialized table state.
+ *
+ * @param {string} json - JSON string, may be null
+ * @returns {object} - parsed state, undefined if json is missing or invalid
+ */
+const parseState = (json) => {
+    if (!json) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(json);
+    } catch (e) {
+        console.warn(`Invalid stored table state: ${e.message}`);
+        return undefined;
+    }
+};
+
+/**
+ * Built-in table state storage adapters.
+ *
+ * Each adapter has a load function receiving the state key and returning the
+ * stored state object, and a save function receiving the state key and the
+ * state object to store. Custom adapters with the same interface can be
+ * passed to the stateStorage prop of the table.
+ */
+export const stateStorage = {
+
+    /**
+     * Store table state as JSON in window.localStorage.
+     */
+    local: {
+        load: (key) => (typeof window === 'undefined') ?
+            undefined : parseState(window.localStorage.getItem(key)),
+        save: (key, state) => {
+            if (typeof window !== 'undefined') {
+                window.localStorage.setItem(key, JSON.stringify(state));
+            }
+        }
+    },
+
+    /**
+     * Store table state as JSON in a URL query string parameter.
+     *
+     * The parameter is replaced in the current history entry, so state
+     * changes do not add browser history entries.
+     */
+    query: {
+        load: (key) => (typeof window === 'undefined') ? undefined :
+            parseState(
+                new URLSearchParams(window.location.search).get(key)),
+        save: (key, state) => {
+            if (typeof window === 'undefined') {
+                return;
+            }
+            const {pathname, search, hash} = window.location;
+            const params = new URLSearchParams(search);
+            params.set(key, JSON.stringify(state));
+            window.history.replaceState(
+                window.history.state, '', `${pathname}?${params}${hash}`);
+        }
+    }
+
+};
+
+/**
+ * Default group header renderer.
+ *
+ * @param {any} value - grouping column value of the rows in the group
+ * @param {number} count - number of rows in the group
+ * @param {Column} column - grouping column
+ * @param {boolean} collapsed - true if the group is collapsed
+ * @param {function} toggle - function to call to collapse or expand the group
+ */
+const defaultRenderGroupHeader = ({value, count, column, collapsed, toggle}) => (
+    <React.Fragment>
+        <button type="button" aria-expanded={!collapsed} onClick={toggle}>
+            {collapsed ? '▸' : '▾'}
+        </button>
+        {' '}{column.props.header}: {String(value)} ({count})
+    </React.Fragment>
+);
+
+/**
+ * Default filter input renderer.
+ *
+ * @param {string} type - built-in filter type of the column, if any
+ * @param {any} filter - current filter value of the column
+ * @param {function} setFilter - function to call with the new filter value
+ * @param {Array} options - available values for set filters
+ * @returns {Node} - filter input element(s)
+ *
+ * Columns with a custom filter predicate get a text input.
+ */
+const defaultRenderFilter = ({type, filter, setFilter, options}) => {
+    if (type === 'range') {
+        const range = filter || {};
+        const setBound = (bound) => (event) => setFilter({
+            ...range, [bound]: event.target.value || undefined
+        });
+        return <React.Fragment>
+            <input type="number" value={_.isNil(range.min) ? '' : range.min}
+                onChange={setBound('min')} />
+            <input type="number" value={_.isNil(range.max) ? '' : range.max}
+                onChange={setBound('max')} />
+        </React.Fragment>;
+    }
+    if (type === 'set') {
+        const selected = _.map(filter, (value) => _.indexOf(options, value));
+        const onChange = (event) => setFilter(_.map(
+            _.filter(event.target.options, (option) => option.selected),
+            (option) => options[option.value]
+        ));
+        return <select multiple value={_.map(selected, String)}
+            onChange={onChange}>
+            {_.map(options, (option, index) =>
+                <option key={index} value={index}>{String(option)}</option>
+            )}
+        </select>;
+    }
+    return <input type="text" value={filter || ''}
+        onChange={(event) => setFilter(event.target.value)} />;
 };
 
 
-/**
- * Column class.
- *
- * It is used in JSX as a React component, but isn't a true component; it is
- * only a container for a column definition that will be rendered by the parent
- * <Table> component.
- */
-export class Column {
+/**
+ * Column class.
+ *
+ * It is used in JSX as a React component, but isn't a true component; it is
+ * only a container for a column definition that will be rendered by the parent
+ * <Table> component. The column logic is that of the Column of model.js, this
+ * class adds the rendering of its cells.
+ */
+export class Column extends BaseColumn {
+
+    /**
+     * Render the header for this column.
+     *
+     * @param {object} cell - header cell of this column, as returned by
+     *                        headerRows() of the table model
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Element} - <th> element
+     *
+     * For top-level columns (not within a column group), groupIndex of the
+     * cell will be undefined and colIndex will be the index of the column
+     * itself.
+     */
+    renderHeader(cell, groupProps) {
+        const {colIndex, groupIndex, level, rowSpan} = cell;
+        var props = this.props.headerProps({
+            colIndex, groupIndex,
+            ..._.pick(cell, ['sort', 'descending', 'priority'])
+        });
+        if (groupProps) {
+            props = {...groupProps, ...props};
+        }
+        props = {...this.table.headerA11yProps(this), ...props};
+        props = mergeProps(this.table.positionProps(this, level), props);
+        if (rowSpan > 1) {
+            // Expand to fill the header rows below this column
+            props.rowSpan = rowSpan;
+        }
+        if (this.props.sortId) {
+            // Add click handler to sort by this column
+            props.onClick = (event) =>
+                this.table.handleSortClick(this.props.sortId, event);
+        }
+        Object.assign(props, this.table.reorderProps(this));
+        const handle = this.table.renderResizeHandle(this);
+        if (handle) {
+            // Resize handle is positioned against the header cell
+            props.style = {position: 'relative', ...props.style};
+        }
+        const key = this.reactKey({colIndex, groupIndex});
+        const content = this.table.renderSorting(
+            this.props.sortId, cell.header);
+        return <th key={key} {...props}>{content}{handle}</th>;
+    }
+
+    /**
+     * Render a data cell in this column.
+     *
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the data row within the dataset
+     * @param {number} displayIndex - position of the row in display order
+     * @param {number} colIndex - index of the parent group within the table
+     * @param {number} groupIndex - index of this column within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Element} - <td> element
+     */
+    renderCell(row, rowIndex, displayIndex, colIndex, groupIndex, groupProps) {
+        if (this.isHidden()) {
+            return null;
+        }
+        const rowKey = this.table.rowKey(row, rowIndex);
+        var props = this.props.tdProps({
+            row, rowIndex, rowKey, displayIndex, colIndex, groupIndex
+        });
+        if (groupProps) {
+            props = {...groupProps, ...props};
+        }
+        if (this.group) {
+            // Link the cell to the headers of its column groups
+            props = {headers: this.headerIds().join(' '), ...props};
+        }
+        if (this.isEditable(row, rowIndex)) {
+            props = {...this.table.editProps(row, rowIndex, this), ...props};
+        }
+        const rowSpan = this.table.cellRowSpan(this, displayIndex);
+        if (rowSpan === 0) {
+            // Cell is covered by a merged cell of a previous row
+            return null;
+        } else if (rowSpan > 1) {
+            props = {rowSpan, ...props};
+        }
+        props = mergeProps(this.table.positionProps(this), props);
+        const key = this.reactKey({
+            row, rowIndex, rowKey, colIndex, groupIndex
+        });
+        const cell = this.table.isEditing(row, rowIndex, this) ?
+            this.table.renderEditor(row, rowIndex, this) :
+            this.props.render({
+                row, value: this.value(row), rowIndex, rowKey, displayIndex,
+                colIndex, groupIndex
+            });
+        return <td key={key} {...props}>{cell}</td>;
+    }
+
+    /**
+     * Render the filter row cell for this column.
+     *
+     * @param {number} colIndex - index of the parent group within the table
+     * @param {object} filters - active filter values by filter id
+     * @param {number} groupIndex - index of this column within parent group
+     * @returns {Element} - <th> element
+     *
+     * Columns without a filter get an empty cell to keep the filter row
+     * aligned with the columns.
+     */
+    renderFilter(colIndex, filters, groupIndex) {
+        if (this.isHidden()) {
+            return null;
+        }
+        const props = mergeProps(
+            this.table.positionProps(this, this.table.headerDepth()),
+            this.props.filterProps({colIndex, groupIndex})
+        );
+        const key = this.reactKey({colIndex, groupIndex});
+        if (!this.isFilterable()) {
+            return <th key={key} {...props} />;
+        }
+        const {filterId, filter} = this.props;
+        const type = (typeof filter === 'string') ? filter : undefined;
+        const cell = this.props.renderFilter({
+            column: this,
+            type,
+            filter: filters[filterId],
+            setFilter: (value) => this.table.filterBy(filterId, value),
+            options: (type === 'set') ? this.filterOptions() : undefined
+        });
+        return <th key={key} {...props}>{cell}</th>;
+    }
+
+    /**
+     * Render an aggregate cell for a set of data rows in this column.
+     *
+     * @param {Array<object>} rows - data rows to aggregate
+     * @param {number} colIndex - index of the parent group within the table
+     * @param {number} groupIndex - index of this column within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Element} - <td> element
+     *
+     * Columns without an aggregate function get an empty cell to keep the
+     * row aligned with the columns.
+     */
+    renderAggregate(rows, colIndex, groupIndex, groupProps) {
+        if (this.isHidden()) {
+            return null;
+        }
+        var props = this.props.aggregateProps({rows, colIndex, groupIndex});
+        if (groupProps) {
+            props = {...groupProps, ...props};
+        }
+        props = mergeProps(this.table.positionProps(this), props);
+        const key = this.reactKey({colIndex, groupIndex});
+        const cell = this.props.aggregate ? this.props.renderAggregate({
+            value: this.aggregate(rows), rows, column: this
+        }) : null;
+        return <td key={key} {...props}>{cell}</td>;
+    }
+
+    /**
+     * Render the footer for this column.
+     *
+     * @param {number} colIndex - index of the parent group within the table
+     * @param {Array<object>} rows - data rows summarized by the footer
+     * @param {number} groupIndex - index of this column within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Element} - <td> element
+     *
+     * For top-level columns (not within a column group), groupIndex will be
+     * undefined and colIndex will be the index of the column itself.
+     */
+    renderFooter(colIndex, rows, groupIndex, groupProps) {
+        if (this.isHidden()) {
+            return null;
+        }
+        var props = this.props.footerProps({colIndex, groupIndex, rows});
+        if (groupProps) {
+            props = {...groupProps, ...props};
+        }
+        props = mergeProps(this.table.positionProps(this), props);
+        const rowSpan = this.table.footerDepth() - this.level();
+        if (rowSpan > 1) {
+            // Expand to fill the footer rows below the parent group footers
+            props.rowSpan = rowSpan;
+        }
+        const key = this.reactKey({colIndex, groupIndex});
+        return <td key={key} {...props}>{this.footerContent(rows)}</td>;
+    }
+
+    /**
+     * Render the footer cells for this column into footer rows.
+     *
+     * @param {Array<Array>} levels - <td> elements of each footer row
+     * @param {number} colIndex - index of the top-level column or group
+     * @param {Array<object>} rows - data rows summarized by the footer
+     * @param {number} groupIndex - index of this column within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     *
+     * Mirroring the header, column footers are always in the first footer
+     * row, expanded to fill the rows of the parent group footers.
+     */
+    renderFooterRows(levels, colIndex, rows, groupIndex, groupProps) {
+        levels[0].push(
+            this.renderFooter(colIndex, rows, groupIndex, groupProps));
+    }
+}
+
+
+/**
+ * Column group class.
+ *
+ * Like Column, it isn't a true React component, but is used in JSX as a
+ * container for column group definitions. The column group logic is that of
+ * the Group of model.js, this class adds the rendering of its cells.
+ */
+export class Group extends BaseGroup {
+
+    /**
+     * Return the classes of child columns defined as plain objects.
+     *
+     * @returns {object} - <Column> and <Group> classes
+     */
+    columnTypes() {
+        return {Column, Group};
+    }
+
+    /**
+     * Render the header for this column group.
+     *
+     * @param {object} cell - header cell of this group, as returned by
+     *                        headerRows() of the table model
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Element} - <th> element spanning the child columns
+     *
+     * For top-level column groups, groupIndex of the cell will be undefined
+     * and colIndex will be the index of the column group itself.
+     */
+    renderHeader(cell, groupProps) {
+        const {colIndex, groupIndex, level, colSpan} = cell;
+        var props = this.props.headerProps({
+            colIndex, groupIndex,
+            ..._.pick(cell, ['sort', 'descending', 'priority'])
+        });
+        if (groupProps) {
+            props = {...groupProps, ...props};
+        }
+        props = {...this.table.headerA11yProps(this), ...props};
+        props = mergeProps(this.table.positionProps(this, level), props);
+        props.colSpan = colSpan;
+        if (this.props.sortId) {
+            // Add click handler to sort by this column group
+            props.onClick = (event) =>
+                this.table.handleSortClick(this.props.sortId, event);
+        }
+        Object.assign(props, this.table.reorderProps(this));
+        const key = this.reactKey({colIndex, groupIndex});
+        const content = this.table.renderSorting(
+            this.props.sortId, cell.header);
+        return <th key={key} {...props}>{content}</th>;
+    }
+
+    /**
+     * Render data cells for child columns in this column group.
+     *
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the data row in the data set
+     * @param {number} displayIndex - position of the row in display order
+     * @param {number} columnIndex - index of the top-level column or group
+     * @param {number} groupIndex - index of this group within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Array<Element>} - array of <td> elements for each leaf column
+     */
+    renderCell(row, rowIndex, displayIndex, columnIndex, groupIndex, groupProps) {
+        if (this.isHidden()) {
+            return [];
+        }
+        return _.flatMap(this.columns, (c, childIndex) => {
+            const childProps = {
+                ...groupProps,
+                ...this.props.tdProps({
+                    row, rowIndex, rowKey: this.table.rowKey(row, rowIndex),
+                    displayIndex, columnIndex, groupIndex: childIndex
+                })
+            };
+            return c.renderCell(
+                row, rowIndex, displayIndex, columnIndex, childIndex, childProps
+            );
+        });
+    }
+
+    /**
+     * Render filter row cells for child columns in this column group.
+     *
+     * @param {number} colIndex - index of the top-level column or group
+     * @param {object} filters - active filter values by filter id
+     * @returns {Array<Element>} - array of <th> elements for each leaf column
+     */
+    renderFilter(colIndex, filters) {
+        if (this.isHidden()) {
+            return [];
+        }
+        return _.flatMap(
+            this.columns,
+            (c, groupIndex) => c.renderFilter(colIndex, filters, groupIndex)
+        );
+    }
+
+    /**
+     * Render aggregate cells for child columns in this column group.
+     *
+     * @param {Array<object>} rows - data rows to aggregate
+     * @param {number} colIndex - index of the top-level column or group
+     * @returns {Array<Element>} - array of <td> elements for each leaf column
+     */
+    renderAggregate(rows, colIndex) {
+        if (this.isHidden()) {
+            return [];
+        }
+        return _.flatMap(
+            this.columns,
+            (c, groupIndex) => c.renderAggregate(rows, colIndex, groupIndex)
+        );
+    }
+
+    /**
+     * Render the footer for this column group.
+     *
+     * @param {number} colIndex - index of the top-level column or group
+     * @param {Array<object>} rows - data rows summarized by the footer
+     * @param {number} groupIndex - index of this group within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     * @returns {Element} - <td> element spanning the child columns
+     */
+    renderFooter(colIndex, rows, groupIndex, groupProps) {
+        if (this.isHidden()) {
+            return null;
+        }
+        var props = this.props.footerProps({colIndex, groupIndex, rows});
+        if (groupProps) {
+            props = {...groupProps, ...props};
+        }
+        props = mergeProps(this.table.positionProps(this), props);
+        props.colSpan = this.leafColumns().length;
+        const key = this.reactKey({colIndex, groupIndex});
+        return <td key={key} {...props}>{this.footerContent(rows)}</td>;
+    }
+
+    /**
+     * Render the footer cells for this column group into footer rows.
+     *
+     * @param {Array<Array>} levels - <td> elements of each footer row
+     * @param {number} colIndex - index of the top-level column or group
+     * @param {Array<object>} rows - data rows summarized by the footer
+     * @param {number} groupIndex - index of this group within parent group
+     * @param {object} groupProps - extra properties defined for group columns
+     *
+     * Mirroring the header, group footers are rendered below the footers of
+     * their child columns; they are omitted if no group has a footer.
+     */
+    renderFooterRows(levels, colIndex, rows, groupIndex, groupProps) {
+        if (this.isHidden()) {
+            return;
+        }
+        _.each(this.columns, (c, childIndex) => {
+            const childProps = this.props.subFooterProps({
+                colIndex, groupIndex: childIndex, rows
+            });
+            c.renderFooterRows(levels, colIndex, rows, childIndex, childProps);
+        });
+        const depth = levels.length;
+        if (depth > 1) {
+            levels[depth - 1 - this.level()].push(
+                this.renderFooter(colIndex, rows, groupIndex, groupProps));
+        }
+    }
+}
+
+
+/**
+ * Row selection column class.
+ *
+ * This column is not declared in JSX, it is injected before the user-defined
+ * columns of tables with selectable rows and renders the selection
+ * checkboxes.
+ */
+class SelectionColumn extends Column {
+
+    /**
+     * Selection column constructor.
+     *
+     * @param {object} props - extra column props
+     * @param {Table} table - table instance this column belongs to
+     */
+    constructor(props, table) {
+        super({
+            ...Column.defaultProps,
+            value: (row) => table.isRowSelected(row),
+            render: ({row, rowIndex}) => table.renderRowSelection(row, rowIndex),
+            key: ({colIndex}) => `selection:${colIndex}`,
+            searchable: false,
+            exportable: false,
+            ...props
+        }, table);
+    }
+
+    /**
+     * Render the header for the selection column.
+     *
+     * @param {object} cell - header cell of this column, as returned by
+     *                        headerRows() of the table model
+     * @returns {Element} - <th> element containing the "select all" checkbox
+     */
+    renderHeader({colIndex, rowSpan}) {
+        const props = mergeProps(
+            {id: this.headerId, ...this.table.positionProps(this, 0)},
+            this.props.headerProps({colIndex})
+        );
+        if (rowSpan > 1) {
+            props.rowSpan = rowSpan;
+        }
+        const key = this.reactKey({colIndex});
+        return <th key={key} {...props}>{this.table.renderSelectAll()}</th>;
+    }
+
+}
+
+
+/**
+ * Row expansion column class.
+ *
+ * This column is not declared in JSX, it is injected before the user-defined
+ * columns of tables with an expansion toggle column and renders the toggle
+ * buttons for expanding and collapsing detail rows.
+ */
+class ExpandColumn extends Column {
+
+    /**
+     * Expansion column constructor.
+     *
+     * @param {object} props - extra column props
+     * @param {Table} table - table instance this column belongs to
+     */
+    constructor(props, table) {
+        super({
+            ...Column.defaultProps,
+            value: (row) => table.isRowExpanded(row),
+            render: ({row, rowIndex}) => table.renderExpandToggle(row, rowIndex),
+            key: ({colIndex}) => `expand:${colIndex}`,
+            searchable: false,
+            exportable: false,
+            ...props
+        }, table);
+    }
+
+}
+
+
+/**
+ * Table model class.
+ *
+ * Extends the table model of model.js to build plain object column
+ * definitions as <Column> and <Group> instances, so the model can be
+ * rendered by <Table>.
+ */
+export class TableModel extends BaseTableModel {
+
+    /**
+     * Return the classes of columns defined as plain objects.
+     *
+     * @returns {object} - <Column> and <Group> classes
+     */
+    columnTypes() {
+        return {Column, Group};
+    }
+
+}
+
+
+// Table state passed to the table model
+const modelState = [
+    'sort', 'filters', 'hiddenColumns', 'columnOrder', 'columnWidths', 'page',
+    'pageSize', 'selected', 'expanded', 'collapsedGroups'
+];
+
+// Table props passed to the table model
+const modelProps = [
+    'globalFilter', 'globalFilterMethod', 'rowKey', 'groupBy', 'groupOrder',
+    'pivot'
+];
+
+
+// Table props that do not affect the rendering of individual data rows, or
+// that are passed to data rows separately
+const rowStateProps = [
+    'children', 'data', 'sort', 'descending', 'filters', 'globalFilter',
+    'page', 'pageSize', 'selected', 'expanded', 'hiddenColumns',
+    'columnOrder', 'columnWidths', 'initialState'
+];
+
+
+/**
+ * Data row component.
+ *
+ * Rows are pure components, so a re-render of the table only re-renders the
+ * rows whose data row, selection, expansion or editing state has changed, or
+ * all rows if the column layout or other table props have changed.
+ */
+class Row extends PureComponent {
+
+    /**
+     * Render the <tr> element of the row.
+     *
+     * @returns {Element} - <tr> element
+     */
+    render() {
+        const {table, rowIndex, displayIndex} = this.props;
+        return React.cloneElement(
+            table.renderRowElement(rowIndex, displayIndex),
+            {ref: (e) => { this.tr = e; }}
+        );
+    }
+
+}
+
+
+/**
+ * Table class.
+ *
+ * This is a true React component.
+ */
+export class Table extends Component {
+
+    /**
+     * Table constructor.
+     *
+     * @param {object} props - React props
+     */
+    constructor(props) {
+        super(props);
+        // Sorting, filtering and header layout are derived by the model
+        this.model = new TableModel({}, this);
+        const columns = this.updateColumns(props.children, props);
+        const state = {
+            sort: normalizeSort(props.sort, props.descending),
+            filters: props.filters,
+            page: props.page,
+            pageSize: props.pageSize,
+            scrollTop: 0,
+            viewportHeight: props.height,
+            selected: props.selected || [],
+            expanded: props.expanded || [],
+            expandedContent: new Map(),
+            collapsedGroups: {},
+            hiddenColumns: props.hiddenColumns || [],
+            columnOrder: props.columnOrder || [],
+            columnWidths: props.columnWidths || {},
+            remoteRows: [],
+            remoteTotal: 0,
+            loading: typeof props.data === 'function',
+            loadError: undefined,
+            editing: null,
+            headerOffsets: [],
+            measuredWidths: {},
+            ...this.restoredState(props)
+        };
+        this.state = {
+            ...state,
+            columns: this.applyColumnOrder(columns, state.columnOrder)
+        };
+        // Measured heights and rendered <tr> elements of virtualized rows
+        this.rowHeights = {};
+        this.rowElements = {};
+        this.bodyOffset = 0;
+        this.validateProps();
+    }
+
+    /**
+     * Measure the virtualized rows after mounting.
+     */
+    componentDidMount() {
+        this.measureVirtualRows();
+        this.measureSticky();
+        this.loadExpandedContent();
+        this.updateGridFocus();
+        this.reload();
+    }
+
+    /**
+     * Measure the virtualized rows, load expanded content and report state
+     * changes after updating.
+     *
+     * @param {object} prevProps - React props before the update
+     * @param {object} prevState - React state before the update
+     */
+    componentDidUpdate(prevProps, prevState) {
+        this.measureVirtualRows();
+        this.measureSticky();
+        this.loadExpandedContent();
+        this.updateGridFocus();
+        this.reportState(prevState);
+        // A new fetcher function alone does not reload, as parents often
+        // pass a new closure on each render
+        const queryChanged = this.isRemote() && (!this.isRemote(prevProps) ||
+            !_.isEqual(this.remoteQuery(), this.loadedQuery));
+        if (queryChanged) {
+            this.reload();
+        }
+    }
+
+    /**
+     * Stop processing pending asynchronous results.
+     */
+    componentWillUnmount() {
+        this.unmounted = true;
+        if (this.abortRequest) {
+            this.abortRequest();
+        }
+        if (this.stopResize) {
+            this.stopResize();
+        }
+    }
+
+    /**
+     * Process prop changes.
+     *
+     * @param {object} props - React props
+     */
+    componentWillReceiveProps(props) {
+        const orderControlled = this.isOrderControlled(props);
+        if (orderControlled !== this.isOrderControlled()) {
+            warnModeSwitch('column order', orderControlled);
+        }
+        // Equal column orders from the parent keep the current order
+        const propsOrder = props.columnOrder || [];
+        const columnOrder = (orderControlled &&
+            !_.isEqual(propsOrder, this.state.columnOrder)) ?
+            propsOrder : this.state.columnOrder;
+        const definedColumns = this.definedColumns;
+        const columnsChanged = ((this.props.children !== props.children) ||
+            (this.props.columns !== props.columns) ||
+            (this.props.pivot !== props.pivot) ||
+            (!!props.pivot && (this.props.data !== props.data)) ||
+            (this.props.selectable !== props.selectable) ||
+            (this.props.expandColumn !== props.expandColumn)) &&
+            (this.updateColumns(props.children, props) !== definedColumns);
+        if (columnsChanged) {
+            // Columns and groups have changed
+            this.setState({
+                columnOrder,
+                columns: this.applyColumnOrder(this.definedColumns, columnOrder)
+            });
+        } else if (columnOrder !== this.state.columnOrder) {
+            // Column order is owned by the parent and has changed
+            this.setState({
+                columnOrder,
+                columns: this.applyColumnOrder(this.definedColumns, columnOrder)
+            });
+        }
+        const widthsControlled = this.isWidthsControlled(props);
+        if (widthsControlled !== this.isWidthsControlled()) {
+            warnModeSwitch('column widths', widthsControlled);
+        }
+        const columnWidths = props.columnWidths || {};
+        if (widthsControlled &&
+            !_.isEqual(columnWidths, this.state.columnWidths)) {
+            // Column widths are owned by the parent, always follow the props
+            this.setState({columnWidths});
+        }
+        const controlled = this.isSortControlled(props);
+        if (controlled !== this.isSortControlled()) {
+            warnModeSwitch('sorting', controlled);
+        }
+        var sort = this.state.sort;
+        if (controlled) {
+            // Sort order is owned by the parent, always follow the props but
+            // keep the current stack when equal, so that state consumers
+            // comparing by identity do not see a change on each render
+            const propsSort = normalizeSort(props.sort, props.descending);
+            if (!_.isEqual(propsSort, sort)) {
+                sort = propsSort;
+                this.setState({sort});
+            }
+        }
+        const filtersControlled = this.isFilteringControlled(props);
+        if (filtersControlled !== this.isFilteringControlled()) {
+            warnModeSwitch('filtering', filtersControlled);
+        }
+        var filters = this.state.filters;
+        if (filtersControlled) {
+            // Filters are owned by the parent, always follow the props unless
+            // they are equal to the current filters
+            if (!_.isEqual(props.filters, filters)) {
+                filters = props.filters;
+                this.setState({filters});
+            }
+        }
+        const pageControlled = this.isPagingControlled(props);
+        if (pageControlled !== this.isPagingControlled()) {
+            warnModeSwitch('paging', pageControlled);
+        }
+        if (pageControlled && ((props.page !== this.state.page) ||
+            (props.pageSize !== this.state.pageSize))) {
+            // Page is owned by the parent, always follow the props
+            this.setState({page: props.page, pageSize: props.pageSize});
+        }
+        if (this.props.data !== props.data) {
+            // Measured row heights are no longer valid
+            this.rowHeights = {};
+        }
+        const selectionControlled = this.isSelectionControlled(props);
+        if (selectionControlled !== this.isSelectionControlled()) {
+            warnModeSwitch('selection', selectionControlled);
+        }
+        const selected = props.selected || [];
+        if (selectionControlled && !_.isEqual(selected, this.state.selected)) {
+            // Selection is owned by the parent, always follow the props
+            this.setState({selected});
+        }
+        const expansionControlled = this.isExpansionControlled(props);
+        if (expansionControlled !== this.isExpansionControlled()) {
+            warnModeSwitch('expansion', expansionControlled);
+        }
+        const expanded = props.expanded || [];
+        if (expansionControlled && !_.isEqual(expanded, this.state.expanded)) {
+            // Expanded rows are owned by the parent, always follow the props
+            this.setState({expanded});
+        }
+        const visibilityControlled = this.isVisibilityControlled(props);
+        if (visibilityControlled !== this.isVisibilityControlled()) {
+            warnModeSwitch('column visibility', visibilityControlled);
+        }
+        const hiddenColumns = props.hiddenColumns || [];
+        if (visibilityControlled &&
+            !_.isEqual(hiddenColumns, this.state.hiddenColumns)) {
+            // Hidden columns are owned by the parent, always follow the props
+            this.setState({hiddenColumns});
+        }
+        this.validateProps(sort, filters, props);
+    }
+
+    /**
+     * Return true if sorting is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onSortChange callback is defined
+     *
+     * In controlled mode the sort and descending props always define the sort
+     * order of the table, and sorting changes are only reported through the
+     * onSortChange callback instead of being applied to the internal state.
+     */
+    isSortControlled(props = this.props) {
+        return props.onSortChange !== undefined;
+    }
+
+    /**
+     * Return true if filtering is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onFiltersChange callback is defined
+     *
+     * In controlled mode the filters prop always defines the active filters,
+     * and filter changes are only reported through the onFiltersChange
+     * callback.
+     */
+    isFilteringControlled(props = this.props) {
+        return props.onFiltersChange !== undefined;
+    }
+
+    /**
+     * Return true if paging is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onPageChange callback is defined
+     *
+     * In controlled mode the page and pageSize props always define the
+     * displayed page, and page changes are only reported through the
+     * onPageChange callback.
+     */
+    isPagingControlled(props = this.props) {
+        return props.onPageChange !== undefined;
+    }
+
+    /**
+     * Return true if row selection is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onSelectionChange callback is defined
+     *
+     * In controlled mode the selected prop always defines the selected rows,
+     * and selection changes are only reported through the onSelectionChange
+     * callback.
+     */
+    isSelectionControlled(props = this.props) {
+        return props.onSelectionChange !== undefined;
+    }
+
+    /**
+     * Return true if row expansion is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onExpandedChange callback is defined
+     *
+     * In controlled mode the expanded prop always defines the expanded rows,
+     * and expansion changes are only reported through the onExpandedChange
+     * callback.
+     */
+    isExpansionControlled(props = this.props) {
+        return props.onExpandedChange !== undefined;
+    }
+
+    /**
+     * Return true if column visibility is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onHiddenColumnsChange callback is defined
+     *
+     * In controlled mode the hiddenColumns prop always defines the hidden
+     * columns, and visibility changes are only reported through the
+     * onHiddenColumnsChange callback.
+     */
+    isVisibilityControlled(props = this.props) {
+        return props.onHiddenColumnsChange !== undefined;
+    }
+
+    /**
+     * Return true if column order is controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onColumnOrderChange callback is defined
+     *
+     * In controlled mode the columnOrder prop always defines the column order,
+     * and reordering is only reported through the onColumnOrderChange
+     * callback.
+     */
+    isOrderControlled(props = this.props) {
+        return props.onColumnOrderChange !== undefined;
+    }
+
+    /**
+     * Return true if column widths are controlled by the parent component.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if onColumnWidthsChange callback is defined
+     *
+     * In controlled mode the columnWidths prop always defines the column
+     * widths, and resizing is only reported through the onColumnWidthsChange
+     * callback.
+     */
+    isWidthsControlled(props = this.props) {
+        return props.onColumnWidthsChange !== undefined;
+    }
+
+    /**
+     * Validate prop sanity and emit warnings.
+     *
+     * @param {Array<object>} sort - sort stack to validate, defaults to the
+     *                               current sort stack of the table
+     * @param {object} filters - filters to validate, defaults to the current
+     *                           filters of the table
+     * @param {object} props - React props, defaults to current props
+     */
+    validateProps(
+        sort = this.state.sort, filters = this.state.filters, props = this.props
+    ) {
+        _.each(sort, (entry) => {
+            if (!(entry.sort in this.sortMap)) {
+                console.warn(`Invalid sort method: ${entry.sort}`);
+            }
+        });
+        _.each(filters, (value, filterId) => {
+            if (!(filterId in this.filterMap)) {
+                console.warn(`Invalid filter: ${filterId}`);
+            }
+        });
+        _.each(props.groupBy ? _.castArray(props.groupBy) : [], (id) => {
+            if (!(id in this.columnMap)) {
+                console.warn(`Invalid groupBy column: ${id}`);
+            }
+        });
+        _.each(this.state && this.state.hiddenColumns, (id) => {
+            if (!(id in this.columnMap)) {
+                console.warn(`Invalid hidden column: ${id}`);
+            }
+        });
+        _.each(allLeafColumns(this.definedColumns), (column) => {
+            const id = column.props.mergeWithin;
+            if (id && (!(id in this.columnMap) || this.columnMap[id].columns)) {
+                console.warn(`Invalid mergeWithin column: ${id}`);
+            }
+        });
+        if (props.virtualized && !_.isEmpty(props.groupBy)) {
+            console.warn('groupBy is not supported in virtualized mode');
+        }
+        if (props.pivot && this.isRemote(props)) {
+            console.warn('pivot is not supported with remote data');
+        }
+    }
+
+    /**
+     * Return the table model, updated with the current data and state.
+     *
+     * @returns {TableModel} - table model
+     */
+    tableModel() {
+        const options = {
+            ..._.zipObject(modelState,
+                _.map(modelState, (key) => this.state[key])),
+            ..._.zipObject(modelProps,
+                _.map(modelProps, (key) => this.props[key])),
+            data: this.dataSet(),
+            detailRows: !!this.props.renderExpanded,
+            remote: this.isRemote()
+        };
+        const previous = this.modelOptions;
+        if (!previous ||
+            _.some(options, (value, key) => value !== previous[key])) {
+            this.modelOptions = options;
+            this.model.update(options);
+        }
+        return this.model;
+    }
+
+    /**
+     * Return true if data is loaded from a fetcher function.
+     *
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if the data prop is a function
+     *
+     * In remote mode sorting, filtering and paging are left to the fetcher,
+     * and the data set only contains the rows of the current page.
+     */
+    isRemote(props = this.props) {
+        return typeof props.data === 'function';
+    }
+
+    /**
+     * Return the data set passed to the table model.
+     *
+     * @returns {Array|object} - data prop, or the rows of the current page
+     *                           returned by the fetcher in remote mode
+     */
+    dataSet() {
+        return this.isRemote() ? this.state.remoteRows : this.props.data;
+    }
+
+    /**
+     * Return the data set of the table.
+     *
+     * @returns {Array|object} - data set, with Maps and other iterables
+     *                           converted to arrays of their values, or the
+     *                           pivoted rows in pivot mode
+     */
+    data() {
+        return this.tableModel().data();
+    }
+
+    /**
+     * Return the key of a data row.
+     *
+     * @param {object} row - data row
+     * @param {any} rowIndex - index of the row in the data set
+     * @returns {any} - row key derived by the table model from the rowKey
+     *                  prop
+     *
+     * Row keys are used as React keys of data rows.
+     */
+    rowKey(row, rowIndex) {
+        return this.tableModel().rowKey(row, rowIndex);
+    }
+
+    /**
+     * Return the value identifying a data row in selection and expansion
+     * state.
+     *
+     * @param {object} row - data row
+     * @returns {any} - row id derived by the table model: the row key if the
+     *                  rowKey prop is defined, otherwise the row itself
+     */
+    rowId(row) {
+        return this.tableModel().rowId(row);
+    }
+
+    /**
+     * Find a data row by its row key.
+     *
+     * @param {any} rowKey - row key
+     * @param {any} hint - index of the row when the key was taken, checked
+     *                     first
+     * @returns {any} - index of the row in the data set, undefined if no row
+     *                  has the key
+     */
+    findRowIndex(rowKey, hint) {
+        const data = this.data();
+        if ((hint !== undefined) && (data[hint] !== undefined) &&
+            (this.rowKey(data[hint], hint) === rowKey)) {
+            return hint;
+        }
+        var found;
+        _.each(data, (row, rowIndex) => {
+            if (this.rowKey(row, rowIndex) === rowKey) {
+                found = rowIndex;
+                return false;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Return the query for the current page of rows in remote mode.
+     *
+     * @returns {object} - {sort, descending, page, pageSize, filters,
+     *                     globalFilter}, where sort and descending are the
+     *                     active sort order as passed to onSortChange
+     */
+    remoteQuery() {
+        const {sort, descending} = denormalizeSort(this.activeSort());
+        return {
+            sort, descending,
+            page: this.state.page || 0,
+            pageSize: this.state.pageSize,
+            filters: _.omitBy(this.state.filters, isEmptyFilter),
+            globalFilter: this.props.globalFilter
+        };
+    }
+
+    /**
+     * Load the current page of rows in remote mode.
+     *
+     * The fetcher receives the remoteQuery() and a signal, an AbortSignal
+     * that is aborted when the request is superseded. Responses to superseded
+     * requests are ignored.
+     *
+     * Rows are loaded whenever the query changes. Call this method to load
+     * them again with the same query, e.g. after the data has changed on the
+     * server.
+     */
+    reload() {
+        if (!this.isRemote()) {
+            return;
+        }
+        if (this.abortRequest) {
+            this.abortRequest();
+        }
+        const request = {};
+        const controller = (typeof AbortController === 'undefined') ?
+            null : new AbortController();
+        this.request = request;
+        this.abortRequest = () => controller && controller.abort();
+        this.loadedQuery = this.remoteQuery();
+        const query = {
+            ...this.loadedQuery,
+            signal: controller ? controller.signal : undefined
+        };
+        const current = () => !this.unmounted && (this.request === request);
+        this.setState({loading: true, loadError: undefined});
+        new Promise((resolve) => resolve(this.props.data(query))).then(
+            (result) => {
+                // Malformed results go through the error state like failed
+                // requests
+                if (!result || !(result.rows instanceof Array)) {
+                    throw new TypeError(
+                        'Data fetcher must resolve to {rows, total}');
+                }
+                return result;
+            }
+        ).then(
+            ({rows, total}) => {
+                if (current()) {
+                    this.rowHeights = {};
+                    this.setState({
+                        remoteRows: rows,
+                        remoteTotal: _.isNumber(total) ? total : _.size(rows),
+                        loading: false
+                    });
+                }
+            },
+            (error) => current() &&
+                this.setState({loading: false, loadError: error})
+        );
+    }
+
+    /**
+     * Return the serializable state of the table.
+     *
+     * @returns {object} - {version, sort, filters, hiddenColumns, columnOrder,
+     *                     columnWidths, page, pageSize}
+     *
+     * The state can be passed back through the initialState prop or the
+     * restoreState method; its version is the stateVersion prop.
+     */
+    getState() {
+        return {
+            version: this.props.stateVersion,
+            ..._.pick(this.state, persistedState)
+        };
+    }
+
+    /**
+     * Drop invalid and stale entries from a serialized table state.
+     *
+     * @param {object} state - serialized state, may be undefined
+     * @param {object} props - React props, defaults to current props
+     * @returns {object} - valid parts of the state, without version
+     *
+     * State with a different version is dropped entirely. Sort orders,
+     * filters and columns that no longer exist in the table are dropped
+     * without warnings.
+     */
+    sanitizeState(state, props = this.props) {
+        if (!_.isPlainObject(state) || (state.version !== props.stateVersion)) {
+            return {};
+        }
+        const valid = _.pick(state, persistedState);
+        const isColumn = (id) => id in this.columnMap;
+        if (valid.sort !== undefined) {
+            valid.sort = _.filter(_.castArray(valid.sort), (entry) =>
+                _.isPlainObject(entry) && (entry.sort in this.sortMap));
+        }
+        if (valid.filters !== undefined) {
+            valid.filters = _.pickBy(valid.filters, (filter, filterId) =>
+                filterId in this.filterMap);
+        }
+        if (valid.hiddenColumns !== undefined) {
+            valid.hiddenColumns = _.filter(valid.hiddenColumns, isColumn);
+        }
+        if (valid.columnOrder !== undefined) {
+            valid.columnOrder = _.filter(valid.columnOrder, isColumn);
+        }
+        if (valid.columnWidths !== undefined) {
+            valid.columnWidths = _.pickBy(valid.columnWidths, (width, id) =>
+                isColumn(id) && _.isNumber(width));
+        }
+        if (!_.isNumber(valid.page)) {
+            delete valid.page;
+        }
+        if (!_.isNumber(valid.pageSize) && (valid.pageSize !== null)) {
+            delete valid.pageSize;
+        }
+        return valid;
+    }
+
+    /**
+     * Return the initial state restored from storage and the initialState
+     * prop.
+     *
+     * @param {object} props - React props
+     * @returns {object} - valid parts of the restored state
+     *
+     * Stored state takes precedence over initialState. Controlled features
+     * always follow their props, so they are never restored.
+     */
+    restoredState(props) {
+        const stored = props.stateKey ?
+            props.stateStorage.load(props.stateKey) : undefined;
+        const state = {
+            ...this.sanitizeState(props.initialState, props),
+            ...this.sanitizeState(stored, props)
+        };
+        return _.omitBy(state, (value, key) =>
+            this.isStateControlled(key, props));
+    }
+
+    /**
+     * Return true if a part of the serializable state is controlled by the
+     * parent component.
+     *
+     * @param {string} key - state key
+     * @param {object} props - React props, defaults to current props
+     * @returns {boolean} - true if the feature owning the key is controlled
+     */
+    isStateControlled(key, props = this.props) {
+        switch (key) {
+        case 'sort':
+            return this.isSortControlled(props);
+        case 'filters':
+            return this.isFilteringControlled(props);
+        case 'page':
+        case 'pageSize':
+            return this.isPagingControlled(props);
+        case 'hiddenColumns':
+            return this.isVisibilityControlled(props);
+        case 'columnOrder':
+            return this.isOrderControlled(props);
+        case 'columnWidths':
+            return this.isWidthsControlled(props);
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * Apply a serialized state to the table.
+     *
+     * @param {object} state - state returned by getState
+     *
+     * Invalid and stale entries are dropped. Changes to controlled features
+     * are only reported to the parent through their callbacks.
+     */
+    restoreState(state) {
+        const valid = this.sanitizeState(state);
+        if (valid.sort !== undefined) {
+            this.applySort(valid.sort);
+        }
+        if (valid.filters !== undefined) {
+            this.setFilters(valid.filters);
+        }
+        if ((valid.page !== undefined) || (valid.pageSize !== undefined)) {
+            this.applyPage(
+                _.defaultTo(valid.page, 0),
+                (valid.pageSize !== undefined) ?
+                    valid.pageSize : this.state.pageSize
+            );
+        }
+        if (valid.hiddenColumns !== undefined) {
+            this.setHiddenColumns(valid.hiddenColumns);
+        }
+        if (valid.columnOrder !== undefined) {
+            this.setColumnOrder(valid.columnOrder);
+        }
+        if (valid.columnWidths !== undefined) {
+            this.setColumnWidths(valid.columnWidths);
+        }
+    }
+
+    /**
+     * Report changes of the serializable state.
+     *
+     * @param {object} prevState - React state before the update
+     *
+     * Changed state is passed to onStateChange and saved to the state storage
+     * if stateKey is defined. State is compared by value, so that controlled
+     * props rebuilt on each parent render are not reported as changes.
+     */
+    reportState(prevState) {
+        const changed = _.some(persistedState, (key) =>
+            !_.isEqual(this.state[key], prevState[key]));
+        if (!changed) {
+            return;
+        }
+        const state = this.getState();
+        if (this.props.onStateChange) {
+            this.props.onStateChange(state);
+        }
+        if (this.props.stateKey) {
+            this.props.stateStorage.save(this.props.stateKey, state);
+        }
+    }
+
+    /**
+     * Process columns and column groups.
+     *
+     * @param {array} children - React child element(s)
+     * @param {object} props - React props, defaults to current props
+     *
+     * Tables with selectable rows get a selection column, and tables with an
+     * expansion toggle column get an expansion column injected before the
+     * columns defined in children. Columns defined by the columns prop, or
+     * derived from the pivot prop, take the place of children.
+     */
+    updateColumns(children, props = this.props) {
+        if (props.pivot && !this.isRemote(props)) {
+            // Pivoted columns are derived from the data by the model
+            const {columns} = this.model.update(
+                {data: props.data, pivot: props.pivot}).pivoted();
+            children = configToElements(columns);
+        } else if (props.columns) {
+            children = configToElements(props.columns);
+        }
+        var columns = React.Children.map(children, (e) =>
+            createColumn(e, this, undefined, 'Table', {Column, Group}));
+        if (props.expandColumn) {
+            columns.unshift(new ExpandColumn(props.expandColumnProps, this));
+        }
+        if (props.selectable !== 'none') {
+            columns.unshift(
+                new SelectionColumn(props.selectionColumnProps, this));
+        }
+        columns = this.reconcileColumns(columns);
+        this.model.setColumns(columns);
+        // Column, sorting and filtering registries are those of the model
+        this.columnMap = this.model.columnMap;
+        this.sortMap = this.model.sortMap;
+        this.filterMap = this.model.filterMap;
+        // Columns in the order they were defined in, before reordering
+        this.definedColumns = columns;
+        return columns;
+    }
+
+    /**
+     * Keep previous column instances for unchanged column definitions.
+     *
+     * @param {Array<Column>} columns - newly built top-level columns
+     * @returns {Array<Column>} - previous columns array if no column has
+     *                            changed, otherwise new columns with previous
+     *                            instances of unchanged columns
+     *
+     * Columns are matched by column key, i.e. by id or by position. Matching
+     * columns with the same definition take over the new props, so the table
+     * can skip work that depends on the column layout only.
+     */
+    reconcileColumns(columns) {
+        const previous = this.definedColumns || [];
+        const byKey = _.keyBy(previous, (c) => c.columnKey());
+        const reconciled = _.map(columns, (c, index) => {
+            const old = byKey[c.props.id || `${index}`];
+            if (!old || !old.sameDefinition(c)) {
+                return c;
+            }
+            old.adoptDefinition(c);
+            return old;
+        });
+        const unchanged = (reconciled.length === previous.length) &&
+            _.every(reconciled, (c, index) => c === previous[index]);
+        return unchanged ? previous : reconciled;
+    }
+
+    /**
+     * Apply a column order to columns of the table.
+     *
+     * @param {Array<Column>} columns - columns in their defined order
+     * @param {Array<string>} order - column ids in display order
+     * @returns {Array<Column>} - columns reordered by the table model
+     */
+    applyColumnOrder(columns, order) {
+        return this.model.applyColumnOrder(columns, order);
+    }
+
+    /**
+     * Render the table.
+     *
+     * @returns {Element} - <table> element
+     */
+    render() {
+        const props = {
+            ...(this.props.grid ? {
+                role: 'grid',
+                onKeyDown: (event) => this.handleGridKeyDown(event)
+            } : {}),
+            ...this.props.tableProps()
+        };
+        const indexes = this.sortedDataIndexes();
+        this.sortedIndexes = indexes;
+        const remote = this.isRemote();
+        this.frozenColumns = _.groupBy(
+            this.leafColumns(), (c) => c.frozenSide());
+        // Rows are grouped before paging, so groups span pages
+        this.groupSlots = this.isGrouped() ?
+            this.tableModel().rowGroupSlots(indexes) : null;
+        const rows = this.groupSlots ? this.groupSlots.rows : indexes;
+        const pagination = this.tableModel().paginate(
+            remote ? this.state.remoteTotal : rows.length);
+        const {start, end} = pagination;
+        const pager = this.renderPager(pagination);
+        const position = this.props.pagerPosition;
+        // Remote data only contains the rows of the current page
+        this.displayedIndexes = remote ? rows : rows.slice(start, end);
+        const footerRows = this.props.footerFiltered ?
+            _.map(indexes, (i) => this.data()[i]) :
+            _.values(this.data());
+        var table = <table ref={(e) => { this.tableElement = e; }} {...props}>
+            {this.renderColgroup()}
+            {this.renderHeader()}
+            {this.renderBody(this.displayedIndexes, start)}
+            {this.renderFooter(
+                footerRows, (position === 'tfoot') ? pager : null)}
+        </table>;
+        if (this.props.virtualized) {
+            table = this.renderScrollContainer(table);
+        }
+        const chooser = this.renderColumnChooser();
+        const announcement = this.renderSortAnnouncement();
+        if (!chooser && !announcement && (!pager || (position === 'tfoot'))) {
+            return table;
+        }
+        return <React.Fragment>
+            {chooser}
+            {(position === 'before') ? pager : null}
+            {table}
+            {(position === 'after') ? pager : null}
+            {announcement}
+        </React.Fragment>;
+    }
+
+    /**
+     * Render the live region announcing the sort order.
+     *
+     * @returns {Element} - visually hidden <div> element, or null if sort
+     *                      announcements are disabled or no column is sortable
+     *
+     * Screen readers announce the content of the live region whenever the
+     * sort order changes.
+     */
+    renderSortAnnouncement() {
+        if (!this.props.announceSort || _.isEmpty(this.sortMap)) {
+            return null;
+        }
+        const sort = _.map(this.activeSort(), ({sort, descending}) => ({
+            header: this.sortMap[sort].exportHeader(), descending
+        }));
+        return <div aria-live="polite" aria-atomic style={visuallyHidden}>
+            {this.props.renderSortAnnouncement({sort})}
+        </div>;
+    }
+
+    /**
+     * Return positioning props for a cell of a frozen column or sticky header.
+     *
+     * @param {Column} column - column or column group of the cell
+     * @param {number} headerLevel - header row index of header cells,
+     *                               undefined for other cells
+     * @returns {object} - sticky style and class names, or empty props
+     *
+     * Frozen cells get the class "frozen-left" or "frozen-right", and
+     * "frozen-left-edge" or "frozen-right-edge" at the inner edge of the
+     * frozen columns, for shadows. Sticky header cells get "sticky-header".
+     */
+    positionProps(column, headerLevel) {
+        const style = {};
+        const classNames = [];
+        const side = column.frozenSide();
+        if (side) {
+            const {offset, edge} = this.frozenPosition(column, side);
+            Object.assign(style, {
+                position: 'sticky', [side]: offset, zIndex: 1
+            });
+            classNames.push(`frozen-${side}`);
+            if (edge) {
+                classNames.push(`frozen-${side}-edge`);
+            }
+        }
+        if (this.props.stickyHeader && (headerLevel !== undefined)) {
+            Object.assign(style, {
+                position: 'sticky',
+                top: this.state.headerOffsets[headerLevel] || 0,
+                // Frozen header cells stay above other header cells
+                zIndex: side ? 3 : 2
+            });
+            classNames.push('sticky-header');
+        }
+        if (!classNames.length) {
+            return {};
+        }
+        return {style, className: classNames.join(' ')};
+    }
+
+    /**
+     * Return the offset of a frozen column.
+     *
+     * @param {Column} column - frozen column or column group
+     * @param {string} side - 'left' or 'right'
+     * @returns {object} - {offset, edge}, where offset is the total width of
+     *                     the columns frozen to the same side further out,
+     *                     and edge is true if no frozen column is further in
+     */
+    frozenPosition(column, side) {
+        const frozen = this.frozenColumns[side] || [];
+        const leaves = column.leafColumns();
+        const width = (c) => this.columnPixelWidth(c);
+        if (side === 'left') {
+            const first = _.indexOf(frozen, _.first(leaves));
+            return {
+                offset: _.sumBy(_.take(frozen, first), width),
+                edge: _.last(leaves) === _.last(frozen)
+            };
+        }
+        const last = _.indexOf(frozen, _.last(leaves));
+        return {
+            offset: _.sumBy(frozen.slice(last + 1), width),
+            edge: _.first(leaves) === _.first(frozen)
+        };
+    }
+
+    /**
+     * Return the rendered width of a column.
+     *
+     * @param {Column} column - leaf column
+     * @returns {number} - measured width of the header cell, or the numeric
+     *                     width of the column before it has been measured
+     */
+    columnPixelWidth(column) {
+        const measured = this.state.measuredWidths[column.columnKey()];
+        if (measured !== undefined) {
+            return measured;
+        }
+        const width = column.width();
+        return (typeof width === 'number') ? width : 0;
+    }
+
+    /**
+     * Measure header row heights and column widths for sticky positioning.
+     *
+     * Header rows are offset by the heights of the header rows above them,
+     * and frozen columns by the widths of the frozen columns further out, so
+     * the table layout decides the actual offsets.
+     */
+    measureSticky() {
+        const frozen = _.some(this.leafColumns(), (c) => c.frozenSide());
+        if (!this.tableElement || (!this.props.stickyHeader && !frozen)) {
+            return;
+        }
+        const headerOffsets = [0];
+        const thead = this.tableElement.tHead;
+        _.each(thead ? thead.rows : [], (tr) =>
+            headerOffsets.push(_.last(headerOffsets) + tr.offsetHeight));
+        const measuredWidths = {};
+        const document = this.tableElement.ownerDocument;
+        _.each(this.leafColumns(), (c) => {
+            const th = document.getElementById(c.headerId);
+            if (th) {
+                measuredWidths[c.columnKey()] = th.offsetWidth;
+            }
+        });
+        if (!_.isEqual(headerOffsets, this.state.headerOffsets) ||
+            !_.isEqual(measuredWidths, this.state.measuredWidths)) {
+            this.setState({headerOffsets, measuredWidths});
+        }
+    }
+
+    /**
+     * Return accessibility props for a column header.
+     *
+     * @param {Column} column - column or column group
+     * @returns {object} - id, scope, and for sortable columns aria-sort,
+     *                     tabindex and a keyboard handler
+     *
+     * Enter or Space on a sortable header sorts like a click, including
+     * Shift to add the column to the sort stack. Only the primary sort order
+     * is reported through aria-sort. In grid mode, tabindex is left to grid
+     * navigation.
+     */
+    headerA11yProps(column) {
+        const props = {
+            id: column.headerId,
+            scope: (column instanceof Group) ? 'colgroup' : 'col'
+        };
+        const sortId = column.props.sortId;
+        if (!sortId) {
+            return props;
+        }
+        const primary = this.activeSort()[0];
+        props['aria-sort'] = (primary && column.isSorted(primary.sort)) ?
+            (primary.descending ? 'descending' : 'ascending') : 'none';
+        if (!this.props.grid) {
+            props.tabIndex = 0;
+        }
+        props.onKeyDown = (event) => {
+            if ((event.target === event.currentTarget) &&
+                ((event.key === 'Enter') || (event.key === ' '))) {
+                event.preventDefault();
+                this.handleSortClick(sortId, event);
+            }
+        };
+        return props;
+    }
+
+    /**
+     * Render the column chooser.
+     *
+     * @returns {Node} - column chooser content, or null if it is disabled
+     *
+     * The column chooser lists all columns and column groups with an id, in
+     * table order, except for columns statically hidden by their hidden prop.
+     */
+    renderColumnChooser() {
+        if (!this.props.columnChooser) {
+            return null;
+        }
+        const columns = _.map(
+            _.reject(this.columnMap, (c) => c.props.hidden),
+            (c) => ({
+                id: c.props.id,
+                header: c.props.header,
+                hidden: this.isColumnHidden(c.props.id),
+                level: c.level()
+            })
+        );
+        return this.props.renderColumnChooser({
+            columns,
+            hiddenColumns: this.state.hiddenColumns,
+            toggleColumn: (id) => this.toggleColumn(id)
+        });
+    }
+
+    /**
+     * Render the column widths.
+     *
+     * @returns {Element} - <colgroup> element, or null if no column has a width
+     *                      and columns are not resizable
+     *
+     * The column group contains a <col> for each visible leaf column.
+     */
+    renderColgroup() {
+        const columns = this.leafColumns();
+        const sized = _.some(columns, (c) =>
+            (c.width() !== undefined) || (c.props.minWidth !== undefined) ||
+            (c.props.maxWidth !== undefined));
+        if (!sized && !this.props.resizable) {
+            return null;
+        }
+        return <colgroup>
+            {_.map(columns, (c, index) => {
+                const {minWidth, maxWidth} = c.props;
+                const style = {width: c.width(), minWidth, maxWidth};
+                return <col key={index} style={_.omitBy(style, _.isNil)} />;
+            })}
+        </colgroup>;
+    }
+
+    /**
+     * Render the table header.
+     *
+     * @returns {Element} - <thead> element
+     */
+    renderHeader() {
+        // Header cells are laid out by the table model
+        const levels = _.map(this.tableModel().headerRows(), (cells) =>
+            _.map(cells, (cell) => {
+                const {group, colIndex, groupIndex} = cell;
+                const groupProps = group && group.props.subHeaderProps({
+                    colIndex, groupIndex,
+                    ..._.pick(cell, ['sort', 'descending', 'priority'])
+                });
+                return cell.column.renderHeader(cell, groupProps);
+            })
+        );
+        const theadProps = this.props.theadProps();
+        return <thead {...theadProps}>
+            {this.renderMainHeader(levels[0])}
+            {_.map(levels.slice(1), (cells, i) =>
+                this.renderSubHeader(cells, i + 1))}
+            {this.renderFilterRow()}
+        </thead>;
+    }
+
+    /**
+     * Render the main header row.
+     *
+     * @param {Array} cells - <th> elements of top-level columns and groups
+     * @returns {Element} - <tr> element
+     */
+    renderMainHeader(cells) {
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.headerTrProps({level: 0})
+        };
+        return <tr key={0} {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Render a sub-header row.
+     *
+     * @param {Array} cells - <th> elements of columns and groups nested at
+     *                        this level
+     * @param {number} level - nesting level of the header row, starting at 1
+     * @returns {Element} - <tr> element
+     */
+    renderSubHeader(cells, level) {
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.subHeaderTrProps({level})
+        };
+        return <tr key={level} {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Render the filter row.
+     *
+     * @returns {Element} - <tr> element, or null if filter row is disabled
+     *
+     * The filter row contains a cell for each visible leaf column, including
+     * child columns of column groups.
+     */
+    renderFilterRow() {
+        if (!this.props.filterRow) {
+            return null;
+        }
+        const filters = this.state.filters || {};
+        const cells = _.flatMap(
+            this.state.columns,
+            (c, colIndex) => c.renderFilter(colIndex, filters)
+        );
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.filterTrProps()
+        };
+        return <tr {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Return the number of header rows.
+     *
+     * @returns {number} - depth of the most deeply nested column
+     */
+    headerDepth() {
+        return this.tableModel().headerDepth();
+    }
+
+    /**
+     * Return the visible leaf columns of the table.
+     *
+     * @returns {Array<Column>} - visible columns, with column groups replaced
+     *                            by their visible child columns
+     */
+    leafColumns() {
+        return this.tableModel().leafColumns();
+    }
+
+    /**
+     * Render the table body.
+     *
+     * @param {Array} indexes - data set indexes of the rows to render
+     * @param {number} offset - display position of the first row
+     * @returns {Element} - <tbody> element
+     *
+     * In virtualized mode only the rows visible in the scroll container are
+     * rendered, with spacer rows above and below them standing in for the
+     * height of the rows that are not rendered. Detail rows of expanded rows
+     * are only accounted for in the spacer heights if measureRows is enabled.
+     * Rows are grouped by the groupBy columns, except in virtualized mode.
+     * Cells are merged across the rendered rows only.
+     */
+    renderBody(indexes, offset = 0) {
+        const props = this.props.tbodyProps();
+        const placeholder = this.renderPlaceholder();
+        if (placeholder) {
+            return <tbody {...props}>{placeholder}</tbody>;
+        }
+        this.cellSpans = new Map();
+        if (!this.props.virtualized) {
+            const grouped = !!this.groupSlots;
+            if (!grouped) {
+                this.tableModel().mergeCells(indexes, offset, this.cellSpans);
+            }
+            const rows = grouped ?
+                this.renderGroupedRows(indexes, offset) :
+                _.flatMap(indexes, (rowIndex, i) =>
+                    this.renderRowWithDetail(rowIndex, offset + i));
+            return <tbody {...props}>{rows}</tbody>;
+        }
+        const {first, last, top, bottom} = this.virtualWindow(indexes);
+        this.tableModel().mergeCells(
+            indexes.slice(first, last), offset + first, this.cellSpans);
+        this.rowElements = {};
+        const rows = _.flatMap(indexes.slice(first, last), (rowIndex, i) => {
+            const trs = this.renderRowWithDetail(rowIndex, offset + first + i);
+            if (!this.props.measureRows) {
+                return trs;
+            }
+            // Row height includes the height of its detail row
+            const elements = this.rowElements[rowIndex] = [];
+            return _.map(trs, (tr, i) => React.cloneElement(tr, {
+                ref: (e) => {
+                    if (e) {
+                        elements[i] = e;
+                    }
+                }
+            }));
+        });
+        return <tbody ref={(e) => { this.tbody = e; }} {...props}>
+            {this.renderSpacer('top', top)}
+            {rows}
+            {this.renderSpacer('bottom', bottom)}
+        </tbody>;
+    }
+
+    /**
+     * Return true if the data rows are grouped by the groupBy columns.
+     *
+     * @returns {boolean} - true if groupBy is defined, except in virtualized
+     *                      mode
+     */
+    isGrouped() {
+        return !this.props.virtualized && !_.isEmpty(this.props.groupBy);
+    }
+
+    /**
+     * Render data rows grouped by the groupBy columns.
+     *
+     * @param {Array} indexes - data set indexes of the rows to render
+     * @param {number} offset - display position of the first row
+     * @returns {Array<Element>} - array of <tr> elements
+     *
+     * Each group is rendered as a group header row, followed by the rows or
+     * nested groups within it and a subtotal row if any of the columns have
+     * an aggregate function. Rows within a group keep their sorted order.
+     *
+     * Groups are paged by their visible rows: the header of a group is
+     * repeated on each page with rows of the group, and its subtotal is
+     * rendered on the page of its last row. Collapsed groups are rendered on
+     * the page of the next visible row, or on the last page.
+     */
+    renderGroupedRows(indexes, offset) {
+        const {slots, rows} = this.groupSlots;
+        // Remote data only contains the rows of the current page
+        const start = this.isRemote() ? 0 : offset;
+        const end = start + indexes.length;
+        const atSlot = ({first}) => (first >= start) &&
+            ((first < end) || ((first === end) && (end === rows.length)));
+        const onPage = (slot) => {
+            const {type, first, last} = slot;
+            if (first === last) {
+                return atSlot(slot);
+            }
+            if (type === 'subtotal') {
+                return (last > start) && (last <= end);
+            }
+            return (first < end) && (last > start);
+        };
+        const result = [];
+        var run = [];
+        const renderRun = () => {
+            if (!run.length) {
+                return;
+            }
+            // Cells are only merged within a group
+            const position = offset + run[0].first - start;
+            this.tableModel().mergeCells(
+                _.map(run, 'rowIndex'), position, this.cellSpans);
+            _.each(run, ({rowIndex}, i) => result.push(
+                ...this.renderRowWithDetail(rowIndex, position + i)));
+            run = [];
+        };
+        _.each(_.filter(slots, onPage), (slot) => {
+            if (slot.type === 'row') {
+                run.push(slot);
+                return;
+            }
+            renderRun();
+            const {type, group, column, level, key} = slot;
+            result.push((type === 'header') ?
+                this.renderGroupHeader(group, column, level, key) :
+                this.renderSubtotal(group, level, key));
+        });
+        renderRun();
+        return _.compact(result);
+    }
+
+    /**
+     * Render the header row of a row group.
+     *
+     * @param {object} group - row group from groupRows() of the table model
+     * @param {Column} column - grouping column
+     * @param {number} level - nesting level of the group
+     * @param {string} key - unique key of the group
+     * @returns {Element} - <tr> element
+     *
+     * The group header contains a single cell spanning all visible columns.
+     */
+    renderGroupHeader(group, column, level, key) {
+        const {value, rows} = group;
+        const count = rows.length;
+        const collapsed = !!this.state.collapsedGroups[key];
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.groupTrProps({value, rows, level, collapsed})
+        };
+        const cell = this.props.renderGroupHeader({
+            value, count, rows, level, column, collapsed,
+            toggle: () => this.toggleGroup(key)
+        });
+        return <tr key={`group:${key}`} {...props}>
+            <td colSpan={this.leafColumns().length}>{cell}</td>
+        </tr>;
+    }
+
+    /**
+     * Render the subtotal row of a row group.
+     *
+     * @param {object} group - row group from groupRows() of the table model
+     * @param {number} level - nesting level of the group
+     * @param {string} key - unique key of the group
+     * @returns {Element} - <tr> element, or null if no column aggregates
+     */
+    renderSubtotal(group, level, key) {
+        if (!_.some(this.leafColumns(), (c) => c.props.aggregate)) {
+            return null;
+        }
+        const {value, rows} = group;
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.subtotalTrProps({value, rows, level})
+        };
+        const cells = _.map(
+            this.state.columns,
+            (c, colIndex) => c.renderAggregate(rows, colIndex)
+        );
+        return <tr key={`subtotal:${key}`} {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Render a spacer row for virtualized mode.
+     *
+     * @param {string} position - "top" or "bottom"
+     * @param {number} height - height of the rows the spacer stands in for
+     * @returns {Element} - <tr> element, or null if height is zero
+     *
+     * The spacer contains a single cell spanning all visible columns.
+     */
+    renderSpacer(position, height) {
+        if (!height) {
+            return null;
+        }
+        const props = this.props.spacerTrProps({position, height});
+        const style = {height, padding: 0, border: 'none'};
+        return <tr key={`spacer:${position}`} aria-hidden {...props}>
+            <td colSpan={this.leafColumns().length} style={style} />
+        </tr>;
+    }
+
+    /**
+     * Render a loading or error row in place of remote data rows.
+     *
+     * @returns {Element} - <tr> element, or null if remote data is loaded or
+     *                      the table is not in remote mode
+     *
+     * The placeholder contains a single cell spanning all visible columns.
+     */
+    renderPlaceholder() {
+        if (!this.isRemote()) {
+            return null;
+        }
+        const {loading, loadError} = this.state;
+        var state, content;
+        if (loadError !== undefined) {
+            state = 'error';
+            content = this.props.renderError({
+                error: loadError, reload: () => this.reload()
+            });
+        } else if (loading) {
+            state = 'loading';
+            content = this.props.renderLoading({});
+        } else {
+            return null;
+        }
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.placeholderTrProps({state})
+        };
+        return <tr key={`placeholder:${state}`} {...props}>
+            <td colSpan={this.leafColumns().length}>{content}</td>
+        </tr>;
+    }
+
+    /**
+     * Render the scroll container for virtualized mode.
+     *
+     * @param {Element} table - <table> element
+     * @returns {Element} - <div> element wrapping the table
+     */
+    renderScrollContainer(table) {
+        const props = this.props.containerProps();
+        const style = {
+            overflowY: 'auto',
+            height: this.props.height,
+            ...props.style
+        };
+        const onScroll = (event) => {
+            this.setState({scrollTop: event.currentTarget.scrollTop});
+            if (props.onScroll) {
+                props.onScroll(event);
+            }
+        };
+        return <div {...props} ref={(e) => { this.container = e; }}
+            style={style} onScroll={onScroll}>
+            {table}
+        </div>;
+    }
+
+    /**
+     * Render a data row.
+     *
+     * @param {any} rowIndex - index of the row in the data set
+     * @param {number} displayIndex - position of the row in display order
+     * @returns {Element} - <Row> element, or <tr> element if pureRows is off
+     *
+     * For array datasets rowIndex will be array index, for mapping data sets
+     * it will be the mapping key. The display index is the position of the row
+     * among all filtered and sorted rows, across all pages.
+     */
+    renderRow(rowIndex, displayIndex) {
+        if (!this.props.pureRows) {
+            return this.renderRowElement(rowIndex, displayIndex);
+        }
+        const row = this.data()[rowIndex];
+        const rowKey = this.rowKey(row, rowIndex);
+        const editing = this.state.editing;
+        return <Row key={rowKey} table={this} row={row} rowIndex={rowIndex}
+            displayIndex={displayIndex} selected={this.isRowSelected(row)}
+            expanded={this.isRowExpanded(row)}
+            editing={(editing && (editing.rowKey === rowKey)) ? editing : null}
+            rowSpans={_.map([...(this.cellSpans || new Map()).values()],
+                (spans) => spans.get(displayIndex)).join(',')}
+            layout={this.rowLayout()} />;
+    }
+
+    /**
+     * Return a token that changes whenever all data rows need re-rendering.
+     *
+     * @returns {object} - layout token
+     *
+     * The token changes when the columns, their widths or any table prop
+     * that affects all rows change. Props for the data set, the sorting,
+     * filtering, pagination, selection and expansion of rows and function
+     * props are not considered. Function props are typically recreated by
+     * every render of the parent component, so rows are not re-rendered for
+     * them; turn pureRows off if row rendering depends on values captured
+     * by function props.
+     */
+    rowLayout() {
+        const layout = this.layout;
+        if (layout && (layout.props === this.props) &&
+            (layout.state === this.state)) {
+            return layout;
+        }
+        const props = _.omitBy(_.omit(this.props, rowStateProps),
+            (value) => typeof value === 'function');
+        const deps = [
+            this.state.columns, this.state.hiddenColumns,
+            this.state.columnWidths, this.state.measuredWidths,
+            ..._.flatten(_.sortBy(_.toPairs(props), 0))
+        ];
+        if (!layout || (layout.deps.length !== deps.length) ||
+            _.some(deps, (dep, i) => dep !== layout.deps[i])) {
+            this.layout = {deps};
+        }
+        // Skip comparing dependencies again until the next update
+        Object.assign(this.layout, {props: this.props, state: this.state});
+        return this.layout;
+    }
+
+    /**
+     * Render the <tr> element of a data row.
+     *
+     * @param {any} rowIndex - index of the row in the data set
+     * @param {number} displayIndex - position of the row in display order
+     * @returns {Element} - <tr> element
+     */
+    renderRowElement(rowIndex, displayIndex) {
+        const row = this.data()[rowIndex];
+        const rowKey = this.rowKey(row, rowIndex);
+        const selected = this.isRowSelected(row);
+        const props = {
+            ...this.props.trProps({row, rowIndex, rowKey, displayIndex}),
+            ...this.props.dataTrProps({
+                row, rowIndex, rowKey, displayIndex, selected
+            })
+        };
+        const cells = _.map(
+            this.state.columns,
+            (c, colIndex) => c.renderCell(row, rowIndex, displayIndex, colIndex)
+        );
+        return <tr key={rowKey} {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Return the row span of a data cell.
+     *
+     * @param {Column} column - column of the cell
+     * @param {number} displayIndex - position of the row in display order
+     * @returns {number} - number of rows spanned by the cell, 0 if the cell
+     *                     is covered by a merged cell of a previous row
+     */
+    cellRowSpan(column, displayIndex) {
+        const spans = this.cellSpans && this.cellSpans.get(column);
+        const span = spans && spans.get(displayIndex);
+        return (span === undefined) ? 1 : span;
+    }
+
+    /**
+     * Render a data row followed by its detail row if it is expanded.
+     *
+     * @param {any} rowIndex - index of the row in the data set
+     * @param {number} displayIndex - position of the row in display order
+     * @returns {Array<Element>} - array of <tr> elements
+     */
+    renderRowWithDetail(rowIndex, displayIndex) {
+        const detail = this.renderDetailRow(rowIndex, displayIndex);
+        const tr = this.renderRow(rowIndex, displayIndex);
+        return detail ? [tr, detail] : [tr];
+    }
+
+    /**
+     * Render the detail row of an expanded data row.
+     *
+     * @param {any} rowIndex - index of the row in the data set
+     * @param {number} displayIndex - position of the row in display order
+     * @returns {Element} - <tr> element, or null if the row is not expanded
+     *
+     * The detail row contains a single cell spanning all visible columns.
+     * Content loaded by loadExpanded is passed to renderExpanded as content,
+     * along with loading and error flags.
+     */
+    renderDetailRow(rowIndex, displayIndex) {
+        const row = this.data()[rowIndex];
+        if (!this.props.renderExpanded || !this.isRowExpanded(row)) {
+            return null;
+        }
+        const rowKey = this.rowKey(row, rowIndex);
+        const props = {
+            ...this.props.trProps({row, rowIndex, rowKey, displayIndex}),
+            ...this.props.expandedTrProps({row, rowIndex, rowKey, displayIndex})
+        };
+        const {content, loading, error} =
+            this.state.expandedContent.get(this.rowId(row)) || {};
+        const cell = this.props.renderExpanded({
+            row, rowIndex, rowKey, content, error,
+            loading: !!this.props.loadExpanded && (loading !== false)
+        });
+        return <tr key={`${rowKey}:expanded`} {...props}>
+            <td colSpan={this.leafColumns().length}>{cell}</td>
+        </tr>;
+    }
+
+    /**
+     * Render the expansion toggle of a data row.
+     *
+     * @param {object} row - data row
+     * @param {any} rowIndex - index of the row in the data set
+     * @returns {Element} - <button> element
+     */
+    renderExpandToggle(row, rowIndex) {
+        const expanded = this.isRowExpanded(row);
+        return <button type="button" aria-expanded={expanded}
+            onClick={() => this.toggleRowExpanded(rowIndex)}>
+            {expanded ? '▾' : '▸'}
+        </button>;
+    }
+
+    /**
+     * Render the resize handle of a column header.
+     *
+     * @param {Column} column - column to render the resize handle for
+     * @returns {Element} - <span> element, or null if the column can not be
+     *                      resized
+     *
+     * Only columns with an id can be resized, and only if the table is
+     * resizable.
+     */
+    renderResizeHandle(column) {
+        if (!this.props.resizable || !column.props.id ||
+            !column.props.resizable) {
+            return null;
+        }
+        const style = {
+            position: 'absolute', top: 0, right: 0, bottom: 0, width: 5,
+            cursor: 'col-resize'
+        };
+        return <span style={style} draggable={false}
+            onMouseDown={(event) => this.startResize(column, event)}
+            onClick={(event) => event.stopPropagation()} />;
+    }
+
+    /**
+     * Return drag and drop props for a column header.
+     *
+     * @param {Column} column - column or column group
+     * @returns {object} - drag and drop event handlers, or empty props if the
+     *                     column can not be reordered
+     *
+     * Only columns with an id can be reordered, and only if the table is
+     * reorderable. Columns can only be dropped on their siblings.
+     */
+    reorderProps(column) {
+        if (!this.props.reorderable || !column.props.id) {
+            return {};
+        }
+        return {
+            draggable: true,
+            onDragStart: (event) => {
+                this.draggedColumn = column;
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', column.props.id);
+            },
+            onDragOver: (event) => {
+                const dragged = this.draggedColumn;
+                if (dragged && (dragged !== column) &&
+                    (dragged.group === column.group)) {
+                    event.preventDefault();
+                }
+            },
+            onDrop: (event) => {
+                event.preventDefault();
+                if (this.draggedColumn) {
+                    this.moveColumn(this.draggedColumn.props.id, column.props.id);
+                }
+                this.draggedColumn = null;
+            },
+            onDragEnd: () => {
+                this.draggedColumn = null;
+            }
+        };
+    }
+
+    /**
+     * Return props for a data cell that can be edited.
+     *
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the row in the data set
+     * @param {Column} column - column of the cell
+     * @returns {object} - tabindex and event handlers of the cell
+     *
+     * Double-click or Enter starts editing the cell. While editing, Tab and
+     * Shift-Tab commit the change and move to the next or previous editable
+     * cell.
+     */
+    editProps(row, rowIndex, column) {
+        const props = {
+            onDoubleClick: () => this.startEdit(row, rowIndex, column),
+            onKeyDown: (event) => {
+                if (!this.isEditing(row, rowIndex, column)) {
+                    if ((event.key === 'Enter') &&
+                        (event.target === event.currentTarget)) {
+                        event.preventDefault();
+                        this.startEdit(row, rowIndex, column);
+                    }
+                } else if (event.key === 'Tab') {
+                    event.preventDefault();
+                    this.moveEdit(event.shiftKey);
+                }
+            }
+        };
+        if (!this.props.grid) {
+            props.tabIndex = 0;
+        }
+        return props;
+    }
+
+    /**
+     * Render the editor of the cell being edited.
+     *
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the row in the data set
+     * @param {Column} column - column of the cell
+     * @returns {Node} - editor rendered by the renderEditor prop of the
+     *                   column, followed by the validation error if any
+     */
+    renderEditor(row, rowIndex, column) {
+        const {value, error} = this.state.editing;
+        const editor = column.props.renderEditor({
+            value, row, rowIndex, rowKey: this.rowKey(row, rowIndex), column,
+            error,
+            onChange: (value) => this.setState(({editing}) => ({
+                editing: {...editing, value, error: undefined}
+            })),
+            onCommit: () =>
+                this.isEditing(row, rowIndex, column) && this.commitEdit(),
+            onCancel: () =>
+                this.isEditing(row, rowIndex, column) && this.cancelEdit()
+        });
+        if (_.isNil(error)) {
+            return editor;
+        }
+        return <React.Fragment>
+            {editor}
+            <div role="alert">{error}</div>
+        </React.Fragment>;
+    }
+
+    /**
+     * Render the selection checkbox of a data row.
+     *
+     * @param {object} row - data row
+     * @param {any} rowIndex - index of the row in the data set
+     * @returns {Element} - <input> element
+     *
+     * Shift-click selects all rows between the previously clicked row and
+     * this row, in the current sorted order.
+     */
+    renderRowSelection(row, rowIndex) {
+        const onChange = (event) => this.toggleRowSelection(
+            rowIndex, !!(event.nativeEvent && event.nativeEvent.shiftKey));
+        return <input type="checkbox" checked={this.isRowSelected(row)}
+            onChange={onChange} />;
+    }
+
+    /**
+     * Render the "select all" checkbox of the selection column.
+     *
+     * @returns {Element} - <input> element, or null in single selection mode
+     *
+     * The checkbox is checked if all rows passing the active filters are
+     * selected, and indeterminate if only some of them are.
+     */
+    renderSelectAll() {
+        if (this.props.selectable !== 'multi') {
+            return null;
+        }
+        const rows = _.map(this.sortedIndexes, (i) => this.data()[i]);
+        const count = _.filter(rows, (row) => this.isRowSelected(row)).length;
+        const checked = !!count && (count === rows.length);
+        const indeterminate = !!count && !checked;
+        const ref = (e) => {
+            if (e) {
+                e.indeterminate = indeterminate;
+            }
+        };
+        return <input type="checkbox" ref={ref} checked={checked}
+            onChange={() => this.toggleAllSelection()} />;
+    }
+
+    /**
+     * Render the pager.
+     *
+     * @param {object} pagination - current page state from paginate() of the
+     *                              table model
+     * @returns {Node} - pager content, or null if paging is disabled
+     */
+    renderPager({page, pageCount, total}) {
+        if (!this.state.pageSize) {
+            return null;
+        }
+        return this.props.renderPager({
+            page,
+            pageCount,
+            total,
+            pageSize: this.state.pageSize,
+            setPage: (page) => this.setPage(page),
+            setPageSize: (pageSize) => this.setPageSize(pageSize)
+        });
+    }
+
+    /**
+     * Render the table footer.
+     *
+     * @param {Array<object>} rows - data rows summarized by column footers
+     * @param {Node} pager - rendered pager content, if it belongs in the footer
+     * @returns {Element} - <tfoot> element, or null if there are no column
+     *                      footers and no pager
+     */
+    renderFooter(rows, pager) {
+        const hasFooter = _.some(this.state.columns, (c) => c.hasFooter());
+        if (!pager && !hasFooter) {
+            return null;
+        }
+        const levels = _.times(this.footerDepth(), () => []);
+        if (hasFooter) {
+            _.each(this.state.columns, (c, colIndex) =>
+                c.renderFooterRows(levels, colIndex, rows));
+        }
+        const tfootProps = this.props.tfootProps();
+        return <tfoot {...tfootProps}>
+            {hasFooter ? this.renderMainFooter(levels[0]) : null}
+            {hasFooter ? _.map(levels.slice(1), (cells, i) =>
+                this.renderSubFooter(cells, i + 1)) : null}
+            {this.renderPagerRow(pager)}
+        </tfoot>;
+    }
+
+    /**
+     * Render the main footer row.
+     *
+     * @param {Array} cells - <td> elements of leaf columns
+     * @returns {Element} - <tr> element
+     *
+     * Mirroring the header, the main footer row contains the footers of all
+     * leaf columns, including child columns of column groups.
+     */
+    renderMainFooter(cells) {
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.footerTrProps({level: 0})
+        };
+        return <tr key={0} {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Render a sub-footer row.
+     *
+     * @param {Array} cells - <td> elements of column groups
+     * @param {number} level - index of the footer row, starting at 1
+     * @returns {Element} - <tr> element
+     *
+     * Sub-footer rows contain the footers of column groups, spanning their
+     * child columns, with the most deeply nested groups in the first
+     * sub-footer row.
+     */
+    renderSubFooter(cells, level) {
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.subFooterTrProps({level})
+        };
+        return <tr key={level} {...props}>{cells}</tr>;
+    }
+
+    /**
+     * Return the number of footer rows, not including the pager row.
+     *
+     * @returns {number} - same as the number of header rows if any column
+     *                     group has a footer, otherwise 1
+     */
+    footerDepth() {
+        return _.some(this.state.columns, (c) => c.hasGroupFooter()) ?
+            this.headerDepth() : 1;
+    }
+
+    /**
+     * Render the pager row of the table footer.
+     *
+     * @param {Node} pager - rendered pager content
+     * @returns {Element} - <tr> element, or null if there is no pager
+     *
+     * The pager is rendered in a single cell spanning all visible columns.
+     */
+    renderPagerRow(pager) {
+        if (!pager) {
+            return null;
+        }
+        const props = {
+            ...this.props.trProps(),
+            ...this.props.pagerTrProps()
+        };
+        return <tr key="pager" {...props}>
+            <td colSpan={this.leafColumns().length}>{pager}</td>
+        </tr>;
+    }
+
+    /**
+     * Renders sorting indicator on a header cell.
+     *
+     * @param {string} sortId - sort order id of the column
+     * @param {Node} cell - React node content of the header cell
+     * @returns {Node} - Header with sorting indicator added if needed
+     *
+     * Sorting indicator will only be rendered for sortIds present in the
+     * current sort stack of the table.
+     */
+    renderSorting(sortId, cell) {
+        const sort = this.activeSort();
+        const index = _.findIndex(
+            sort, (entry) => sortId && (entry.sort === sortId));
+        if (index >= 0) {
+            cell = this.props.renderSorting({
+                cell,
+                descending: sort[index].descending,
+                priority: index + 1,
+                sortCount: sort.length
+            });
+        }
+        return cell;
+    }
+
+    /**
+     * Return the entries of the sort stack that are in effect.
+     *
+     * @returns {Array<object>} - active sort stack of the table model
+     */
+    activeSort() {
+        return this.tableModel().activeSort();
+    }
+
+    /**
+     * Return array of data set indexes that pass the active filters.
+     *
+     * @returns {Array} - filtered indexes from the table model
+     */
+    filteredDataIndexes() {
+        return this.tableModel().filteredDataIndexes();
+    }
+
+    /**
+     * Return array of data set indexes sorted according to the active order.
+     *
+     * @returns {Array} - sorted indexes from the table model
+     */
+    sortedDataIndexes() {
+        return this.tableModel().sortedDataIndexes();
+    }
+
+    /**
+     * Handle a click on a sortable header cell.
+     *
+     * @param {string} sortId - sort order id of the clicked column
+     * @param {Event} event - click event
+     *
+     * Shift-click adds the column to the sort stack (or toggles its direction
+     * if already present), a plain click sorts by the column alone.
+     */
+    handleSortClick(sortId, event) {
+        if (event && event.shiftKey) {
+            this.addSortBy(sortId);
+        } else {
+            this.sortBy(sortId);
+        }
+    }
+
+    /**
+     * Change the sorting order of the table.
+     *
+     * @param {string|Array<object>} sort - sort order id or sort stack to apply
+     * @param {boolean} descending - true if sorting should be descending
+     *
+     * A single sort order id replaces the whole sort stack. If descending is
+     * undefined and sort matches the current primary order, the direction will
+     * be flipped. A sort stack is applied as-is and descending is ignored.
+     */
+    sortBy(sort, descending) {
+        if (!(sort instanceof Array) && (descending === undefined)) {
+            const primary = this.state.sort[0];
+            descending = (primary && (primary.sort === sort)) ?
+                !primary.descending : false;
+        }
+        this.applySort(normalizeSort(sort, descending));
+    }
+
+    /**
+     * Add a sort order to the end of the sort stack.
+     *
+     * @param {string} sort - sort order id to add
+     * @param {boolean} descending - true if sorting should be descending
+     *
+     * If sort is already present in the stack, it keeps its priority and only
+     * its direction is changed; if descending is undefined, the direction will
+     * be flipped.
+     */
+    addSortBy(sort, descending) {
+        const stack = this.state.sort;
+        const index = _.findIndex(stack, (entry) => entry.sort === sort);
+        if (index < 0) {
+            this.applySort([...stack, {sort, descending: !!descending}]);
+        } else {
+            if (descending === undefined) {
+                descending = !stack[index].descending;
+            }
+            this.applySort(_.map(stack, (entry, i) =>
+                (i === index) ? {sort, descending: !!descending} : entry));
+        }
+    }
+
+    /**
+     * Apply a new sort stack to the table.
+     *
+     * @param {Array<object>} sort - sort stack to apply
+     *
+     * In controlled mode the change is only reported to the parent through
+     * onSortChange; the table will re-sort once the parent updates the props.
+     */
+    applySort(sort) {
+        this.validateProps(sort);
+        if (this.isSortControlled()) {
+            this.props.onSortChange(denormalizeSort(sort));
+        } else {
+            this.setState({sort});
+        }
+    }
+
+    /**
+     * Export table data.
+     *
+     * @param {object} options - format, visibleOnly and sortedOnly, as
+     *                           accepted by TableModel.exportData()
+     * @returns {string} - exported data
+     *
+     * Rows on all pages are exported.
+     */
+    exportData(options) {
+        return this.tableModel().exportData(options);
+    }
+
+    /**
+     * Copy the selected rows to the clipboard.
+     *
+     * @param {string} format - 'csv', 'tsv' or 'json', defaults to 'tsv'
+     * @param {boolean} visibleOnly - true to skip hidden columns
+     * @returns {Promise} - promise resolved once the data is copied, or
+     *                      rejected if the clipboard is not available
+     *
+     * Selected rows are copied in display order, including rows on other
+     * pages. Tab separated values paste into spreadsheets as cells.
+     */
+    copySelection({format = 'tsv', visibleOnly = true} = {}) {
+        if ((typeof navigator === 'undefined') || !navigator.clipboard) {
+            return Promise.reject(new Error('Clipboard is not available'));
+        }
+        const indexes = _.filter(this.sortedDataIndexes(), (rowIndex) =>
+            this.isRowSelected(this.data()[rowIndex]));
+        return navigator.clipboard.writeText(
+            this.tableModel().exportRows(indexes, format, visibleOnly));
+    }
+
+    /**
+     * Make sure exactly one cell is reachable with Tab in grid mode.
+     *
+     * Grid cells use a roving tabindex: all cells get tabindex -1, except for
+     * the last focused cell, or the first cell if that is no longer rendered.
+     */
+    updateGridFocus() {
+        if (!this.props.grid || !this.tableElement) {
+            return;
+        }
+        const cells = _.flatMap(this.tableElement.rows, (tr) => [...tr.cells]);
+        _.each(cells, (cell) => {
+            if (!cell.hasAttribute('tabindex')) {
+                cell.tabIndex = -1;
+            }
+        });
+        if (cells.length && !_.some(cells, (cell) => cell.tabIndex === 0)) {
+            cells[0].tabIndex = 0;
+        }
+    }
+
+    /**
+     * Handle arrow key navigation between cells in grid mode.
+     *
+     * @param {Event} event - keydown event within the table
+     *
+     * Arrow keys move to the adjacent cell, Home and End to the first and last
+     * cell of the row, and Ctrl+Home and Ctrl+End to the first and last cell
+     * of the table. Moving up and down follows column spans. Keys pressed in
+     * controls within cells are left alone.
+     */
+    handleGridKeyDown(event) {
+        const cell = event.target;
+        const rows = this.tableElement.rows;
+        if (!_.includes(['TH', 'TD'], cell.tagName) ||
+            (rows[cell.parentNode.rowIndex] !== cell.parentNode)) {
+            return;
+        }
+        const row = cell.parentNode;
+        // Column position of a cell, counting column spans of the cells
+        // before it
+        const position = (c) => _.sumBy(
+            _.take(c.parentNode.cells, c.cellIndex), (prev) => prev.colSpan);
+        const cellAt = (tr, x) => _.find(tr.cells, (c) =>
+            position(c) + c.colSpan > x) || _.last(tr.cells);
+        var target;
+        switch (event.key) {
+        case 'ArrowLeft':
+            target = row.cells[cell.cellIndex - 1];
+            break;
+        case 'ArrowRight':
+            target = row.cells[cell.cellIndex + 1];
+            break;
+        case 'ArrowUp':
+            target = rows[row.rowIndex - 1] &&
+                cellAt(rows[row.rowIndex - 1], position(cell));
+            break;
+        case 'ArrowDown':
+            target = rows[row.rowIndex + 1] &&
+                cellAt(rows[row.rowIndex + 1], position(cell));
+            break;
+        case 'Home':
+            target = event.ctrlKey ? rows[0].cells[0] : row.cells[0];
+            break;
+        case 'End':
+            target = _.last((event.ctrlKey ? _.last(rows) : row).cells);
+            break;
+        default:
+            return;
+        }
+        event.preventDefault();
+        if (target) {
+            cell.tabIndex = -1;
+            target.tabIndex = 0;
+            target.focus();
+        }
+    }
 
     /**
-     * Column constructor.
+     * Return the vertical offsets of rows in virtualized mode.
      *
-     * @param {object} props - React props
-     * @param {Table} table - table instance this column belongs to
-     * @param {Group} group - column group instance this column belongs to
+     * @param {Array} indexes - data set indexes of the displayed rows
+     * @returns {Array<number>} - offset of each row from the top of the body,
+     *                            followed by the total height of all rows
      *
-     * For top-level columns (not within a column group), group will be
-     * undefined.
+     * Rows that have not been measured yet use the estimated row height.
      */
-    constructor(props, table, group) {
-        this.props = props;
-        this.table = table;
-        this.group = group;
+    rowOffsets(indexes) {
+        const offsets = [0];
+        _.each(indexes, (rowIndex, i) => {
+            const height = this.rowHeights.hasOwnProperty(rowIndex) ?
+                this.rowHeights[rowIndex] : this.props.rowHeight;
+            offsets.push(offsets[i] + height);
+        });
+        return offsets;
     }
 
     /**
-     * Render the header for this column.
+     * Return the range of rows visible in the scroll container.
      *
-     * @param {number} colIndex - index of the parent group within the table
-     * @param {string} sort - sort order id
-     * @param {boolean} descending - true if sorting in descending order
-     * @param {number} groupIndex - index of this column within parent group
-     * @param {object} groupProps - extra properties defined for group columns
-     * @returns {Element} - <th> element
+     * @param {Array} indexes - data set indexes of the displayed rows
+     * @returns {object} - first and last (exclusive) position of the visible
+     *                     rows, and the heights of the top and bottom spacers
      *
-     * For top-level columns (not within a column group), groupIndex will be
-     * undefined and colIndex will be the index of the column itself.
+     * The range is extended by the overscan number of rows in each direction.
      */
-    renderHeader(colIndex, sort, descending, groupIndex, groupProps) {
-        if (this.props.hidden) {
-            // Do not render hidden columns
-            return null;
+    virtualWindow(indexes) {
+        const count = indexes.length;
+        const {rowHeight, overscan} = this.props;
+        const viewTop = Math.max(0, this.state.scrollTop - this.bodyOffset);
+        const viewBottom = viewTop + (this.state.viewportHeight || 0);
+        var first, last, offsetOf;
+        if (this.props.measureRows) {
+            const offsets = this.rowOffsets(indexes);
+            first = _.sortedLastIndex(offsets, viewTop) - 1;
+            last = _.sortedIndex(offsets, viewBottom);
+            offsetOf = (position) => offsets[position];
+        } else {
+            first = Math.floor(viewTop / rowHeight);
+            last = Math.ceil(viewBottom / rowHeight);
+            offsetOf = (position) => position * rowHeight;
         }
-        var props = this.props.headerProps({
-            colIndex, groupIndex, sort: this.isSorted(sort), descending
-        });
-        if (groupProps) {
-            props = {...groupProps, ...props};
+        first = _.clamp(first - overscan, 0, count);
+        last = _.clamp(last + overscan, first, count);
+        return {
+            first,
+            last,
+            top: offsetOf(first),
+            bottom: offsetOf(count) - offsetOf(last)
+        };
+    }
+
+    /**
+     * Measure rendered rows and the scroll container in virtualized mode.
+     *
+     * Triggers a re-render if any of the measurements have changed.
+     */
+    measureVirtualRows() {
+        if (!this.props.virtualized || !this.container || !this.tbody) {
+            return;
         }
-        if (groupIndex === undefined) {
-            // No parent group, expand to fill both rows of header
-            props.rowSpan = 2;
+        var changed = false;
+        const containerTop = this.container.getBoundingClientRect().top;
+        const bodyOffset = this.tbody.getBoundingClientRect().top -
+            containerTop + this.container.scrollTop;
+        if (bodyOffset !== this.bodyOffset) {
+            this.bodyOffset = bodyOffset;
+            changed = true;
         }
-        if (this.props.sortId) {
-            // Add click handler to sort by this column
-            props.onClick = () => this.table.sortBy(this.props.sortId);
+        _.each(this.rowElements, (elements, rowIndex) => {
+            const height = _.sumBy(elements, (e) => (e.tr || e).offsetHeight);
+            if (height && (height !== this.rowHeights[rowIndex])) {
+                this.rowHeights[rowIndex] = height;
+                changed = true;
+            }
+        });
+        const viewportHeight = this.container.clientHeight;
+        if (viewportHeight && (viewportHeight !== this.state.viewportHeight)) {
+            this.setState({viewportHeight});
+        } else if (changed) {
+            this.forceUpdate();
         }
-        const key = this.props.key({colIndex, groupIndex});
-        const cell = this.table.renderSorting(
-            this.props.sortId, this.props.header);
-        return <th key={key} {...props}>{cell}</th>;
     }
 
     /**
-     * Render a data cell in this column.
+     * Scroll a row into view in virtualized mode.
      *
-     * @param {object} row - data row
-     * @param {number} rowIndex - index of the data row within the dataset
-     * @param {number} colIndex - index of the parent group within the table
-     * @param {number} groupIndex - index of this column within parent group
-     * @param {object} groupProps - extra properties defined for group columns
-     * @returns {Element} - <td> element
+     * @param {number|string} rowIndex - index or key of the row in the data
+     *                                  set
+     *
+     * The row is scrolled to the top of the scroll container. Rows that are
+     * filtered out or not on the current page are ignored.
      */
-    renderCell(row, rowIndex, colIndex, groupIndex, groupProps) {
-        if (this.props.hidden) {
-            return null;
+    scrollToRow(rowIndex) {
+        if (!this.props.virtualized || !this.container) {
+            console.warn('scrollToRow() requires a virtualized table');
+            return;
         }
-        var props = this.props.tdProps({row, rowIndex, colIndex, groupIndex});
-        if (groupProps) {
-            props = {...groupProps, ...props};
+        const indexes = this.displayedIndexes;
+        // Mapping data sets have string keys as indexes, compare as strings
+        const key = String(rowIndex);
+        const position = _.findIndex(indexes, (i) => String(i) === key);
+        if (position < 0) {
+            return;
         }
-        const key = this.props.key({row, rowIndex, colIndex, groupIndex});
-        const cell = this.props.render({
-            row, value: this.value(row), rowIndex, colIndex, groupIndex
-        });
-        return <td key={key} {...props}>{cell}</td>;
+        const offset = this.props.measureRows ?
+            this.rowOffsets(indexes)[position] :
+            position * this.props.rowHeight;
+        this.container.scrollTop = this.bodyOffset + offset;
+        this.setState({scrollTop: this.container.scrollTop});
     }
 
     /**
-     * Return a data value from a row for this column.
+     * Switch to a different page.
      *
-     * @param {object} row - data row
-     * @returns {any} - data value for the column
+     * @param {number} page - 0-based index of the page to display
+     */
+    setPage(page) {
+        this.applyPage(page, this.state.pageSize);
+    }
+
+    /**
+     * Change the number of rows per page.
+     *
+     * @param {number} pageSize - rows per page, falsy value disables paging
+     *
+     * Changing the page size switches back to the first page.
      */
-    value(row) {
-        return this.props.value(row);
+    setPageSize(pageSize) {
+        this.applyPage(0, pageSize);
     }
 
     /**
-     * Register sort order for this column.
+     * Apply a new page state to the table.
+     *
+     * @param {number} page - 0-based index of the page to display
+     * @param {number} pageSize - rows per page
      *
-     * @param {object} sortMap - sorting registry of the table
+     * In controlled mode the change is only reported to the parent through
+     * onPageChange; the table will switch pages once the parent updates the
+     * props.
      */
-    registerSortColumns(sortMap) {
-        if (this.props.sortId && this.props.sortMethod) {
-            sortMap[this.props.sortId] = this;
+    applyPage(page, pageSize) {
+        if (this.isPagingControlled()) {
+            this.props.onPageChange({page, pageSize});
+        } else {
+            this.setState({page, pageSize});
         }
     }
 
     /**
-     * Compare two rows for sorting by this column.
+     * Return true if a data row is selected.
+     *
+     * @param {object} row - data row
+     * @returns {boolean} - true if row is selected
      *
-     * @param {object} a, b - data rows to compare
-     * @param {boolean} descending - true if sorting in descending order
-     * @returns {number} - 1 if a > b; -1 if a < b; 0 if a === b
+     * Rows are selected by row key if the rowKey prop is defined, otherwise
+     * by identity, so selection is preserved when the data set is re-sorted
+     * or filtered.
      */
-    sort(a, b, descending) {
-        const dir = (descending ? -1 : 1);
-        return this.props.sortMethod({a, b, descending, column: this}) * dir;
+    isRowSelected(row) {
+        return this.tableModel().isRowSelected(row);
     }
 
     /**
-     * Return true if sorting key matches this column.
+     * Toggle the selection of a data row.
      *
-     * @param {string} sort - sort order id
-     * @returns {boolean} - true if sort order id matches column's sort id
+     * @param {any} rowIndex - index of the row in the data set
+     * @param {boolean} range - true to select all rows between the previously
+     *                          toggled row and this row
      */
-    isSorted(sort) {
-        return sort && (sort === this.props.sortId);
+    toggleRowSelection(rowIndex, range) {
+        const row = this.data()[rowIndex];
+        const anchor = this.selectionAnchor;
+        this.selectionAnchor = rowIndex;
+        if (this.props.selectable === 'single') {
+            this.setSelection(this.isRowSelected(row) ? [] : [this.rowId(row)]);
+            return;
+        }
+        const indexes = this.sortedIndexes || this.sortedDataIndexes();
+        const from = _.indexOf(indexes, anchor);
+        const to = _.indexOf(indexes, rowIndex);
+        if (range && (from >= 0) && (to >= 0)) {
+            const ids = _.map(
+                indexes.slice(Math.min(from, to), Math.max(from, to) + 1),
+                (i) => this.rowId(this.data()[i])
+            );
+            this.setSelection(_.union(this.state.selected, ids));
+        } else if (this.isRowSelected(row)) {
+            this.setSelection(_.without(this.state.selected, this.rowId(row)));
+        } else {
+            this.setSelection([...this.state.selected, this.rowId(row)]);
+        }
     }
 
-}
+    /**
+     * Select all rows passing the active filters, or clear the selection if
+     * all of them are already selected.
+     */
+    toggleAllSelection() {
+        const indexes = this.sortedIndexes || this.sortedDataIndexes();
+        const rows = _.map(indexes, (i) => this.data()[i]);
+        const ids = _.map(rows, (row) => this.rowId(row));
+        if (_.every(rows, (row) => this.isRowSelected(row))) {
+            this.setSelection(_.difference(this.state.selected, ids));
+        } else {
+            this.setSelection(_.union(this.state.selected, ids));
+        }
+    }
 
+    /**
+     * Replace the selected rows of the table.
+     *
+     * @param {Array} selected - selected data rows, or their row keys if the
+     *                          rowKey prop is defined
+     *
+     * In controlled mode the change is only reported to the parent through
+     * onSelectionChange; the table will update once the parent updates the
+     * props.
+     */
+    setSelection(selected) {
+        if (this.isSelectionControlled()) {
+            this.props.onSelectionChange(selected);
+        } else {
+            this.setState({selected});
+        }
+    }
 
-/**
- * Column group class.
- *
- * As this class extends Column, it also isn't a true React component, but is
- * used in JSX as a container for column group definitions.
- */
-export class Group extends Column {
+    /**
+     * Return true if a data row is expanded.
+     *
+     * @param {object} row - data row
+     * @returns {boolean} - true if row is expanded
+     *
+     * Rows are expanded by row key if the rowKey prop is defined, otherwise
+     * by identity, so detail rows stay attached to their rows when the data
+     * set is re-sorted or filtered.
+     */
+    isRowExpanded(row) {
+        return this.tableModel().isRowExpanded(row);
+    }
 
     /**
-     * Column group constructor.
+     * Expand or collapse a data row.
      *
-     * @param {object} props - React props
-     * @param {Table} table - table instance this column group belongs to
+     * @param {any} rowIndex - index of the row in the data set
      */
-    constructor(props, table) {
-        super(props);
-        this.table = table;
-        this.columns = _.map(props.children, (e) => {
-            if (!isValidElement(e)) {
-                throw new TypeError(
-                    `Node of type ${typeof e} not valid in <Group>`
-                );
-            }
-            if (e.type !== Column) {
-                // Only columns are allowed inside a group, no nesting
-                throw new TypeError(
-                    `Element <${e.type.name}> not valid in <Group>`
-                );
-            }
-            return new e.type(e.props, this.table, this);
-        });
-        if (this.props.sortId && !this.props.sortMethod) {
-            // Column groups don't have a defined value, so there is no
-            // default way to sort by column groups; a custom sort method
-            // is required for column groups that have a sort id
-            throw new Error('sortMethod is required for sortable <Group>');
-        }
+    toggleRowExpanded(rowIndex) {
+        const id = this.rowId(this.data()[rowIndex]);
+        this.setExpanded(_.includes(this.state.expanded, id) ?
+            _.without(this.state.expanded, id) :
+            [...this.state.expanded, id]
+        );
     }
 
     /**
-     * Render the header for this column group.
+     * Replace the expanded rows of the table.
      *
-     * @param {number} colIndex - index of the group within the table
-     * @param {string} sort - sort order id
-     * @param {boolean} descending - true if sorting in descending order
-     * @returns {Array<Element>} - array of <th> elements
+     * @param {Array} expanded - expanded data rows, or their row keys if the
+     *                          rowKey prop is defined
      *
-     * Return value will contain the <th> for the column group itself, followed
-     * by the <th> elements for the child columns.
+     * In controlled mode the change is only reported to the parent through
+     * onExpandedChange; the table will update once the parent updates the
+     * props.
      */
-    renderHeader(colIndex, sort, descending) {
-        const props = this.props.headerProps({
-            colIndex, sort: this.isSorted(sort), descending
-        });
-        props.colSpan = this.columns.length;
-        if (this.props.sortId) {
-            // Add click handler to sort by this column group
-            props.onClick = () => this.table.sortBy(this.props.sortId);
-        }
-        const key = this.props.key({colIndex});
-        const cell = this.table.renderSorting(
-            this.props.sortId, this.props.header);
-        return [
-            <th key={key} {...props}>{cell}</th>,
-            ..._.map(this.columns, (c, groupIndex) => {
-                const groupProps = this.props.subHeaderProps({
-                    colIndex, groupIndex, sort: c.isSorted(sort), descending
-                });
-                return c.renderHeader(
-                    colIndex, sort, descending, groupIndex, groupProps
-                );
-            })
-        ];
+    setExpanded(expanded) {
+        if (this.isExpansionControlled()) {
+            this.props.onExpandedChange(expanded);
+        } else {
+            this.setState({expanded});
+        }
     }
 
     /**
-     * Render data cells for child columns in this column group.
+     * Start loading detail content for expanded rows.
      *
-     * @param {object} row - data row
-     * @param {number} rowIndex - index of the data row in the data set
-     * @param {number} columnIndex - index of the column group within the table
-     * @returns {Array<Element>} - array of <td> elements for each child column
+     * Content is loaded through loadExpanded once per row, and is kept when
+     * the row is collapsed so that expanding it again is instant.
      */
-    renderCell(row, rowIndex, columnIndex) {
-        return _.map(this.columns, (c, groupIndex) => {
-            const groupProps = this.props.tdProps({
-                row, rowIndex, columnIndex, groupIndex
-            });
-            return c.renderCell(
-                row, rowIndex, columnIndex, groupIndex, groupProps
+    loadExpandedContent() {
+        if (!this.props.loadExpanded) {
+            return;
+        }
+        _.each(this.state.expanded, (id) => {
+            if (this.state.expandedContent.has(id)) {
+                return;
+            }
+            const data = this.data();
+            const rowIndex = _.findKey(data, (r) => this.rowId(r) === id);
+            if (rowIndex === undefined) {
+                // Row is not in the data set (yet)
+                return;
+            }
+            const index = (data instanceof Array) ? Number(rowIndex) : rowIndex;
+            const row = data[index];
+            const rowKey = this.rowKey(row, index);
+            const update = (state) => this.setState(({expandedContent}) => ({
+                expandedContent: new Map(expandedContent).set(id, state)
+            }));
+            update({loading: true});
+            Promise.resolve(this.props.loadExpanded({
+                row, rowIndex: index, rowKey
+            })).then(
+                (content) => this.unmounted ||
+                    update({loading: false, content}),
+                (error) => this.unmounted ||
+                    update({loading: false, error})
             );
         });
     }
 
     /**
-     * Register sort orders for this column group and child columns.
+     * Return true if a column is hidden by the hidden columns of the table.
      *
-     * @param {object} sortMap - sorting registry of the table
+     * @param {string} id - column id
+     * @returns {boolean} - true if id is one of the hidden columns
      */
-    registerSortColumns(sortMap) {
-        if (this.sortId) {
-            sortMap[this.sortId] = this;
-        }
-        _.each(this.columns, (c) => c.registerSortColumns(sortMap));
+    isColumnHidden(id) {
+        return this.tableModel().isColumnHidden(id);
     }
 
-}
+    /**
+     * Hide or show a column or column group.
+     *
+     * @param {string} id - column id
+     * @param {boolean} hidden - true to hide the column, false to show it;
+     *                           if undefined, visibility is toggled
+     */
+    toggleColumn(id, hidden) {
+        if (hidden === undefined) {
+            hidden = !this.isColumnHidden(id);
+        }
+        const hiddenColumns = _.without(this.state.hiddenColumns, id);
+        this.setHiddenColumns(hidden ? [...hiddenColumns, id] : hiddenColumns);
+    }
 
+    /**
+     * Replace the hidden columns of the table.
+     *
+     * @param {Array<string>} hiddenColumns - ids of hidden columns and groups
+     *
+     * In controlled mode the change is only reported to the parent through
+     * onHiddenColumnsChange; the table will update once the parent updates
+     * the props.
+     */
+    setHiddenColumns(hiddenColumns) {
+        if (this.isVisibilityControlled()) {
+            this.props.onHiddenColumnsChange(hiddenColumns);
+        } else {
+            this.setState({hiddenColumns});
+        }
+    }
 
-/**
- * Table class.
- *
- * This is a true React component.
- */
-export class Table extends Component {
+    /**
+     * Return the width of a column from the column widths of the table.
+     *
+     * @param {string} id - column id
+     * @returns {number} - column width, undefined if not resized
+     */
+    columnWidth(id) {
+        return id ? this.state.columnWidths[id] : undefined;
+    }
 
     /**
-     * Table constructor.
+     * Start resizing a column by dragging its resize handle.
      *
-     * @param {object} props - React props
+     * @param {Column} column - column to resize
+     * @param {Event} event - mouse down event on the resize handle
+     *
+     * The column width follows the mouse until the mouse button is released.
      */
-    constructor(props) {
-        super(props);
-        this.state = {
-            sort: props.sort,
-            descending: props.descending,
-            columns: this.updateColumns(props.children)
+    startResize(column, event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const startX = event.clientX;
+        const startWidth = event.currentTarget.parentNode.offsetWidth;
+        const onMove = (e) => this.resizeColumn(
+            column.props.id, startWidth + e.clientX - startX);
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            this.stopResize = null;
         };
-        this.validateProps();
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+        this.stopResize = onUp;
     }
 
     /**
-     * Process prop changes.
+     * Change the width of a column.
      *
-     * @param {object} props - React props
+     * @param {string} id - column id
+     * @param {number} width - new column width in pixels
+     *
+     * The width is limited by the minWidth and maxWidth of the column.
      */
-    componentWillReceiveProps(props) {
-        if (this.props.children !== props.children) {
-            // Columns and groups have changed
-            this.setState({columns: this.updateColumns(props.children)});
+    resizeColumn(id, width) {
+        const column = this.columnMap[id];
+        if (!column) {
+            return;
         }
-        this.validateProps();
+        const {minWidth, maxWidth} = column.props;
+        width = Math.max(width, (typeof minWidth === 'number') ? minWidth : 0);
+        if (typeof maxWidth === 'number') {
+            width = Math.min(width, maxWidth);
+        }
+        this.setColumnWidths({...this.state.columnWidths, [id]: width});
     }
 
     /**
-     * Validate prop sanity and emit warnings.
+     * Replace the column widths of the table.
+     *
+     * @param {object} columnWidths - column widths by column id
+     *
+     * In controlled mode the change is only reported to the parent through
+     * onColumnWidthsChange; the table will update once the parent updates the
+     * props.
      */
-    validateProps() {
-        if (this.state.sort && (!(this.state.sort in this.sortMap))) {
-            console.warn(`Invalid sort method: ${this.state.sort}`);
+    setColumnWidths(columnWidths) {
+        if (this.isWidthsControlled()) {
+            this.props.onColumnWidthsChange(columnWidths);
+        } else {
+            this.setState({columnWidths});
         }
     }
 
     /**
-     * Process columns and column groups.
+     * Return the ids of all columns and column groups in display order.
      *
-     * @param {array} children - React child element(s)
+     * @returns {Array<string>} - column ids, parents before their children
      */
-    updateColumns(children) {
-        this.sortMap = {};
-        return React.Children.map(children, (e) => {
-            if (!isValidElement(e)) {
-                throw new TypeError(
-                    `Node of type ${typeof e} not valid in <Table>`
-                );
-            }
-            const instance = new e.type(e.props, this);
-            if (!(instance instanceof Column)) {
-                throw new TypeError(
-                    `Element <${e.type.name}> not valid in <Table>`
-                );
-            }
-            instance.registerSortColumns(this.sortMap);
-            return instance;
+    columnOrder() {
+        const ids = [];
+        const walk = (columns) => _.each(columns, (c) => {
+            if (c.props.id) {
+                ids.push(c.props.id);
+            }
+            if (c instanceof Group) {
+                walk(c.columns);
+            }
         });
+        walk(this.state.columns);
+        return ids;
     }
 
     /**
-     * Render the table.
+     * Move a column to the position of one of its siblings.
      *
-     * @returns {Element} - <table> element
+     * @param {string} id - id of the column or column group to move
+     * @param {string} targetId - id of the sibling to move the column to
+     *
+     * Columns can only be moved within their parent column group, or among
+     * top-level columns and groups.
      */
-    render() {
-        const props = this.props.tableProps();
-        return <table {...props}>
-            {this.renderHeader()}
-            {this.renderBody()}
-        </table>;
+    moveColumn(id, targetId) {
+        const [column, target] = [this.columnMap[id], this.columnMap[targetId]];
+        if (!column || !target || (column === target) ||
+            (column.group !== target.group)) {
+            return;
+        }
+        const siblings = column.group ?
+            column.group.columns : this.state.columns;
+        const moved = _.without(siblings, column);
+        moved.splice(_.indexOf(siblings, target), 0, column);
+        const siblingIds = _.compact(_.map(moved, (c) => c.props.id));
+        // Replace siblings in the full order, keeping everything else in place
+        var next = 0;
+        const order = _.map(this.columnOrder(), (columnId) =>
+            _.includes(siblingIds, columnId) ? siblingIds[next++] : columnId);
+        this.setColumnOrder(order);
     }
 
     /**
-     * Render the table header.
+     * Replace the column order of the table.
      *
-     * @returns {Element} - <thead> element
+     * @param {Array<string>} columnOrder - column ids in display order
+     *
+     * In controlled mode the change is only reported to the parent through
+     * onColumnOrderChange; the table will update once the parent updates the
+     * props.
      */
-    renderHeader() {
-        const cells = _.map(
-            this.state.columns, (c, colIndex) => c.renderHeader(
-                colIndex, this.state.sort, this.state.descending
-            )
-        );
-        const theadProps = this.props.theadProps();
-        return <thead {...theadProps}>
-            {this.renderMainHeader(cells)}
-            {this.renderSubHeader(cells)}
-        </thead>;
+    setColumnOrder(columnOrder) {
+        if (this.isOrderControlled()) {
+            this.props.onColumnOrderChange(columnOrder);
+        } else {
+            this.setState({
+                columnOrder,
+                columns: this.applyColumnOrder(this.definedColumns, columnOrder)
+            });
+        }
     }
 
     /**
-     * Render the main header row.
+     * Return true if a cell is being edited.
      *
-     * @param {Array} cells - <th> elements
-     * @returns {Element} - <tr> element
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the row in the data set
+     * @param {Column} column - column of the cell
+     * @returns {boolean} - true if the cell is in edit mode
+     *
+     * Cells are identified by row key and column key, so editing continues
+     * when the parent replaces an edited row with an updated copy.
      */
-    renderMainHeader(cells) {
-        const rowCells = _.map(cells, (c) => (c instanceof Array) ? c[0] : c);
-        const props = {
-            ...this.props.trProps(),
-            ...this.props.headerTrProps()
-        };
-        return <tr {...props}>{rowCells}</tr>;
+    isEditing(row, rowIndex, column) {
+        const editing = this.state.editing;
+        return !!editing && (editing.columnKey === column.columnKey()) &&
+            (editing.rowKey === this.rowKey(row, rowIndex));
     }
 
     /**
-     * Render the sub-header row.
+     * Switch a cell into edit mode.
      *
-     * @param {Array} cells - <th> elements
-     * @returns {Element} - <tr> element
+     * @param {object} row - data row
+     * @param {number} rowIndex - index of the row in the data set
+     * @param {Column} column - column of the cell
+     *
+     * The editor starts with the column value of the row. A cell that is
+     * already being edited is committed first, and stays in edit mode if its
+     * value is invalid.
      */
-    renderSubHeader(cells) {
-        const rowCells = _.flatten(
-            _.map(cells, (c) => (c instanceof Array) ? c.slice(1) : []));
-        if (!rowCells.length) {
-            return null;
+    startEdit(row, rowIndex, column) {
+        if (this.isEditing(row, rowIndex, column) ||
+            (this.state.editing && !this.commitEdit())) {
+            return;
         }
-        const props = {
-            ...this.props.trProps(),
-            ...this.props.subHeaderTrProps()
-        };
-        return <tr {...props}>{rowCells}</tr>;
+        this.setState({editing: {
+            rowKey: this.rowKey(row, rowIndex),
+            rowIndex,
+            columnKey: column.columnKey(),
+            value: column.value(row)
+        }});
     }
 
     /**
-     * Render the table body.
+     * Validate and report the change of the cell being edited.
      *
-     * @returns {Element} - <tbody> element
+     * @returns {boolean} - true if the edit was finished, false if the value
+     *                      is invalid
+     *
+     * Invalid values keep the cell in edit mode and show the error returned by
+     * the validate prop of the column. Valid changes are reported through
+     * onCellChange; the table does not modify its data, so the parent has to
+     * apply the change.
      */
-    renderBody() {
-        const rows = _.map(
-            this.sortedDataIndexes(), (rowIndex) => this.renderRow(rowIndex)
-        );
-        const props = this.props.tbodyProps();
-        return <tbody {...props}>{rows}</tbody>;
+    commitEdit() {
+        const {rowKey, columnKey, value} = this.state.editing;
+        const column = _.find(this.leafColumns(), (c) =>
+            c.columnKey() === columnKey);
+        const rowIndex = this.findRowIndex(rowKey, this.state.editing.rowIndex);
+        const row = this.data()[rowIndex];
+        if (!column || (row === undefined)) {
+            // Column has been hidden or removed, or the row no longer exists
+            this.setState({editing: null});
+            return true;
+        }
+        const error = column.props.validate ? column.props.validate({
+            value, row, rowIndex, rowKey, column
+        }) : undefined;
+        if (!_.isNil(error)) {
+            this.setState(({editing}) => ({editing: {...editing, error}}));
+            return false;
+        }
+        this.setState({editing: null});
+        if ((value !== column.value(row)) && this.props.onCellChange) {
+            this.props.onCellChange({row, rowIndex, rowKey, column, value});
+        }
+        return true;
     }
 
     /**
-     * Render a data row.
-     *
-     * @param {any} rowIndex - index of the row in the data set
-     * @returns {Element} - <tr> element
-     *
-     * For array datasets it will be array index, for mapping data sets it will
-     * be the mapping key.
+     * Leave edit mode without reporting the change.
      */
-    renderRow(rowIndex) {
-        const row = this.props.data[rowIndex];
-        const props = {
-            ...this.props.trProps({row, rowIndex}),
-            ...this.props.dataTrProps({row, rowIndex})
-        };
-        const cells = _.map(
-            this.state.columns,
-            (c, colIndex) => c.renderCell(row, rowIndex, colIndex)
-        );
-        return <tr key={rowIndex} {...props}>{cells}</tr>;
+    cancelEdit() {
+        this.setState({editing: null});
     }
 
     /**
-     * Renders sorting indicator on a header cell.
+     * Commit the cell being edited and edit the next or previous editable
+     * cell.
      *
-     * @param {string} sortId - sort order id of the column
-     * @param {Node} cell - React node content of the header cell
-     * @returns {Node} - Header with sorting indicator added if needed
+     * @param {boolean} backward - true to move to the previous cell
      *
-     * Sorting indicator will only be rendered for the sortId matching the
-     * current sorting of the table.
+     * Editable cells are visited in display order, row by row, including the
+     * child columns of column groups.
      */
-    renderSorting(sortId, cell) {
-        if (sortId && (sortId === this.state.sort)) {
-            cell = this.props.renderSorting({
-                cell, descending: this.state.descending
-            });
+    moveEdit(backward) {
+        const {rowKey, columnKey} = this.state.editing;
+        const columns = this.leafColumns();
+        const data = this.data();
+        const cells = _.flatMap(this.displayedIndexes, (i) => _.map(
+            _.filter(columns, (c) => c.isEditable(data[i], i)),
+            (c) => ({rowIndex: i, column: c})
+        ));
+        const index = _.findIndex(cells, (cell) =>
+            (this.rowKey(data[cell.rowIndex], cell.rowIndex) === rowKey) &&
+            (cell.column.columnKey() === columnKey));
+        const next = cells[index + (backward ? -1 : 1)];
+        if (!this.commitEdit() || !next) {
+            return;
         }
-        return cell;
+        this.setState({editing: {
+            rowKey: this.rowKey(data[next.rowIndex], next.rowIndex),
+            rowIndex: next.rowIndex,
+            columnKey: next.column.columnKey(),
+            value: next.column.value(data[next.rowIndex])
+        }});
     }
 
     /**
-     * Return array of data set indexes sorted according to the active order.
+     * Collapse or expand a row group.
      *
-     * @returns {Array} - sorted indexes
+     * @param {string} key - unique key of the group
      */
-    sortedDataIndexes() {
-        const indexes = _.map(this.props.data, (value, index) => index);
-        if (!this.sortMap.hasOwnProperty(this.state.sort)) {
-            return indexes;
-        }
-        const column = this.sortMap[this.state.sort];
-        indexes.sort((a, b) => {
-            return column.sort(
-                this.props.data[a], this.props.data[b], this.state.descending
-            );
-        });
-        return indexes;
+    toggleGroup(key) {
+        this.setState(({collapsedGroups}) => ({
+            collapsedGroups: {...collapsedGroups, [key]: !collapsedGroups[key]}
+        }));
     }
 
     /**
-     * Change the sorting order of the table.
+     * Change the filter value of a column.
      *
-     * @param {string} sort - sort order id to apply
-     * @param {boolean} descending - true if sorting should be descending
+     * @param {string} filterId - filter id of the column
+     * @param {any} filter - new filter value, empty values remove the filter
+     */
+    filterBy(filterId, filter) {
+        const filters = {...this.state.filters, [filterId]: filter};
+        this.setFilters(isEmptyFilter(filter) ?
+            _.omit(filters, filterId) : filters);
+    }
+
+    /**
+     * Replace all active filters of the table.
+     *
+     * @param {object} filters - filter values by filter id
      *
-     * If descending is undefined and sort matches the current order, the
-     * direction will be flipped.
+     * In controlled mode the change is only reported to the parent through
+     * onFiltersChange; the table will re-filter once the parent updates the
+     * props.
      */
-    sortBy(sort, descending) {
-        if (descending === undefined) {
-            descending =
-                (sort === this.state.sort) ? !this.state.descending : false;
+    setFilters(filters) {
+        this.validateProps(this.state.sort, filters);
+        if (this.isFilteringControlled()) {
+            this.props.onFiltersChange(filters);
+        } else {
+            this.setState({filters});
         }
-        this.setState({sort, descending});
-        this.validateProps();
     }
 
 }
 
 
 Column.propTypes = {
-    // Label to render in the header of this column
-    header: PropTypes.node,
-    // Function that returns the value for this column from a data row
-    value: PropTypes.func.isRequired,
+    ...BaseColumn.propTypes,
     // Function that returns formatted value for display in the table
     render: PropTypes.func.isRequired,
-    // Function that returns React key for this column in header and data rows
-    key: PropTypes.func.isRequired,
-    // Sort order id for this column, if undefined column does not support sort
-    sortId: PropTypes.string,
-    // Function that compares two rows and returns -1/0/+1 comparison
-    sortMethod: PropTypes.func.isRequired,
-    // If hidden: true, column will not be rendered
-    hidden: PropTypes.bool.isRequired,
+    // Function that renders the editor of a cell in edit mode:
+    // ({value, row, rowIndex, rowKey, column, error, onChange, onCommit,
+    // onCancel})
+    renderEditor: PropTypes.func.isRequired,
+    // Function that validates an edited value and returns an error to show in
+    // the cell, or undefined if the value is valid:
+    // ({value, row, rowIndex, rowKey, column}) => error
+    validate: PropTypes.func,
+    // If resizable: false, column can not be resized in resizable tables
+    resizable: PropTypes.bool.isRequired,
+    // Function that renders the filter input in the filter row
+    renderFilter: PropTypes.func.isRequired,
+    // Function that returns formatted aggregated value for display
+    renderAggregate: PropTypes.func.isRequired,
 
     // Function that returns custom props for the header <th> of this column
     headerProps: PropTypes.func.isRequired,
     // Function that returns custom props for the data <td> cells of this column
-    tdProps: PropTypes.func.isRequired
+    tdProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the filter row <th> of this column
+    filterProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the aggregate <td> of this column
+    aggregateProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the footer <td> of this column
+    footerProps: PropTypes.func.isRequired
 };
 
 Column.defaultProps = {
+    ...BaseColumn.defaultProps,
     // Default renderer simply outputs the value for this column
     render: ({value}) => value,
-    // Default React key is calculated by column and group indices
-    key: ({colIndex, groupIndex}) =>
-        (groupIndex === undefined) ? colIndex : `${colIndex}:${groupIndex}`,
-    // Default sort method compares the values of the two rows
-    sortMethod: defaultSort,
-    // Not hidden by default
-    hidden: false,
+    // Default cell editor renderer
+    renderEditor: defaultRenderEditor,
+    // Resizable if the table is resizable by default
+    resizable: true,
+    // Default filter input renderer
+    renderFilter: defaultRenderFilter,
+    // Default aggregate renderer simply outputs the aggregated value
+    renderAggregate: ({value}) => value,
 
     // No custom props by default
     headerProps: emptyProps,
-    tdProps: emptyProps
+    tdProps: emptyProps,
+    filterProps: emptyProps,
+    aggregateProps: emptyProps,
+    footerProps: emptyProps
 };
 
 Group.propTypes = {
-    // Label to render in the header of this column group
-    header: PropTypes.string,
-    // Function that returns React key for this column in header and data rows
-    key: PropTypes.func.isRequired,
-    // Sort order id for this column, if undefined column does not support sort
-    sortId: PropTypes.string,
-    // Function that compares two rows and returns -1/0/+1 comparison
-    // Required for column groups with defined sortId
-    sortMethod: PropTypes.func,
-    // Column group children are <Column> definitions of the child columns
+    ...BaseGroup.propTypes,
+    // Column group children are <Column> definitions of the child columns,
+    // or nested <Group> definitions
     children: PropTypes.arrayOf(PropTypes.element),
 
     // Function that returns custom props for the header <th> of this group
@@ -560,33 +3719,252 @@ Group.propTypes = {
     // Function that returns custom props for the header <th> of child columns
     subHeaderProps: PropTypes.func.isRequired,
     // Function that returns custom props for data <td> cells of child columns
-    tdProps: PropTypes.func.isRequired
+    tdProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the footer <td> of this group
+    footerProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the footer <td> of child columns
+    subFooterProps: PropTypes.func.isRequired
 };
 
 Group.defaultProps = {
-    // Default React key is the column index of this column group
-    key: ({colIndex}) => colIndex,
+    ...BaseGroup.defaultProps,
 
     // No custom props by default
     headerProps: emptyProps,
     subHeaderProps: emptyProps,
-    tdProps: emptyProps
+    tdProps: emptyProps,
+    footerProps: emptyProps,
+    subFooterProps: emptyProps
 };
 
+// Pivot dimension or measure: field path or {id, header, field, value}
+const pivotFieldType = PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        header: PropTypes.node,
+        field: PropTypes.oneOfType([PropTypes.string, PropTypes.array]),
+        value: PropTypes.func,
+        aggregator: PropTypes.oneOfType([
+            PropTypes.func,
+            PropTypes.oneOf(_.keys(aggregators))
+        ])
+    })
+]);
+
 Table.propTypes = {
-    // Data set to render in the table
+    // Data set to render in the table as an array, object, Map or other
+    // iterable, or fetcher function for remote mode:
+    // ({sort, descending, page, pageSize, filters, globalFilter, signal}) =>
+    // promise of {rows, total}, where rows are the rows of the requested page
+    // and total the number of rows across all pages; rows are fetched again
+    // when the query changes, or on reload()
     data: PropTypes.oneOfType([
         PropTypes.array,
-        PropTypes.object
+        PropTypes.object,
+        PropTypes.func
     ]).isRequired,
-    // Initial sort order id for the table
-    sort: PropTypes.string,
-    // Initial sort direction
+    // Function returning the key of a data row, or name of the row property
+    // holding it; row keys are used as React keys, passed to callbacks as
+    // rowKey, and identify rows in selection, expansion and edit state.
+    // Defaults to the array index, object key or Map key of the row
+    rowKey: PropTypes.oneOfType([PropTypes.func, PropTypes.string]),
+    // Sort order id for the table, or a sort stack of {sort, descending}
+    // entries to sort by multiple columns; only used as the initial sort
+    // order unless onSortChange is defined
+    sort: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.arrayOf(PropTypes.shape({
+            sort: PropTypes.string.isRequired,
+            descending: PropTypes.bool
+        }))
+    ]),
+    // Sort direction when sort is a single sort order id
     descending: PropTypes.bool.isRequired,
+    // Function called with {sort, descending} when the sort order is changed;
+    // if defined, sorting is controlled by the sort and descending props
+    onSortChange: PropTypes.func,
+    // Filter values by filter id; only used as the initial filters unless
+    // onFiltersChange is defined
+    filters: PropTypes.object,
+    // Function called with the new filter values when filters are changed;
+    // if defined, filtering is controlled by the filters prop
+    onFiltersChange: PropTypes.func,
+    // Text to search for in all visible columns
+    globalFilter: PropTypes.any,
+    // Function that returns true if a column value matches the global filter
+    globalFilterMethod: PropTypes.func.isRequired,
+    // If filterRow: true, a row of filter inputs is rendered in the header
+    filterRow: PropTypes.bool.isRequired,
+    // 0-based index of the displayed page; only used as the initial page
+    // unless onPageChange is defined
+    page: PropTypes.number,
+    // Number of rows per page, if undefined all rows are displayed
+    pageSize: PropTypes.number,
+    // Function called with {page, pageSize} when the page is changed;
+    // if defined, paging is controlled by the page and pageSize props
+    onPageChange: PropTypes.func,
+    // Function that renders the pager
+    renderPager: PropTypes.func.isRequired,
+    // Function called with {row, rowIndex, rowKey, column, value} when an
+    // edited cell value is committed; the parent is responsible for updating
+    // data
+    onCellChange: PropTypes.func,
+    // If stickyHeader: true, header rows stay visible while scrolling
+    // vertically
+    stickyHeader: PropTypes.bool.isRequired,
+    // If grid: true, the table gets role="grid" with arrow key navigation
+    // between cells
+    grid: PropTypes.bool.isRequired,
+    // If pureRows: true, data rows are only re-rendered when their data row,
+    // display position, selection, expansion or editing state, the columns or
+    // non-function table props change; set it to false if cells render values
+    // captured by function props
+    pureRows: PropTypes.bool.isRequired,
+    // If announceSort: true, sort changes are announced to screen readers
+    // through a live region
+    announceSort: PropTypes.bool.isRequired,
+    // Function that returns the text of sort announcements:
+    // ({sort: [{header, descending}]}) => string
+    renderSortAnnouncement: PropTypes.func.isRequired,
+    // Function that renders the placeholder row while remote data is loading
+    renderLoading: PropTypes.func.isRequired,
+    // Function that renders the placeholder row when the fetcher fails:
+    // ({error, reload}) => node
+    renderError: PropTypes.func.isRequired,
+    // If footerFiltered: true, column footers only summarize the rows passing
+    // the active filters instead of the whole data set
+    footerFiltered: PropTypes.bool.isRequired,
+    // Where to render the pager: in a <tfoot> of the table, or before or
+    // after the <table> element
+    pagerPosition: PropTypes.oneOf(['tfoot', 'before', 'after']).isRequired,
+    // If virtualized: true, only rows visible in a scroll container wrapping
+    // the table are rendered
+    virtualized: PropTypes.bool.isRequired,
+    // Height of the scroll container in virtualized mode
+    height: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    // Row height in pixels in virtualized mode; estimated height of rows not
+    // yet rendered if measureRows: true
+    rowHeight: PropTypes.number.isRequired,
+    // If measureRows: true, rendered rows are measured to support variable
+    // row heights in virtualized mode
+    measureRows: PropTypes.bool.isRequired,
+    // Number of extra rows to render above and below the visible rows
+    overscan: PropTypes.number.isRequired,
+    // Row selection mode
+    selectable: PropTypes.oneOf(['none', 'single', 'multi']).isRequired,
+    // Selected data rows, or their row keys if rowKey is defined; only used
+    // as the initial selection unless onSelectionChange is defined
+    selected: PropTypes.array,
+    // Function called with the array of selected rows when the selection is
+    // changed; if defined, selection is controlled by the selected prop
+    onSelectionChange: PropTypes.func,
+    // Extra <Column> props for the injected selection column
+    selectionColumnProps: PropTypes.object,
+    // Function that renders the content of detail rows of expanded rows;
+    // if undefined, rows cannot be expanded
+    renderExpanded: PropTypes.func,
+    // Function that returns the content (or a promise of it) of the detail
+    // row to be passed to renderExpanded; called when a row is first expanded
+    loadExpanded: PropTypes.func,
+    // Expanded data rows, or their row keys if rowKey is defined; only used
+    // as the initially expanded rows unless onExpandedChange is defined
+    expanded: PropTypes.array,
+    // Function called with the array of expanded rows when rows are expanded
+    // or collapsed; if defined, expansion is controlled by the expanded prop
+    onExpandedChange: PropTypes.func,
+    // If expandColumn: true, a column of expansion toggles is rendered
+    expandColumn: PropTypes.bool.isRequired,
+    // Ids of hidden columns and column groups; only used as the initially
+    // hidden columns unless onHiddenColumnsChange is defined
+    hiddenColumns: PropTypes.arrayOf(PropTypes.string),
+    // Function called with the array of hidden column ids when columns are
+    // hidden or shown; if defined, visibility is controlled by hiddenColumns
+    onHiddenColumnsChange: PropTypes.func,
+    // Column ids in display order; columns are only reordered among their
+    // siblings. Only used as the initial order unless onColumnOrderChange is
+    // defined
+    columnOrder: PropTypes.arrayOf(PropTypes.string),
+    // Function called with the array of column ids when columns are
+    // reordered; if defined, column order is controlled by columnOrder
+    onColumnOrderChange: PropTypes.func,
+    // If reorderable: true, columns with an id can be reordered by dragging
+    // their headers
+    reorderable: PropTypes.bool.isRequired,
+    // Column widths by column id; only used as the initial widths unless
+    // onColumnWidthsChange is defined
+    columnWidths: PropTypes.objectOf(PropTypes.number),
+    // Function called with the column widths when columns are resized;
+    // if defined, column widths are controlled by columnWidths
+    onColumnWidthsChange: PropTypes.func,
+    // If resizable: true, columns with an id can be resized by dragging the
+    // edge of their headers
+    resizable: PropTypes.bool.isRequired,
+    // Serializable state returned by getState, used as the initial state of
+    // uncontrolled features
+    initialState: PropTypes.object,
+    // Function called with the serializable state whenever it changes
+    onStateChange: PropTypes.func,
+    // Key to load and save the serializable state with; state is not stored
+    // if undefined
+    stateKey: PropTypes.string,
+    // Storage adapter {load(key), save(key, state)}, see stateStorage
+    stateStorage: PropTypes.shape({
+        load: PropTypes.func.isRequired,
+        save: PropTypes.func.isRequired
+    }).isRequired,
+    // Version of the serializable state; stored state and initialState with
+    // a different version are ignored, so increase it whenever columns change
+    // incompatibly
+    stateVersion: PropTypes.oneOfType([
+        PropTypes.number, PropTypes.string
+    ]).isRequired,
+    // If columnChooser: true, a column chooser is rendered before the table
+    columnChooser: PropTypes.bool.isRequired,
+    // Function that renders the column chooser
+    renderColumnChooser: PropTypes.func.isRequired,
+    // Column id or array of column ids to group the rows by
+    groupBy: PropTypes.oneOfType([
+        PropTypes.string,
+        PropTypes.arrayOf(PropTypes.string)
+    ]),
+    // Order of row groups: "asc" or "desc" by group value, or a function that
+    // compares two groups and returns -1/0/+1 comparison
+    groupOrder: PropTypes.oneOfType([
+        PropTypes.oneOf(['asc', 'desc']),
+        PropTypes.func
+    ]).isRequired,
+    // Function that renders the content of group header rows
+    renderGroupHeader: PropTypes.func.isRequired,
+    // Extra <Column> props for the injected expansion column
+    expandColumnProps: PropTypes.object,
     // Function that renders custom sorting indicators
     renderSorting: PropTypes.func.isRequired,
-    // Table children are <Column> or <Group> elements
-    children: PropTypes.arrayOf(PropTypes.element).isRequired,
+    // Table children are <Column> or <Group> elements, required unless
+    // columns is defined
+    children: PropTypes.arrayOf(PropTypes.element),
+    // Plain object column definitions to use instead of children, with the
+    // props of <Column>, or of <Group> for definitions with children
+    columns: PropTypes.arrayOf(PropTypes.object),
+    // Pivot definition; if defined, the data set is pivoted into a cross tab
+    // and the columns are derived from it instead of children:
+    // rows and cols are the row and column dimensions, and values the
+    // measures aggregated for each combination of dimension values, each
+    // given as a field path or {id, header, field, value}; measures can
+    // have their own aggregator. aggregator is the name of a built-in
+    // aggregate function or a function ({values}) => value, "sum" by default,
+    // and totalHeader the label of the totals, "Total" by default. Pivoted
+    // columns have the ids returned by pivotColumnId()
+    pivot: PropTypes.shape({
+        rows: PropTypes.arrayOf(pivotFieldType).isRequired,
+        cols: PropTypes.arrayOf(pivotFieldType).isRequired,
+        values: PropTypes.arrayOf(pivotFieldType).isRequired,
+        aggregator: PropTypes.oneOfType([
+            PropTypes.func,
+            PropTypes.oneOf(_.keys(aggregators))
+        ]),
+        totalHeader: PropTypes.node
+    }),
 
     // Function that returns custom props for the <table> element
     tableProps: PropTypes.func.isRequired,
@@ -596,10 +3974,32 @@ Table.propTypes = {
     headerTrProps: PropTypes.func.isRequired,
     // Function that returns custom props for the sub-header <tr> element
     subHeaderTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the filter <tr> element
+    filterTrProps: PropTypes.func.isRequired,
     // Function that returns custom props for the <tbody> element
     tbodyProps: PropTypes.func.isRequired,
     // Function that returns custom props for data <tr> elements
     dataTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the virtualized scroll <div>
+    containerProps: PropTypes.func.isRequired,
+    // Function that returns custom props for group header <tr> elements
+    groupTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for group subtotal <tr> elements
+    subtotalTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for detail <tr> elements
+    expandedTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for virtualized spacer <tr> elements
+    spacerTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for remote loading/error <tr> elements
+    placeholderTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the <tfoot> element
+    tfootProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the main footer <tr> element
+    footerTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the sub-footer <tr> element
+    subFooterTrProps: PropTypes.func.isRequired,
+    // Function that returns custom props for the pager <tr> element
+    pagerTrProps: PropTypes.func.isRequired,
     // Function that returns custom props for header and data <tr> elements
     trProps: PropTypes.func.isRequired
 };
@@ -609,13 +4009,127 @@ Table.defaultProps = {
     renderSorting: defaultRenderSorting,
     // Ascending sort by default
     descending: false,
+    // Global filter searches for text in column values by default
+    globalFilterMethod: filterMethods.text,
+    // No filter row by default
+    filterRow: false,
+    // Start on the first page by default
+    page: 0,
+    // Default pager renderer
+    renderPager: defaultRenderPager,
+    // Plain table without sticky header, grid navigation or sort
+    // announcements by default
+    stickyHeader: false,
+    grid: false,
+    announceSort: false,
+    // Data rows skip re-rendering when unchanged by default
+    pureRows: true,
+    // Default sort announcement renderer
+    renderSortAnnouncement: defaultRenderSortAnnouncement,
+    // Default remote data placeholder renderers
+    renderLoading: defaultRenderLoading,
+    renderError: defaultRenderError,
+    // Footers summarize the whole data set by default
+    footerFiltered: false,
+    // Pager is rendered in the table footer by default
+    pagerPosition: 'tfoot',
+    // Render all rows by default
+    virtualized: false,
+    rowHeight: 30,
+    measureRows: false,
+    overscan: 5,
+    // Rows are not selectable by default
+    selectable: 'none',
+    // No expansion toggle column by default
+    expandColumn: false,
+    // No column reordering or resizing by default
+    reorderable: false,
+    resizable: false,
+    // Store state in localStorage if stateKey is defined
+    stateStorage: stateStorage.local,
+    stateVersion: 1,
+    // No column chooser by default
+    columnChooser: false,
+    // Default column chooser renderer
+    renderColumnChooser: defaultRenderColumnChooser,
+    // Groups are ordered by ascending group value by default
+    groupOrder: 'asc',
+    // Default group header renderer
+    renderGroupHeader: defaultRenderGroupHeader,
 
     // No custom props by default
     tableProps: emptyProps,
     theadProps: emptyProps,
     headerTrProps: emptyProps,
     subHeaderTrProps: emptyProps,
+    filterTrProps: emptyProps,
     tbodyProps: emptyProps,
+    containerProps: emptyProps,
+    expandedTrProps: emptyProps,
+    groupTrProps: emptyProps,
+    subtotalTrProps: emptyProps,
+    spacerTrProps: emptyProps,
+    placeholderTrProps: emptyProps,
     dataTrProps: emptyProps,
+    tfootProps: emptyProps,
+    footerTrProps: emptyProps,
+    subFooterTrProps: emptyProps,
+    pagerTrProps: emptyProps,
     trProps: emptyProps
 };
+
+
+/**
+ * Convert plain object column definitions to column elements.
+ *
+ * @param {Array<object>} columns - column definitions, as accepted by the
+ *                                  columns prop of <Table>
+ * @returns {Array<Element>} - <Column> and <Group> elements
+ *
+ * Definitions with children become <Group> elements, all others <Column>
+ * elements, with the remaining options of the definitions as props. Throws
+ * if the definitions are invalid.
+ */
+export const configToElements = (columns) => {
+    validateColumnConfig(columns, {Column, Group});
+    const convert = (configs) => _.map(configs, ({children, ...props}) => {
+        if (children === undefined) {
+            return React.createElement(Column, props);
+        }
+        return React.createElement(
+            Group, {...props, children: convert(children)});
+    });
+    return convert(columns);
+};
+
+/**
+ * Convert column elements to plain object column definitions.
+ *
+ * @param {Array<Element>} children - <Column> and <Group> elements
+ * @returns {Array<object>} - column definitions, as accepted by the columns
+ *                            prop of <Table>
+ *
+ * Props that are equal to the default props are left out of the
+ * definitions. Throws for elements that are not <Column> or <Group>
+ * elements, including subclasses of them.
+ */
+export const elementsToConfig = (children) => _.map(
+    React.Children.toArray(children),
+    (e) => {
+        if (!isValidElement(e) ||
+            !_.includes([Column, Group], e.type)) {
+            const name = isValidElement(e) ?
+                `<${e.type.name || e.type}>` : typeof e;
+            throw new TypeError(
+                `Only <Column> and <Group> elements can be converted to ` +
+                `column definitions, got ${name}`);
+        }
+        const defaults = e.type.defaultProps;
+        const config = _.omitBy(e.props, (value, key) =>
+            (key === 'children') || (value === defaults[key]));
+        if (e.type === Group) {
+            config.children = elementsToConfig(e.props.children);
+        }
+        return config;
+    }
+);